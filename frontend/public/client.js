@@ -6,31 +6,155 @@ document.addEventListener('DOMContentLoaded', async () => {
     // argon2 (available as window.argon2)
 
     console.log("Initializing App...");
-    const prover = new ZKProver(window.dcodeIO.bcrypt, window.argon2);
+
+    const progressBox = document.getElementById('prove-progress');
+    const progressBar = document.getElementById('prove-progress-bar');
+    const progressLabel = document.getElementById('prove-progress-label');
+    const cancelBtn = document.getElementById('btn-cancel');
+
+    const PHASE_LABELS = {
+        hashing: "Hashing password...",
+        tracing: "Building execution trace...",
+        committing: "Committing to the trace...",
+        grinding: "Grinding proof-of-work...",
+        querying: "Opening queries..."
+    };
+
+    // Each phase of ZKProver.PHASES takes an equal share of the bar
+    const showProgress = ({ phase, fraction }) => {
+        const index = ZKProver.PHASES.indexOf(phase);
+        const percent = 100 * (index + Math.min(fraction, 1)) / ZKProver.PHASES.length;
+        progressBar.style.width = `${percent.toFixed(1)}%`;
+        progressLabel.innerText = PHASE_LABELS[phase] || phase;
+    };
+
+    // A prover for the current settings. With Web Workers the whole proof (hashing included)
+    // runs in zk-hash/prove-worker.js, which loads its own copies of the hashing libraries;
+    // otherwise it runs on the page with grinding in a worker.
+    const makeProver = () => {
+        const params = { grinding_bits: parseInt(document.getElementById('grinding-bits').value) || 0 };
+        if (window.Worker) {
+            return new ZKWorkerProver({
+                workerUrl: '/zk-hash/prove-worker.js',
+                scripts: Array.from(document.querySelectorAll('script[data-prover-lib]'), s => s.src),
+                prover: { params },
+                onProgress: showProgress
+            });
+        }
+        return new ZKProver(window.dcodeIO.bcrypt, window.argon2, {
+            params,
+            grinder: ZKProver.workerGrinder('/zk-hash/grind-worker.js'),
+            onProgress: showProgress
+        });
+    };
 
     const generateBtn = document.getElementById('btn-generate');
     const verifyBtn = document.getElementById('btn-verify');
     const algoSelect = document.getElementById('algo-select');
     const paramsArgon = document.getElementById('params-argon');
     const paramsBcrypt = document.getElementById('params-bcrypt');
+    const paramsScrypt = document.getElementById('params-scrypt');
+    const paramsPbkdf2 = document.getElementById('params-pbkdf2');
     const paramsAuth = document.getElementById('params-zk-auth');
+    const paramsAccount = document.getElementById('params-account');
+    const paramsRehash = document.getElementById('params-rehash');
+    const rehashOpening = document.getElementById('rehash-opening');
     const proofOutput = document.getElementById('proof-output');
     const statusBox = document.getElementById('verify-status');
     const loader = document.getElementById('loader');
+    const challengeBtn = document.getElementById('btn-challenge');
 
     // Toggle Params UI
     algoSelect.addEventListener('change', () => {
         // Hide all first
         paramsArgon.style.display = 'none';
         paramsBcrypt.style.display = 'none';
+        paramsScrypt.style.display = 'none';
+        paramsPbkdf2.style.display = 'none';
         paramsAuth.style.display = 'none';
+        paramsAccount.style.display = 'none';
+        paramsRehash.style.display = 'none';
 
         if (algoSelect.value === 'argon2id') {
             paramsArgon.style.display = 'block';
+            paramsRehash.style.display = 'block';
         } else if (algoSelect.value === 'bcrypt') {
             paramsBcrypt.style.display = 'block';
+            paramsRehash.style.display = 'block';
+        } else if (algoSelect.value === 'scrypt') {
+            paramsScrypt.style.display = 'block';
+            paramsRehash.style.display = 'block';
+        } else if (algoSelect.value === 'pbkdf2-sha256') {
+            paramsPbkdf2.style.display = 'block';
+            paramsRehash.style.display = 'block';
         } else if (algoSelect.value === 'zk-auth') {
+            paramsAccount.style.display = 'block';
             paramsAuth.style.display = 'block';
+        } else if (algoSelect.value === 'zk-register') {
+            // Registration picks the account's Argon2 cost
+            paramsAccount.style.display = 'block';
+            paramsArgon.style.display = 'block';
+        } else if (algoSelect.value === 'zk-login') {
+            paramsAccount.style.display = 'block';
+        }
+    });
+
+    // Server endpoint that checks what the Proof Viewer holds, per mode
+    const VERIFY_ENDPOINTS = {
+        'zk-register': '/api/register',
+        'zk-login': '/api/login/verify'
+    };
+
+    // A password hash (see zk-hash/hash-algorithms.js) with the password opened to the server for re-hashing
+    const rehashSelected = () => Object.prototype.hasOwnProperty.call(HashAlgorithms.HASH_ALGORITHMS, algoSelect.value) && rehashOpening.checked;
+    const verifyEndpoint = () => (rehashSelected() ? '/api/verify/rehash' : VERIFY_ENDPOINTS[algoSelect.value]);
+
+    const postJson = async (url, body) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return response.json();
+    };
+
+    // The account behind a session token issued by /api/register or /api/login/verify
+    const getSession = async (token) => {
+        const response = await fetch('/api/session', { headers: { 'Authorization': `Bearer ${token}` } });
+        return response.json();
+    };
+
+    // Same as postJson, but sends the proof in the binary format of zk-hash/codec.js
+    const postBinary = async (url, proof) => {
+        const body = ProofCodec.encode(proof);
+        console.log(`Sending ${body.length} byte binary proof (JSON: ${JSON.stringify(proof).length} bytes)`);
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: body
+        });
+        return response.json();
+    };
+
+    // 0. Request a single-use Challenge Nonce for ZK-Auth
+    challengeBtn.addEventListener('click', async () => {
+        const username = document.getElementById('auth-username').value.trim();
+        if (!username) {
+            alert("Please enter a username.");
+            return;
+        }
+
+        challengeBtn.disabled = true;
+        try {
+            const challenge = await postJson('/api/challenge', { username });
+            if (!challenge.success) throw new Error(challenge.error);
+
+            document.getElementById('auth-nonce').value = challenge.nonce;
+            console.log(`Challenge issued for ${challenge.username}, expires ${new Date(challenge.expires_at).toLocaleTimeString()}`);
+        } catch (e) {
+            alert("Error requesting challenge: " + e.message);
+        } finally {
+            challengeBtn.disabled = false;
         }
     });
 
@@ -44,34 +168,90 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         const algo = algoSelect.value;
         const params = {};
+        let prover;
 
         generateBtn.disabled = true;
         generateBtn.innerText = "Hashing & Generating Proof...";
 
         try {
+            prover = makeProver();
+            progressBar.style.width = '0';
+            progressLabel.innerText = "Starting...";
+            progressBox.style.display = 'block';
+            // Only the worker prover can be stopped mid-proof
+            if (prover.cancel) {
+                cancelBtn.onclick = () => prover.cancel();
+                cancelBtn.style.display = 'inline-block';
+            }
             if (algo === 'bcrypt') {
                 const val = document.getElementById('bcrypt-cost').value;
                 params.cost = parseInt(val) || 10;
             } else if (algo === 'argon2id') {
-                params.time = parseInt(document.getElementById('argon-time').value) || 1;
-                params.mem = parseInt(document.getElementById('argon-mem').value) || 1024;
+                params.time = parseInt(document.getElementById('argon-time').value) || 2;
+                params.mem = parseInt(document.getElementById('argon-mem').value) || 19456;
                 params.hashLen = parseInt(document.getElementById('argon-len').value) || 32;
-                params.salt = "browsersalt123"; // Simplification for demo
+                // No salt: the prover draws a random one for every hash
+            } else if (algo === 'scrypt') {
+                params.ln = parseInt(document.getElementById('scrypt-ln').value) || 15;
+                params.r = parseInt(document.getElementById('scrypt-r').value) || 8;
+                params.p = parseInt(document.getElementById('scrypt-p').value) || 1;
+            } else if (algo === 'pbkdf2-sha256') {
+                params.iterations = parseInt(document.getElementById('pbkdf2-iterations').value) || 600000;
             } else if (algo === 'zk-auth') {
+                const username = document.getElementById('auth-username').value.trim();
                 const nonce = document.getElementById('auth-nonce').value;
+                if (!nonce) {
+                    alert("Request a challenge from the server first.");
+                    return;
+                }
                 console.log("Generating Zero-Knowledge Auth Proof...");
                 
                 // Use the high-level Auth method which hashes the password first
-                const proof = await prover.generateAuthProof(password, nonce);
+                const proof = await prover.generateAuthProof(password, nonce, username);
                 
                 proofOutput.value = JSON.stringify(proof, null, 4);
                 statusBox.style.display = 'none';
                 document.getElementById('edit-hint').style.color = '#58a6ff';
                 return; // Exit early as we handled it manually
+            } else if (algo === 'zk-register' || algo === 'zk-login') {
+                const username = document.getElementById('auth-username').value.trim();
+                if (!username) {
+                    alert("Please enter a username.");
+                    return;
+                }
+
+                let payload;
+                if (algo === 'zk-register') {
+                    // New account: fresh challenge, client-chosen Argon2 cost, random salt
+                    const challenge = await postJson('/api/challenge', { username });
+                    if (!challenge.success) throw new Error(challenge.error);
+
+                    payload = await prover.generateRegistration(password, challenge.nonce, username, {
+                        time: parseInt(document.getElementById('argon-time').value) || 2,
+                        mem: parseInt(document.getElementById('argon-mem').value) || 19456,
+                        hashLen: parseInt(document.getElementById('argon-len').value) || 32
+                    });
+                } else {
+                    // Existing account: the server returns the stored salt/params and a challenge
+                    const login = await postJson('/api/login', { username });
+                    if (!login.success) throw new Error(login.error);
+
+                    payload = await prover.generateAuthProof(password, login.nonce, username, {
+                        salt: login.salt,
+                        params: login.params
+                    });
+                }
+
+                proofOutput.value = JSON.stringify(payload, null, 4);
+                statusBox.style.display = 'none';
+                document.getElementById('edit-hint').style.color = '#58a6ff';
+                return;
             }
 
             console.log(`Starting ${algo} hashing...`);
-            const proof = await prover.generateProof(password, algo, params);
+            const proof = rehashSelected()
+                ? await prover.generateHashOpening(password, algo, params)
+                : await prover.generateProof(password, algo, params);
             
             // Format for display
             proofOutput.value = JSON.stringify(proof, null, 4);
@@ -81,11 +261,22 @@ document.addEventListener('DOMContentLoaded', async () => {
             document.getElementById('edit-hint').style.color = '#58a6ff';
 
         } catch (e) {
-            console.error(e);
-            alert("Error generating proof: " + e.message + "\nCheck console for details.");
+            if (window.ZKWorkerProver && e instanceof ZKWorkerProver.CancelledError) {
+                statusBox.className = 'status error';
+                statusBox.innerText = "Proof generation cancelled.";
+                statusBox.style.display = 'block';
+            } else {
+                console.error(e);
+                alert("Error generating proof: " + e.message + "\nCheck console for details.");
+            }
         } finally {
             generateBtn.disabled = false;
             generateBtn.innerText = "Generate Hash & ZK Proof";
+            progressBox.style.display = 'none';
+            cancelBtn.style.display = 'none';
+            cancelBtn.onclick = null;
+            // Each proof gets a fresh prover; this frees its worker
+            if (prover && prover.cancel) prover.cancel();
         }
     });
 
@@ -110,17 +301,20 @@ document.addEventListener('DOMContentLoaded', async () => {
         statusBox.style.display = 'none';
 
         try {
-            const response = await fetch('/api/verify', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(proofObj)
-            });
-            const result = await response.json();
+            const endpoint = verifyEndpoint();
+            // Only /api/verify takes binary bodies; the other endpoints wrap the proof in a JSON payload
+            const result = (!endpoint && document.getElementById('wire-format').value === 'binary')
+                ? await postBinary('/api/verify', proofObj)
+                : await postJson(endpoint || '/api/verify', proofObj);
             
+            // Registration and login open a session; show the guarded route accepting it
+            const session = result.success && result.token ? await getSession(result.token) : null;
+
             statusBox.className = result.success ? 'status success' : 'status error';
             statusBox.innerText = result.success 
-                ? "✅ SUCCESS: " + result.message 
-                : "❌ FAILED: " + result.error;
+                ? "✅ SUCCESS: " + result.message + (result.needs_upgrade ? " (The hash parameters are below the server's recommendation; consider re-hashing with stronger ones.)" : "")
+                    + (session && session.success ? ` Signed in as ${session.username} until ${new Date(session.expires_at).toLocaleTimeString()}.` : "")
+                : `❌ FAILED${result.code ? ` [${result.code}]` : ''}: ${result.error}`;
             statusBox.style.display = 'block';
 
         } catch (e) {
@@ -2,23 +2,126 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const path = require('path');
 const ZKVerifier = require('../../zk-hash/verifier');
+const ProofCodec = require('../../zk-hash/codec');
+const { ERROR_CODES } = require('../../zk-hash/common');
+const { MemoryNonceStore, FileNonceStore, SqliteNonceStore } = require('../../zk-hash/nonce-store');
+const { MemoryUserStore, FileUserStore, SqliteUserStore } = require('../../zk-hash/user-store');
+const { getHashAlgorithm } = require('../../zk-hash/hash-algorithms');
+const { nodeBackend } = require('../../zk-hash/node-backend');
+const { SessionTokens } = require('../../zk-hash/session');
+const { zkAuth } = require('../../zk-hash/middleware');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(bodyParser.json());
+// Proofs are a few hundred KB as JSON, well above body-parser's 100kb default
+app.use(bodyParser.json({ limit: '2mb' }));
+app.use(bodyParser.raw({ type: 'application/octet-stream', limit: '2mb' }));
 app.use(express.static(path.join(__dirname, '../public')));
 // Expose zk-hash folder to the client so it can load the Prover code
 app.use('/zk-hash', express.static(path.join(__dirname, '../zk-hash')));
 
+// Challenge Nonce and Account Stores
+// NONCE_STORE / USER_STORE = memory (default) | file | sqlite
+// NONCE_STORE_PATH / USER_STORE_PATH = <file or database path>
+// NONCE_TTL_MS / NONCE_MAX_OUTSTANDING = challenge lifetime / open challenges the store holds at most
+const sqliteHandles = new Map();
+function openSqlite(dbPath) {
+    // Optional dependency: only needed when running with the SQLite stores
+    if (!sqliteHandles.has(dbPath)) {
+        const Database = require('better-sqlite3');
+        sqliteHandles.set(dbPath, new Database(dbPath));
+    }
+    return sqliteHandles.get(dbPath);
+}
+
+function createNonceStore() {
+    const kind = process.env.NONCE_STORE || 'memory';
+    const ttlMs = parseInt(process.env.NONCE_TTL_MS) || undefined;
+    const maxOutstanding = parseInt(process.env.NONCE_MAX_OUTSTANDING) || undefined;
+
+    if (kind === 'file') {
+        return new FileNonceStore(process.env.NONCE_STORE_PATH || path.join(__dirname, '../data/nonces.json'), { ttlMs, maxOutstanding });
+    }
+    if (kind === 'sqlite') {
+        return new SqliteNonceStore(openSqlite(process.env.NONCE_STORE_PATH || path.join(__dirname, '../data/zk-hash.db')), { ttlMs, maxOutstanding });
+    }
+    return new MemoryNonceStore({ ttlMs, maxOutstanding });
+}
+
+function createUserStore() {
+    const kind = process.env.USER_STORE || 'memory';
+
+    if (kind === 'file') {
+        return new FileUserStore(process.env.USER_STORE_PATH || path.join(__dirname, '../data/users.json'));
+    }
+    if (kind === 'sqlite') {
+        return new SqliteUserStore(openSqlite(process.env.USER_STORE_PATH || path.join(__dirname, '../data/zk-hash.db')));
+    }
+    return new MemoryUserStore();
+}
+
+const nonceStore = createNonceStore();
+const userStore = createUserStore();
+
+// Server-side re-hashing for password-hash openings (see ZKVerifier.verifyHashOpening).
+// Required lazily so the server still starts where the native argon2 module is missing.
+// scrypt and PBKDF2 run on Node's crypto through the same code the prover hashes with.
+const hashBackend = nodeBackend();
+const hashVerifiers = {
+    bcrypt: (password, hash) => require('bcryptjs').compare(password, hash),
+    argon2id: (password, hash) => require('argon2').verify(hash, password),
+    scrypt: (password, hash) => getHashAlgorithm('scrypt').verify(password, hash, { backend: hashBackend }),
+    'pbkdf2-sha256': (password, hash) => getHashAlgorithm('pbkdf2-sha256').verify(password, hash, { backend: hashBackend })
+};
+
 // Initialize Verifier
-const verifier = new ZKVerifier();
+const verifier = new ZKVerifier({ nonceStore, userStore, hashVerifiers });
+
+// ZK-Auth routes and sessions (see zk-hash/middleware.js)
+// SESSION_SECRET = <32+ byte HMAC key>; without it sessions end when the server restarts
+// SESSION_TTL_MS = <session lifetime in ms>
+// CHALLENGE_RATE_LIMIT / CHALLENGE_RATE_WINDOW_MS = challenges one client IP may request per window
+const sessions = new SessionTokens({ secret: process.env.SESSION_SECRET, ttlMs: parseInt(process.env.SESSION_TTL_MS) || undefined });
+const challengeRateLimit = {
+    max: parseInt(process.env.CHALLENGE_RATE_LIMIT) || undefined,
+    windowMs: parseInt(process.env.CHALLENGE_RATE_WINDOW_MS) || undefined
+};
+const auth = zkAuth({ verifier, sessions, challengeRateLimit });
 
 // API Routes
+app.post('/api/challenge', auth.challenge);
+
+// Registration: { username, salt, params, proof } built by ZKProver.generateRegistration
+app.post('/api/register', auth.register, auth.sendSession);
+
+// Login step 1: hand out the account's salt and Argon2 params plus a fresh challenge
+app.post('/api/login', auth.startLogin);
+
+// Login step 2: the Knowledge Proof for that challenge, checked against the stored record
+app.post('/api/login/verify', auth.login, (req, res) => {
+    console.log(`Login verified for ${req.zkAuth.username}`);
+    auth.sendSession(req, res);
+});
+
+// The account behind a session token
+app.get('/api/session', auth.requireSession, (req, res) => {
+    res.json({ success: true, ...req.zkAuth });
+});
+
+// Accepts the proof as JSON (application/json) or in the binary format of
+// zk-hash/codec.js (application/octet-stream)
 app.post('/api/verify', (req, res) => {
     console.log("Received verification request...");
-    const proof = req.body;
+    let proof = req.body;
+    if (req.is('application/octet-stream')) {
+        try {
+            proof = ProofCodec.decode(req.body);
+        } catch (e) {
+            return res.status(400).json({ success: false, code: ERROR_CODES.PROOF_ENCODING_INVALID, error: "Invalid Proof Encoding: " + e.message });
+        }
+    }
 
     // Verify Proof
     const result = verifier.verify(proof);
@@ -26,6 +129,22 @@ app.post('/api/verify', (req, res) => {
     res.json(result);
 });
 
+// Hash integrity with an opening: { proof, password }. The server re-hashes the password
+// under the client's parameters, so a successful result means outputHash is real.
+// The password is checked and discarded, never stored or logged.
+app.post('/api/verify/rehash', async (req, res) => {
+    console.log("Received verification request with opening...");
+    // Express 4 does not catch rejected promises, so a throw here would leave the request hanging
+    try {
+        const result = await verifier.verifyHashOpening(req.body);
+        console.log("Re-hash Verification Result:", result);
+        res.json(result);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ success: false, code: ERROR_CODES.INTERNAL_ERROR, error: "Verification Logic Error: " + e.message });
+    }
+});
+
 // Start Server
 app.listen(PORT, () => {
     console.log(`Server running at http://localhost:${PORT}`);
@@ -0,0 +1,130 @@
+/**
+ * zk-hash/air.js
+ *
+ * The statements zk-hash proves, as one AIR definition per proof type. A definition
+ * declares its statement once; ZKProver.prove builds proofs for it and ZKVerifier.verify
+ * checks them, with no per-type code in either:
+ *
+ *   proofType     the proof_type string, which is also absorbed into the Fiat-Shamir transcript
+ *   publicInputs  { name: 'string' | 'decimal' | 'hex' }, the statement's own public inputs.
+ *                 'decimal' ones are field elements, refused at or above the modulus.
+ *                 Every proof also carries COMMON_PUBLIC_INPUTS (field, Merkle hash,
+ *                 permutation, transcript hash, proof parameters and trace root).
+ *   challenge     true if public_inputs.nonce must be a live challenge issued to
+ *                 public_inputs.username (ZKVerifier's nonceStore); both must be 'string' inputs
+ *   buildTrace(witness, ctx) -> { trace, publicInputs }
+ *                 Prover side: the trace rows and the statement's public inputs for a witness
+ *   air(publicInputs, ctx) -> AIR instance (see stark-math.js): trace width, step count,
+ *                 transition constraints, public columns and boundary constraints
+ *   check(publicInputs, ctx) -> null | { code, error }
+ *                 Optional: checks on the public inputs alone, run before the STARK
+ *   accept(publicInputs) -> { message, ... }
+ *                 The fields of a successful verification result
+ *   hashOutput(publicInputs) -> null | { algorithm, hash }
+ *                 Optional: the password hash the statement claims, as an encoded string,
+ *                 which ZKVerifier holds to its hash policy (hash-policy.js)
+ *
+ * `ctx` is { field, permutation }: the proof's PrimeField and its trace permutation
+ * adapter (StarkMath.getTracePermutation). The step count of the AIR is recorded as
+ * proof_params.rounds. Third parties add their statements with registerAir, exactly like
+ * the two built-in ones below.
+ */
+
+(function() {
+    const StarkMath = (typeof window !== 'undefined' && window.StarkMath) ? window.StarkMath : require('./stark-math');
+    const { ERROR_CODES } = (typeof window !== 'undefined' && window.CommonZK) ? window.CommonZK : require('./common');
+    const { stringToField, permutationAir, feedForwardTrace } = StarkMath;
+
+    const PUBLIC_INPUT_KINDS = ['string', 'decimal', 'hex'];
+    const COMMON_PUBLIC_INPUTS = ['field', 'merkle_hash', 'permutation', 'transcript_hash', 'proof_params', 'trace_root'];
+
+    // Registered definitions by proof type
+    const AIRS = {};
+
+    /**
+     * Adds an AIR definition (see above) to the registry. Throws if it is malformed or
+     * its proof type is already taken.
+     */
+    function registerAir(definition) {
+        const { proofType, publicInputs } = definition || {};
+        if (typeof proofType !== 'string' || !proofType) throw new Error("An AIR definition needs a proofType");
+        if (Object.prototype.hasOwnProperty.call(AIRS, proofType)) throw new Error(`Proof type ${proofType} is already registered`);
+        if (!publicInputs || typeof publicInputs !== 'object') throw new Error(`AIR ${proofType} must declare its publicInputs`);
+        for (const [name, kind] of Object.entries(publicInputs)) {
+            if (COMMON_PUBLIC_INPUTS.includes(name)) throw new Error(`AIR ${proofType}: public input '${name}' is common to every proof`);
+            if (!PUBLIC_INPUT_KINDS.includes(kind)) throw new Error(`AIR ${proofType}: public input '${name}' must be one of ${PUBLIC_INPUT_KINDS.join(', ')}`);
+        }
+        if (definition.challenge && (publicInputs.nonce !== 'string' || publicInputs.username !== 'string')) {
+            throw new Error(`AIR ${proofType}: challenge proofs need 'nonce' and 'username' string inputs`);
+        }
+        for (const hook of ['buildTrace', 'air', 'accept']) {
+            if (typeof definition[hook] !== 'function') throw new Error(`AIR ${proofType} has no ${hook} function`);
+        }
+        AIRS[proofType] = Object.freeze({ challenge: false, check: () => null, hashOutput: () => null, ...definition });
+        return AIRS[proofType];
+    }
+
+    // The definition registered for `proofType`; throws if there is none
+    function getAir(proofType) {
+        if (!Object.prototype.hasOwnProperty.call(AIRS, proofType)) throw new Error(`Unknown proof type: ${proofType}`);
+        return AIRS[proofType];
+    }
+
+    // Both built-in statements prove a feed-forward trace (StarkMath.feedForwardTrace), whose
+    // output is the last column of its last row
+    const feedForwardOutput = (trace) => trace[trace.length - 1][trace[0].length - 1];
+
+    // Knowledge of a secret H with Permutation(H) + H = V. The key is zero, so V does not change
+    // between logins and doubles as the account's public verification value. Permutation(H)
+    // alone would not do: with a public key it can be inverted, and anyone could log in from V.
+    // The nonce and the username only enter through the transcript, which ties the proof to
+    // that one challenge.
+    // Witness: { secret, nonce, username }
+    registerAir({
+        proofType: 'zk-stark-knowledge-proof',
+        publicInputs: { username: 'string', nonce: 'string', public_output: 'decimal' },
+        challenge: true,
+        buildTrace({ secret, nonce, username }, { field, permutation }) {
+            const trace = feedForwardTrace(permutation, stringToField(secret, field), 0n, field);
+            return { trace, publicInputs: { username, nonce, public_output: feedForwardOutput(trace).toString() } };
+        },
+        air: (pi, { field, permutation }) => permutationAir(permutation, { key: 0n, output: BigInt(pi.public_output), feedForward: true }, field),
+        accept: () => ({ message: "User Verified! Knowledge of Secret Proof accepted." })
+    });
+
+    // BINDING TRICK: for password hashes (Argon2, Bcrypt, scrypt, PBKDF2) the claimed hash is the key of every transition, so
+    // tampering with any byte of outputHash changes the trace. In native 'mimc-stark' mode
+    // the key is zero and outputHash is the trace output itself.
+    const integrityKey = ({ algorithm, outputHash }, field) => (algorithm === 'mimc-stark' ? 0n : stringToField(outputHash, field));
+
+    // A trace from the password keyed by outputHash, fed forward (see StarkMath.permutationAir)
+    // so mimc_output does not give the password's field element back. Nothing here ties
+    // outputHash to the password; that takes ZKVerifier.verifyHashOpening.
+    // Witness: { password, algorithm, outputHash } (no outputHash for 'mimc-stark')
+    registerAir({
+        proofType: 'zk-stark-mimc-real',
+        publicInputs: { algorithm: 'string', outputHash: 'string', mimc_output: 'decimal' },
+        buildTrace({ password, algorithm, outputHash }, { field, permutation }) {
+            const trace = feedForwardTrace(permutation, stringToField(password, field), integrityKey({ algorithm, outputHash }, field), field);
+            const output = feedForwardOutput(trace).toString();
+            return { trace, publicInputs: { algorithm, outputHash: algorithm === 'mimc-stark' ? output : outputHash, mimc_output: output } };
+        },
+        check: (pi) => ((pi.algorithm === 'mimc-stark' && pi.outputHash !== pi.mimc_output)
+            ? { code: ERROR_CODES.BOUNDARY_MISMATCH, error: "Data Integrity Failed: Claimed output does not match proof output." }
+            : null),
+        air: (pi, { field, permutation }) => permutationAir(permutation, { key: integrityKey(pi, field), output: BigInt(pi.mimc_output), feedForward: true }, field),
+        hashOutput: (pi) => (pi.algorithm === 'mimc-stark' ? null : { algorithm: pi.algorithm, hash: pi.outputHash }),
+        accept: (pi) => (pi.algorithm === 'mimc-stark'
+            ? { hash_verified: true, message: "STARK Proof Verified! Validated mimc-stark integrity: the MiMC output is proven." }
+            : { hash_verified: false, message: `STARK Proof Verified! The MiMC trace is bound to the claimed ${pi.algorithm} hash, but the hash itself was not recomputed.` })
+    });
+
+    const AirRegistry = { AIRS, COMMON_PUBLIC_INPUTS, PUBLIC_INPUT_KINDS, registerAir, getAir };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AirRegistry;
+    }
+    if (typeof window !== 'undefined') {
+        window.AirRegistry = AirRegistry;
+    }
+})();
@@ -0,0 +1,3 @@
+#!/usr/bin/env node
+// The zk-hash command (package.json "bin"), see cli.js
+require('../cli').run();
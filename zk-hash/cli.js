@@ -0,0 +1,299 @@
+/**
+ * zk-hash/cli.js
+ *
+ * Produces and checks proofs from the command line, for scripts and CI jobs:
+ *
+ *   zk-hash prove --algorithm <name> [--param k=v ...]   < password
+ *   zk-hash auth-prove --nonce <nonce> --username <name> --salt <salt> [--param k=v ...]   < password
+ *   zk-hash verify <file>
+ *   zk-hash inspect <file>
+ *
+ * `zk-hash` is the package's bin (bin/zk-hash.js); `node zk-hash/cli.js` runs the same.
+ *
+ * Passwords are read from stdin (one trailing newline is dropped), never from arguments.
+ * Proof files may be JSON or any ProofCodec encoding (binary, hex, base64url); `-` is stdin.
+ * `verify` prints the verifier's result as JSON and exits with EXIT_CODES.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const ZKProver = require('./prover');
+const ZKVerifier = require('./verifier');
+const ProofCodec = require('./codec');
+const { HASH_ALGORITHMS, getHashAlgorithm } = require('./hash-algorithms');
+const { nodeBackend } = require('./node-backend');
+const { starkProofSummary } = require('./stark-math');
+const { ZK_PROOF_PREFIX, ERROR_CODES } = require('./common');
+
+// Process exit codes. `verify` exits REJECTED for every failure code except INTERNAL_ERROR.
+const EXIT_CODES = {
+    OK: 0,
+    REJECTED: 1,
+    USAGE: 2,
+    INTERNAL_ERROR: 3
+};
+
+const FORMATS = ['json', 'binary', 'hex', 'base64url'];
+
+const USAGE = `Usage: zk-hash <command> [options]
+
+Commands:
+  prove        Proves the password on stdin hashes to a password hash (or to its MiMC output)
+    --algorithm <name>       argon2id, bcrypt, scrypt, pbkdf2-sha256 or mimc-stark
+    --param <name=value>     Hash parameter, repeatable (e.g. time=3, mem=19456, cost=12, ln=15, iterations=600000, salt=...)
+  auth-prove   Proves knowledge of the ZK-Auth secret Argon2(password, salt) for a login challenge
+    --nonce <nonce>          Challenge issued by POST /api/login
+    --username <name>        Account the challenge was issued to
+    --salt <salt>            The account's salt from POST /api/login
+    --param <name=value>     The account's Argon2 parameters (time, mem, hashLen)
+  verify <file>              Verifies a proof; exits 0 if accepted, 1 if rejected, 3 on an internal error
+    --min-security-bits <n>  Raise the verifier's security policy
+  inspect <file>             Prints the public inputs, query indices and Merkle path depths of a proof
+    --format json            As JSON instead of a table
+
+Proving options:
+  --field <name>             stark252 (default) or goldilocks
+  --merkle-hash <id>         sha256 (default), blake2s, mimc-sponge or poseidon
+  --permutation <id>         mimc (default) or poseidon
+  --transcript-hash <id>     sha256 (default) or poseidon
+  --proof-param <name=value> rounds, queries, blowup or grinding_bits, repeatable
+  --format <format>          json (default), binary, hex or base64url
+  --out <file>               Write the proof to a file instead of stdout
+`;
+
+class UsageError extends Error {}
+
+const OPTIONS = {
+    algorithm: { type: 'string' },
+    param: { type: 'string', multiple: true },
+    nonce: { type: 'string' },
+    username: { type: 'string' },
+    salt: { type: 'string' },
+    field: { type: 'string' },
+    'merkle-hash': { type: 'string' },
+    permutation: { type: 'string' },
+    'transcript-hash': { type: 'string' },
+    'proof-param': { type: 'string', multiple: true },
+    format: { type: 'string' },
+    out: { type: 'string' },
+    'min-security-bits': { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Integer option values; anything else is a usage error
+function toInteger(name, text) {
+    if (!/^\d+$/.test(text)) throw new UsageError(`${name} must be a non-negative integer, got '${text}'`);
+    return parseInt(text, 10);
+}
+
+// name=value pairs of a repeatable option, restricted to `allowed` names. Values are
+// integers, except those named in `strings`.
+function keyValues(option, pairs = [], allowed, strings = []) {
+    const values = {};
+    for (const pair of pairs) {
+        const eq = pair.indexOf('=');
+        const name = eq > 0 ? pair.slice(0, eq) : '';
+        if (!allowed.includes(name)) {
+            throw new UsageError(`--${option} expects name=value with name one of ${allowed.join(', ')}, got '${pair}'`);
+        }
+        const text = pair.slice(eq + 1);
+        values[name] = strings.includes(name) ? text : toInteger(`--${option} ${name}`, text);
+    }
+    return values;
+}
+
+function readStdin() {
+    return fs.readFileSync(0);
+}
+
+// The password piped in on stdin, without the newline `echo` or a terminal adds
+function readPassword() {
+    if (process.stdin.isTTY) throw new UsageError("Pipe the password in on stdin");
+    const password = readStdin().toString('utf8').replace(/\r?\n$/, '');
+    if (!password) throw new UsageError("The password on stdin is empty");
+    return password;
+}
+
+/**
+ * Reads a proof from `file` (or stdin for '-') in any of the forms `prove` writes.
+ * Throws a UsageError if it cannot be read and an Error if it is none of them.
+ */
+function readProof(file) {
+    let data;
+    try {
+        data = file === '-' ? readStdin() : fs.readFileSync(file);
+    } catch (e) {
+        throw new UsageError(`Cannot read ${file}: ${e.message}`);
+    }
+    const magic = Buffer.from(ZK_PROOF_PREFIX, 'utf8');
+    if (data.length >= magic.length && data.subarray(0, magic.length).equals(magic)) {
+        return ProofCodec.decode(new Uint8Array(data));
+    }
+    const text = data.toString('utf8').trim();
+    if (text.startsWith('{')) return JSON.parse(text);
+    if (/^[0-9a-fA-F]+$/.test(text)) return ProofCodec.decodeHex(text);
+    return ProofCodec.decodeBase64url(text);
+}
+
+function writeProof(proof, { format = 'json', out }) {
+    let data;
+    switch (format) {
+        case 'json': data = JSON.stringify(proof, null, 2) + '\n'; break;
+        case 'binary': data = Buffer.from(ProofCodec.encode(proof)); break;
+        case 'hex': data = ProofCodec.encodeHex(proof) + '\n'; break;
+        case 'base64url': data = ProofCodec.encodeBase64url(proof) + '\n'; break;
+        default: throw new Error(`Unknown format ${format}`);
+    }
+    if (out) fs.writeFileSync(out, data);
+    else process.stdout.write(data);
+}
+
+function makeProver(values) {
+    return new ZKProver(null, null, {
+        backend: nodeBackend(),
+        // stdout is where the proof goes
+        logger: null,
+        field: values.field,
+        merkleHash: values['merkle-hash'],
+        permutation: values.permutation,
+        transcriptHash: values['transcript-hash'],
+        params: keyValues('proof-param', values['proof-param'], ['rounds', 'queries', 'blowup', 'grinding_bits'])
+    });
+}
+
+async function prove(values) {
+    const algorithm = values.algorithm;
+    if (!algorithm) throw new UsageError("prove needs --algorithm");
+    if (algorithm !== 'mimc-stark' && !Object.prototype.hasOwnProperty.call(HASH_ALGORITHMS, algorithm)) {
+        throw new UsageError(`Unknown --algorithm '${algorithm}': use mimc-stark or one of ${Object.keys(HASH_ALGORITHMS).join(', ')}`);
+    }
+    const allowed = algorithm === 'mimc-stark' ? [] : [...Object.keys(getHashAlgorithm(algorithm).defaults), 'salt'];
+    const params = keyValues('param', values.param, allowed, ['salt']);
+    const password = readPassword();
+    const prover = makeProver(values);
+    writeProof(await prover.generateProof(password, algorithm, params), values);
+    return EXIT_CODES.OK;
+}
+
+async function authProve(values) {
+    for (const name of ['nonce', 'username', 'salt']) {
+        if (!values[name]) throw new UsageError(`auth-prove needs --${name}`);
+    }
+    const params = keyValues('param', values.param, Object.keys(getHashAlgorithm('argon2id').defaults));
+    const password = readPassword();
+    const prover = makeProver(values);
+    const account = { salt: values.salt, params };
+    writeProof(await prover.generateAuthProof(password, values.nonce, values.username, account), values);
+    return EXIT_CODES.OK;
+}
+
+function verify(values, file) {
+    const securityPolicy = values['min-security-bits'] ? { minSecurityBits: toInteger('--min-security-bits', values['min-security-bits']) } : undefined;
+    let result;
+    try {
+        result = new ZKVerifier({ securityPolicy }).verify(readProof(file));
+    } catch (e) {
+        if (e instanceof UsageError) throw e;
+        result = { success: false, code: ERROR_CODES.PROOF_ENCODING_INVALID, error: `Invalid Proof Encoding: ${e.message}` };
+    }
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    if (result.success) return EXIT_CODES.OK;
+    return result.code === ERROR_CODES.INTERNAL_ERROR ? EXIT_CODES.INTERNAL_ERROR : EXIT_CODES.REJECTED;
+}
+
+/**
+ * What `inspect` prints: the proof's public inputs and, if its statement, field and
+ * transcript are known here, where the transcript sends the queries and how deep every
+ * commitment's Merkle paths are (see StarkMath.starkProofSummary). Nothing is verified.
+ */
+function describeProof(proof) {
+    const verifier = new ZKVerifier();
+    const description = { proof_type: proof.proof_type, public_inputs: proof.public_inputs };
+    const definition = verifier.resolveAir(proof.proof_type);
+    const publicInputs = proof.public_inputs || {};
+    const field = definition ? verifier.resolveField(publicInputs) : null;
+    const permutation = field ? verifier.resolvePermutation(publicInputs, field) : null;
+    const transcript = field ? verifier.resolveTranscript(proof.proof_type, publicInputs, field) : null;
+    if (!permutation || !transcript) {
+        description.summary_error = "Unknown proof type, field, permutation or transcript hash";
+        return description;
+    }
+    try {
+        const air = definition.air(publicInputs, { field, permutation });
+        const body = { trace_root: publicInputs.trace_root, trace_queries: proof.trace_queries, fri: proof.fri };
+        description.summary = starkProofSummary(air, body, { params: publicInputs.proof_params, field, transcript });
+    } catch (e) {
+        description.summary_error = e.message;
+    }
+    return description;
+}
+
+// describeProof's result as aligned text
+function formatDescription({ proof_type: proofType, public_inputs: publicInputs = {}, summary, summary_error: summaryError }) {
+    const lines = [`proof_type  ${proofType}`, '', 'public inputs'];
+    const width = Math.max(...Object.keys(publicInputs).map(k => k.length));
+    for (const [name, value] of Object.entries(publicInputs)) {
+        const text = value && typeof value === 'object'
+            ? Object.entries(value).map(([k, v]) => `${k}=${v}`).join(' ')
+            : String(value);
+        lines.push(`  ${name.padEnd(width)}  ${text}`);
+    }
+    lines.push('');
+    if (!summary) {
+        lines.push(`No query summary: ${summaryError}`);
+        return lines.join('\n') + '\n';
+    }
+    lines.push(`trace length ${summary.trace_length}, LDE size ${summary.lde_size}, proof of work ${summary.grinding_valid ? 'valid' : 'INVALID'}`);
+    lines.push(`query indices (${summary.query_indices.length} in [0, ${summary.lde_size / 2}))`);
+    lines.push(`  ${summary.query_indices.join(' ')}`, '', 'commitments');
+    const rows = [['name', 'leaves', 'path depth', 'opened', 'nodes', 'root']].concat(summary.commitments.map(c =>
+        [c.name, c.leaves, c.path_depth, c.opened_leaves, c.nodes, c.root].map(String)));
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+    for (const row of rows) lines.push('  ' + row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+    return lines.join('\n') + '\n';
+}
+
+function inspect(values, file) {
+    const description = describeProof(readProof(file));
+    process.stdout.write(values.format === 'json' ? JSON.stringify(description, null, 2) + '\n' : formatDescription(description));
+    return EXIT_CODES.OK;
+}
+
+const COMMANDS = {
+    prove: { run: prove, files: 0 },
+    'auth-prove': { run: authProve, files: 0 },
+    verify: { run: verify, files: 1 },
+    inspect: { run: inspect, files: 1 }
+};
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [name, ...files] = positionals;
+    if (values.help || !name) {
+        process.stdout.write(USAGE);
+        return values.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+    const command = COMMANDS[name];
+    if (!command) throw new UsageError(`Unknown command '${name}'`);
+    if (values.format !== undefined && !FORMATS.includes(values.format)) throw new UsageError(`Unknown --format '${values.format}': use ${FORMATS.join(', ')}`);
+    if (files.length !== command.files) {
+        throw new UsageError(command.files ? `${name} takes one proof file (or - for stdin)` : `${name} takes no file arguments`);
+    }
+    return command.run(values, ...files);
+}
+
+// Runs main on the process arguments and sets the exit code
+function run() {
+    return main(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    }, (e) => {
+        // parseArgs reports unknown and malformed options with ERR_PARSE_ARGS_* codes
+        const usage = e instanceof UsageError || (typeof e.code === 'string' && e.code.startsWith('ERR_PARSE_ARGS'));
+        console.error(usage ? `${e.message}\n\n${USAGE}` : e.message);
+        process.exitCode = usage ? EXIT_CODES.USAGE : EXIT_CODES.INTERNAL_ERROR;
+    });
+}
+
+if (require.main === module) run();
+
+module.exports = { EXIT_CODES, readProof, describeProof, main, run };
@@ -0,0 +1,358 @@
+/**
+ * zk-hash/codec.js
+ *
+ * Compact binary encoding for proofs, usable in the browser and in Node.
+ *
+ *   magic    UTF-8 bytes of ZK_PROOF_PREFIX ("zk-stark-proof-v1")
+ *   version  1 byte, FORMAT_VERSION
+ *   type     1 byte, see PROOF_TYPES (replaces the proof_type field); for proof types
+ *            without a wire id (AIRs registered by third parties) it is 0, followed by
+ *            the proof_type string (varint length + UTF-8)
+ *   keys     varint count, then every object key once (varint length + UTF-8)
+ *   body     the rest of the proof as one tagged value
+ *
+ * Values are tagged, so new proof fields need no format change. Decimal strings
+ * (field elements) are stored as length-prefixed big-endian integers and hex strings
+ * (Merkle digests, nonces) as length-prefixed bytes. Both decode back to the exact
+ * same string, so decode(encode(proof)) deep-equals the JSON proof.
+ */
+
+(function() {
+    let ZK_PROOF_PREFIX;
+    if (typeof window !== 'undefined' && window.CommonZK) {
+        ZK_PROOF_PREFIX = window.CommonZK.ZK_PROOF_PREFIX;
+    } else if (typeof require !== 'undefined') {
+        ZK_PROOF_PREFIX = require('./common').ZK_PROOF_PREFIX;
+    } else {
+        throw new Error("CommonZK not found");
+    }
+
+    const FORMAT_VERSION = 1;
+
+    // Wire ids of the proof types. Never renumber: old encodings must keep decoding.
+    const PROOF_TYPES = {
+        'zk-stark-mimc-real': 1,
+        'zk-stark-knowledge-proof': 2
+    };
+    const NAMED_PROOF_TYPE = 0;
+
+    const TAG = {
+        NULL: 0,
+        FALSE: 1,
+        TRUE: 2,
+        UINT: 3,      // varint
+        DECIMAL: 4,   // varint length + big-endian magnitude
+        HEX: 5,       // varint length + bytes
+        STRING: 6,    // varint length + UTF-8
+        ARRAY: 7,     // varint count + values
+        OBJECT: 8,    // varint count + (varint key index, value) pairs
+        NUMBER: 9     // float64, for numbers that are not small non-negative integers
+    };
+
+    const MAX_DEPTH = 64;
+    const DECIMAL_RE = /^(0|[1-9][0-9]*)$/;
+    const HEX_RE = /^(?:[0-9a-f]{2})+$/;
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+    const MAGIC = encoder.encode(ZK_PROOF_PREFIX);
+
+    // --- Writer ---
+
+    class ByteWriter {
+        constructor() {
+            this.chunks = [];
+            this.length = 0;
+        }
+
+        bytes(arr) {
+            this.chunks.push(arr);
+            this.length += arr.length;
+        }
+
+        byte(b) { this.bytes(Uint8Array.of(b)); }
+
+        varint(n) {
+            const out = [];
+            do {
+                let b = n % 128;
+                n = Math.floor(n / 128);
+                if (n > 0) b |= 0x80;
+                out.push(b);
+            } while (n > 0);
+            this.bytes(Uint8Array.from(out));
+        }
+
+        lengthPrefixed(arr) {
+            this.varint(arr.length);
+            this.bytes(arr);
+        }
+
+        finish() {
+            const out = new Uint8Array(this.length);
+            let offset = 0;
+            for (const chunk of this.chunks) {
+                out.set(chunk, offset);
+                offset += chunk.length;
+            }
+            return out;
+        }
+    }
+
+    function bigintToBytes(val) {
+        let hex = val.toString(16);
+        if (val === 0n) return new Uint8Array(0);
+        if (hex.length % 2) hex = '0' + hex;
+        return hexToBytes(hex);
+    }
+
+    function hexToBytes(hex) {
+        const out = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+        return out;
+    }
+
+    function bytesToHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function collectKeys(value, keys, depth) {
+        if (depth > MAX_DEPTH) throw new Error("Proof is nested too deeply to encode");
+        if (Array.isArray(value)) {
+            value.forEach(v => collectKeys(v, keys, depth + 1));
+        } else if (value !== null && typeof value === 'object') {
+            for (const [k, v] of Object.entries(value)) {
+                if (!keys.has(k)) keys.set(k, keys.size);
+                collectKeys(v, keys, depth + 1);
+            }
+        }
+    }
+
+    function writeValue(w, value, keys) {
+        if (value === null || value === undefined) {
+            w.byte(TAG.NULL);
+        } else if (value === true || value === false) {
+            w.byte(value ? TAG.TRUE : TAG.FALSE);
+        } else if (typeof value === 'number') {
+            if (Number.isSafeInteger(value) && value >= 0) {
+                w.byte(TAG.UINT);
+                w.varint(value);
+            } else {
+                const buf = new Uint8Array(8);
+                new DataView(buf.buffer).setFloat64(0, value);
+                w.byte(TAG.NUMBER);
+                w.bytes(buf);
+            }
+        } else if (typeof value === 'bigint') {
+            if (value < 0n) throw new Error("Cannot encode a negative BigInt");
+            w.byte(TAG.DECIMAL);
+            w.lengthPrefixed(bigintToBytes(value));
+        } else if (typeof value === 'string') {
+            if (DECIMAL_RE.test(value)) {
+                w.byte(TAG.DECIMAL);
+                w.lengthPrefixed(bigintToBytes(BigInt(value)));
+            } else if (HEX_RE.test(value)) {
+                w.byte(TAG.HEX);
+                w.lengthPrefixed(hexToBytes(value));
+            } else {
+                w.byte(TAG.STRING);
+                w.lengthPrefixed(encoder.encode(value));
+            }
+        } else if (Array.isArray(value)) {
+            w.byte(TAG.ARRAY);
+            w.varint(value.length);
+            value.forEach(v => writeValue(w, v, keys));
+        } else if (typeof value === 'object') {
+            const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+            w.byte(TAG.OBJECT);
+            w.varint(entries.length);
+            for (const [k, v] of entries) {
+                w.varint(keys.get(k));
+                writeValue(w, v, keys);
+            }
+        } else {
+            throw new Error(`Cannot encode a value of type ${typeof value}`);
+        }
+    }
+
+    /**
+     * Encodes a proof object (as built by ZKProver) into bytes.
+     */
+    function encode(proof) {
+        if (!proof || typeof proof !== 'object') throw new Error("Proof must be an object");
+        if (typeof proof.proof_type !== 'string' || !proof.proof_type) throw new Error("Proof has no proof_type");
+
+        const { proof_type, ...body } = proof;
+        const keys = new Map();
+        collectKeys(body, keys, 0);
+
+        const w = new ByteWriter();
+        w.bytes(MAGIC);
+        w.byte(FORMAT_VERSION);
+        if (Object.prototype.hasOwnProperty.call(PROOF_TYPES, proof_type)) {
+            w.byte(PROOF_TYPES[proof_type]);
+        } else {
+            w.byte(NAMED_PROOF_TYPE);
+            w.lengthPrefixed(encoder.encode(proof_type));
+        }
+        w.varint(keys.size);
+        for (const k of keys.keys()) w.lengthPrefixed(encoder.encode(k));
+        writeValue(w, body, keys);
+        return w.finish();
+    }
+
+    // --- Reader ---
+
+    class ByteReader {
+        constructor(bytes) {
+            this.buf = bytes;
+            this.pos = 0;
+        }
+
+        byte() {
+            if (this.pos >= this.buf.length) throw new Error("Unexpected end of proof data");
+            return this.buf[this.pos++];
+        }
+
+        bytes(n) {
+            if (n > this.buf.length - this.pos) throw new Error("Unexpected end of proof data");
+            const out = this.buf.subarray(this.pos, this.pos + n);
+            this.pos += n;
+            return out;
+        }
+
+        varint() {
+            let n = 0;
+            let scale = 1;
+            for (let i = 0; ; i++) {
+                if (i >= 8) throw new Error("Varint is too long");
+                const b = this.byte();
+                n += (b & 0x7f) * scale;
+                if (!(b & 0x80)) break;
+                scale *= 128;
+            }
+            if (!Number.isSafeInteger(n)) throw new Error("Varint is out of range");
+            return n;
+        }
+
+        lengthPrefixed() {
+            return this.bytes(this.varint());
+        }
+    }
+
+    function readValue(r, keys, depth) {
+        if (depth > MAX_DEPTH) throw new Error("Proof data is nested too deeply");
+        const tag = r.byte();
+        switch (tag) {
+            case TAG.NULL: return null;
+            case TAG.FALSE: return false;
+            case TAG.TRUE: return true;
+            case TAG.UINT: return r.varint();
+            case TAG.NUMBER: {
+                const b = r.bytes(8);
+                return new DataView(b.buffer, b.byteOffset, 8).getFloat64(0);
+            }
+            case TAG.DECIMAL: {
+                const b = r.lengthPrefixed();
+                return b.length ? BigInt('0x' + bytesToHex(b)).toString() : '0';
+            }
+            case TAG.HEX: return bytesToHex(r.lengthPrefixed());
+            case TAG.STRING: return decoder.decode(r.lengthPrefixed());
+            case TAG.ARRAY: {
+                const count = r.varint();
+                if (count > r.buf.length - r.pos) throw new Error("Array length exceeds proof data");
+                const arr = [];
+                for (let i = 0; i < count; i++) arr.push(readValue(r, keys, depth + 1));
+                return arr;
+            }
+            case TAG.OBJECT: {
+                const count = r.varint();
+                if (count > r.buf.length - r.pos) throw new Error("Object size exceeds proof data");
+                const obj = {};
+                for (let i = 0; i < count; i++) {
+                    const keyIdx = r.varint();
+                    if (keyIdx >= keys.length) throw new Error("Unknown key reference in proof data");
+                    // defineProperty, like JSON.parse, so a '__proto__' key stays a plain key
+                    Object.defineProperty(obj, keys[keyIdx], { value: readValue(r, keys, depth + 1), enumerable: true, writable: true, configurable: true });
+                }
+                return obj;
+            }
+            default:
+                throw new Error(`Unknown value tag ${tag} in proof data`);
+        }
+    }
+
+    /**
+     * Decodes bytes produced by encode() back into the proof object.
+     * Throws on a wrong magic header, an unsupported version or truncated data.
+     */
+    function decode(bytes) {
+        const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        const r = new ByteReader(data);
+
+        const magic = r.bytes(Math.min(MAGIC.length, data.length));
+        if (magic.length !== MAGIC.length || magic.some((b, i) => b !== MAGIC[i])) {
+            throw new Error(`Not a proof: missing '${ZK_PROOF_PREFIX}' header`);
+        }
+        const version = r.byte();
+        if (version !== FORMAT_VERSION) throw new Error(`Unsupported proof format version ${version}`);
+        const typeId = r.byte();
+        const proofType = typeId === NAMED_PROOF_TYPE
+            ? decoder.decode(r.lengthPrefixed())
+            : Object.keys(PROOF_TYPES).find(t => PROOF_TYPES[t] === typeId);
+        if (!proofType) throw new Error(`Unknown proof type id ${typeId}`);
+
+        const keyCount = r.varint();
+        if (keyCount > data.length - r.pos) throw new Error("Key table exceeds proof data");
+        const keys = [];
+        for (let i = 0; i < keyCount; i++) keys.push(decoder.decode(r.lengthPrefixed()));
+
+        const body = readValue(r, keys, 0);
+        if (r.pos !== data.length) throw new Error("Trailing bytes after proof data");
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error("Proof body must be an object");
+        return { proof_type: proofType, ...body };
+    }
+
+    // --- Transport wrappers ---
+
+    function toBase64url(bytes) {
+        let b64;
+        if (typeof Buffer !== 'undefined') {
+            b64 = Buffer.from(bytes).toString('base64');
+        } else {
+            let bin = '';
+            for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+            b64 = btoa(bin);
+        }
+        return b64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64url(text) {
+        if (typeof text !== 'string' || !/^[A-Za-z0-9_-]*$/.test(text)) throw new Error("Invalid base64url proof");
+        const b64 = text.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - text.length % 4) % 4);
+        if (typeof Buffer !== 'undefined') return new Uint8Array(Buffer.from(b64, 'base64'));
+        const bin = atob(b64);
+        return Uint8Array.from(bin, c => c.charCodeAt(0));
+    }
+
+    const ProofCodec = {
+        FORMAT_VERSION,
+        PROOF_TYPES,
+        encode,
+        decode,
+        encodeBase64url: (proof) => toBase64url(encode(proof)),
+        decodeBase64url: (text) => decode(fromBase64url(text)),
+        encodeHex: (proof) => bytesToHex(encode(proof)),
+        decodeHex: (text) => {
+            if (typeof text !== 'string' || !/^(?:[0-9a-fA-F]{2})*$/.test(text)) throw new Error("Invalid hex proof");
+            return decode(hexToBytes(text.toLowerCase()));
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ProofCodec;
+    }
+    if (typeof window !== 'undefined') {
+        window.ProofCodec = ProofCodec;
+    }
+})();
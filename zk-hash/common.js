@@ -1,22 +1,77 @@
 // Common constants and utilities for the ZK Hash demo
 
+// Password hashes a proof can be about (see hash-algorithms.js), besides the native 'mimc-stark'
 const ALGORITHMS = {
     BCRYPT: 'bcrypt',
-    ARGON2ID: 'argon2id'
+    ARGON2ID: 'argon2id',
+    SCRYPT: 'scrypt',
+    PBKDF2_SHA256: 'pbkdf2-sha256'
 };
 
 const ZK_PROOF_PREFIX = "zk-stark-proof-v1";
 
+// Machine-readable failure reasons, returned as `code` next to the human `error`.
+// Clients branch on them and logs count them, so a code is never renamed or reused.
+const ERROR_CODES = {
+    SCHEMA_INVALID: 'SCHEMA_INVALID',                   // Malformed proof or request, rejected before any math
+    PROOF_TYPE_UNKNOWN: 'PROOF_TYPE_UNKNOWN',
+    PROOF_ENCODING_INVALID: 'PROOF_ENCODING_INVALID',   // Binary body that does not decode
+    FIELD_UNSUPPORTED: 'FIELD_UNSUPPORTED',
+    MERKLE_HASH_UNSUPPORTED: 'MERKLE_HASH_UNSUPPORTED',
+    PERMUTATION_UNSUPPORTED: 'PERMUTATION_UNSUPPORTED',
+    TRANSCRIPT_HASH_UNSUPPORTED: 'TRANSCRIPT_HASH_UNSUPPORTED',
+    SECURITY_POLICY_VIOLATION: 'SECURITY_POLICY_VIOLATION', // Proof parameters weaker than the verifier accepts
+    COMMITMENT_INVALID: 'COMMITMENT_INVALID',           // A root that is not a digest of the declared hasher
+    CHALLENGE_REJECTED: 'CHALLENGE_REJECTED',           // Nonce unknown, used, expired or issued to someone else
+    CHALLENGE_RATE_LIMITED: 'CHALLENGE_RATE_LIMITED',   // This client asked for too many challenges too quickly
+    CHALLENGE_LIMIT_REACHED: 'CHALLENGE_LIMIT_REACHED', // The nonce store is full; retry once challenges expire
+    MERKLE_PATH_INVALID: 'MERKLE_PATH_INVALID',
+    FS_QUERY_MISSING: 'FS_QUERY_MISSING',               // An opening the Fiat-Shamir transcript requires is absent
+    FRI_FOLD_MISMATCH: 'FRI_FOLD_MISMATCH',
+    LOW_DEGREE_TEST_FAILED: 'LOW_DEGREE_TEST_FAILED',   // The trace does not satisfy the constraints
+    GRINDING_INVALID: 'GRINDING_INVALID',               // Proof-of-work nonce below the declared difficulty
+    BOUNDARY_MISMATCH: 'BOUNDARY_MISMATCH',             // Claimed output differs from the proven one
+    OPENING_MISMATCH: 'OPENING_MISMATCH',               // The proof does not commit to the revealed password
+    HASH_MISMATCH: 'HASH_MISMATCH',                     // Re-hashing the password does not give the claimed hash
+    REHASH_UNAVAILABLE: 'REHASH_UNAVAILABLE',           // The server cannot re-hash this algorithm or these parameters
+    HASH_FORMAT_INVALID: 'HASH_FORMAT_INVALID',         // outputHash is not a PHC / modular crypt string of its algorithm
+    HASH_VARIANT_REJECTED: 'HASH_VARIANT_REJECTED',     // Hash variant or version outside the hash policy
+    HASH_MEMORY_TOO_LOW: 'HASH_MEMORY_TOO_LOW',
+    HASH_ITERATIONS_TOO_LOW: 'HASH_ITERATIONS_TOO_LOW',
+    HASH_COST_TOO_LOW: 'HASH_COST_TOO_LOW',
+    HASH_SALT_TOO_SHORT: 'HASH_SALT_TOO_SHORT',
+    HASH_PARAMS_TOO_HIGH: 'HASH_PARAMS_TOO_HIGH',       // Hash parameters above the hash policy's maximums
+    USERNAME_MISMATCH: 'USERNAME_MISMATCH',
+    USERNAME_TAKEN: 'USERNAME_TAKEN',
+    USER_UNKNOWN: 'USER_UNKNOWN',
+    CREDENTIAL_MISMATCH: 'CREDENTIAL_MISMATCH',         // Valid proof, but not for the registered secret
+    SESSION_REQUIRED: 'SESSION_REQUIRED',               // No session token on a route that requires one
+    SESSION_INVALID: 'SESSION_INVALID',                 // Malformed or forged token, or its account is gone
+    SESSION_EXPIRED: 'SESSION_EXPIRED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// The one form of a username that challenges, accounts, proofs and sessions are compared in:
+// surrounding whitespace removed and Unicode NFC, so "alice " and a decomposed "é" name the
+// same account as "alice" and a precomposed "é". '' for anything that is not a string.
+function normalizeUsername(username) {
+    return typeof username === 'string' ? username.trim().normalize('NFC') : '';
+}
+
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         ALGORITHMS,
-        ZK_PROOF_PREFIX
+        ZK_PROOF_PREFIX,
+        ERROR_CODES,
+        normalizeUsername
     };
 }
 if (typeof window !== 'undefined') {
     window.CommonZK = {
         ALGORITHMS,
-        ZK_PROOF_PREFIX
+        ZK_PROOF_PREFIX,
+        ERROR_CODES,
+        normalizeUsername
     };
 }
 
@@ -0,0 +1,23 @@
+/**
+ * zk-hash/grind-worker.js
+ *
+ * Web Worker that searches the proof-of-work grinding nonce (StarkMath.grind) off
+ * the page's main thread. Used through ZKProver.workerGrinder().
+ *
+ *   in:  { seed, bits, field }   seed as a decimal string, field by name
+ *   out: { nonce } or { error }  nonce as a decimal string
+ */
+
+// The zk-hash scripts export through `window`; a worker only has `self`
+self.window = self;
+importScripts('common.js', 'merkle-hash.js', 'params.js', 'mimc.js', 'poseidon.js', 'stark-math.js');
+
+self.onmessage = (event) => {
+    const { seed, bits, field } = event.data;
+    try {
+        const nonce = StarkMath.grind(BigInt(seed), bits, StarkMath.getField(field));
+        self.postMessage({ nonce: nonce.toString() });
+    } catch (e) {
+        self.postMessage({ error: e.message });
+    }
+};
@@ -0,0 +1,167 @@
+/**
+ * zk-hash/hash-algorithms.js
+ *
+ * The password hashing algorithms ZKProver.generateProof can prove, one definition each.
+ * A definition turns a password and its parameters into the encoded hash the proof binds
+ * to (public_inputs.outputHash), using the primitives of a hashing backend (hash-backend.js):
+ *
+ *   name        the `algorithm` of the proof, also its public input
+ *   scheme      the encoding of its hashes, as HashPolicy.parseHash reads it on the server
+ *   defaults    parameters used where the caller does not choose any
+ *   hash(password, params, { backend, generateSalt }) -> Promise<string>
+ *               the encoded hash; `params.salt` fixes the salt, otherwise a fresh one is drawn
+ *   verify(password, encoded, { backend }) -> Promise<boolean>
+ *               Optional: recomputes an encoded hash, for ZKVerifier's hashVerifiers
+ *
+ * scrypt and PBKDF2-SHA256 hashes use the PHC string format, with salt and hash in base64
+ * without padding:
+ *
+ *   $scrypt$ln=15,r=8,p=1$<salt>$<hash>       N = 2^ln
+ *   $pbkdf2-sha256$i=600000$<salt>$<hash>
+ *
+ * Salts drawn by the prover are hex strings whose UTF-8 bytes are the salt, as for Argon2.
+ * New KDFs are added with registerHashAlgorithm and a backend that implements what they use.
+ */
+
+(function() {
+    // Registered definitions by algorithm name
+    const HASH_ALGORITHMS = {};
+
+    /**
+     * Adds a hash algorithm definition (see above) to the registry. Throws if it is malformed
+     * or its name is already taken.
+     */
+    function registerHashAlgorithm(definition) {
+        const { name, scheme } = definition || {};
+        if (typeof name !== 'string' || !name) throw new Error("A hash algorithm needs a name");
+        if (name === 'mimc-stark') throw new Error("mimc-stark is the proof's own hash and cannot be registered");
+        if (Object.prototype.hasOwnProperty.call(HASH_ALGORITHMS, name)) throw new Error(`Hash algorithm ${name} is already registered`);
+        if (typeof scheme !== 'string' || !scheme) throw new Error(`Hash algorithm ${name} must name its encoding scheme`);
+        if (typeof definition.hash !== 'function') throw new Error(`Hash algorithm ${name} has no hash function`);
+        HASH_ALGORITHMS[name] = Object.freeze({ defaults: {}, ...definition });
+        return HASH_ALGORITHMS[name];
+    }
+
+    // The definition registered for `name`; throws if there is none
+    function getHashAlgorithm(name) {
+        if (!Object.prototype.hasOwnProperty.call(HASH_ALGORITHMS, name)) throw new Error(`Unknown hash algorithm: ${name}`);
+        return HASH_ALGORITHMS[name];
+    }
+
+    // Base64 without padding, as PHC strings use it
+    function encodeBase64(bytes) {
+        let binary = '';
+        for (const b of bytes) binary += String.fromCharCode(b);
+        return btoa(binary).replace(/=+$/, '');
+    }
+
+    function decodeBase64(text) {
+        const binary = atob(text);
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+
+    // Compares without an early exit, so the time taken says nothing about where they differ
+    function equalBytes(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+        return diff === 0;
+    }
+
+    const utf8 = (text) => new TextEncoder().encode(text);
+
+    // Parameters of a call, with the definition's defaults for the ones left out
+    const withDefaults = (defaults, params = {}) => {
+        const resolved = { ...defaults };
+        for (const name of Object.keys(defaults)) {
+            if (params[name]) resolved[name] = params[name];
+        }
+        return resolved;
+    };
+
+    // $<id>$<k=v,...>$<salt>$<hash> split into its parts, or null if it is not one
+    function parsePhc(encoded, id) {
+        const parts = typeof encoded === 'string' ? encoded.split('$') : [];
+        if (parts.length !== 5 || parts[0] !== '' || parts[1] !== id) return null;
+        const params = {};
+        for (const pair of parts[2].split(',')) {
+            const match = /^([a-z]+)=(\d{1,10})$/.exec(pair);
+            if (!match) return null;
+            params[match[1]] = parseInt(match[2], 10);
+        }
+        try {
+            return { params, salt: decodeBase64(parts[3]), hash: decodeBase64(parts[4]) };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    registerHashAlgorithm({
+        name: 'argon2id',
+        scheme: 'argon2',
+        // Two passes is the least the npm argon2 package (node-backend.js) computes. The memory
+        // is the hash policy's recommendedArgon2Memory, so new hashes need no upgrade.
+        defaults: { time: 2, mem: 19456, hashLen: 32 },
+        hash(password, params, { backend, generateSalt }) {
+            return backend.argon2id(password, params.salt || generateSalt(), withDefaults(this.defaults, params));
+        }
+    });
+
+    registerHashAlgorithm({
+        name: 'bcrypt',
+        scheme: 'bcrypt',
+        defaults: { cost: 10 },
+        // `params.salt` is a bcrypt salt string ('$2a$10$...') rather than salt bytes
+        async hash(password, params, { backend }) {
+            const salt = params.salt || await backend.bcryptSalt(withDefaults(this.defaults, params).cost);
+            return backend.bcrypt(password, salt);
+        }
+    });
+
+    registerHashAlgorithm({
+        name: 'scrypt',
+        scheme: 'scrypt',
+        defaults: { ln: 15, r: 8, p: 1, keyLen: 32 },
+        async hash(password, params, { backend, generateSalt }) {
+            const { ln, r, p, keyLen } = withDefaults(this.defaults, params);
+            const salt = utf8(params.salt || generateSalt());
+            const key = await backend.scrypt(password, salt, { N: 2 ** ln, r, p, keyLen });
+            return `$scrypt$ln=${ln},r=${r},p=${p}$${encodeBase64(salt)}$${encodeBase64(key)}`;
+        },
+        async verify(password, encoded, { backend }) {
+            const parsed = parsePhc(encoded, 'scrypt');
+            if (!parsed) throw new Error("not a $scrypt$ PHC string");
+            const { ln, r, p } = parsed.params;
+            if (!ln || !r || !p) throw new Error("scrypt hashes need ln, r and p");
+            const key = await backend.scrypt(password, parsed.salt, { N: 2 ** ln, r, p, keyLen: parsed.hash.length });
+            return equalBytes(key, parsed.hash);
+        }
+    });
+
+    registerHashAlgorithm({
+        name: 'pbkdf2-sha256',
+        scheme: 'pbkdf2',
+        defaults: { iterations: 600000, keyLen: 32 },
+        async hash(password, params, { backend, generateSalt }) {
+            const { iterations, keyLen } = withDefaults(this.defaults, params);
+            const salt = utf8(params.salt || generateSalt());
+            const key = await backend.pbkdf2(password, salt, { iterations, keyLen });
+            return `$pbkdf2-sha256$i=${iterations}$${encodeBase64(salt)}$${encodeBase64(key)}`;
+        },
+        async verify(password, encoded, { backend }) {
+            const parsed = parsePhc(encoded, 'pbkdf2-sha256');
+            if (!parsed || !parsed.params.i) throw new Error("not a $pbkdf2-sha256$ PHC string with an iteration count");
+            const key = await backend.pbkdf2(password, parsed.salt, { iterations: parsed.params.i, keyLen: parsed.hash.length });
+            return equalBytes(key, parsed.hash);
+        }
+    });
+
+    const HashAlgorithms = { HASH_ALGORITHMS, registerHashAlgorithm, getHashAlgorithm, encodeBase64, decodeBase64 };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HashAlgorithms;
+    }
+    if (typeof window !== 'undefined') {
+        window.HashAlgorithms = HashAlgorithms;
+    }
+})();
@@ -0,0 +1,163 @@
+/**
+ * zk-hash/hash-backend.js
+ *
+ * The password hashing ZKProver runs before it proves anything, behind one interface
+ * so the same prover works in the browser, in its Web Worker and in Node:
+ *
+ *   randomBytes(length) -> Uint8Array           secure random bytes for salts
+ *   bcryptSalt(cost) -> Promise<string>         a fresh '$2a$<cost>$...' bcrypt salt
+ *   bcrypt(password, salt) -> Promise<string>   the bcrypt hash string for that salt
+ *   argon2id(password, salt, { time, mem, hashLen }) -> Promise<string>
+ *                                               the Argon2id PHC string, parallelism 1,
+ *                                               with the salt string's UTF-8 bytes as salt
+ *   scrypt(password, salt, { N, r, p, keyLen }) -> Promise<Uint8Array>
+ *   pbkdf2(password, salt, { iterations, keyLen }) -> Promise<Uint8Array>
+ *                                               raw keys (PBKDF2 with HMAC-SHA256) from salt
+ *                                               bytes; hash-algorithms.js encodes them
+ *
+ * browserBackend wraps the libraries the demo page loads (bcryptjs as dcodeIO.bcrypt,
+ * argon2-browser) and WebCrypto, which has no scrypt: its ROMix core is implemented below
+ * around WebCrypto's PBKDF2. The Node backend (node-backend.js) wraps the npm
+ * argon2 and bcryptjs packages and crypto.randomBytes. Both produce the same strings
+ * for the same inputs, so a proof does not depend on where it was made.
+ */
+
+(function() {
+    // Calls a library function that either takes a node-style callback or returns a promise
+    const callback = (fn) => new Promise((resolve, reject) => {
+        try {
+            const res = fn((err, value) => {
+                if (err) reject(err);
+                else resolve(value);
+            });
+            if (res && typeof res.then === 'function') res.then(resolve, reject);
+        } catch (e) { reject(e); }
+    });
+
+    const ROTL = (a, b) => (a << b) | (a >>> (32 - b));
+
+    // Salsa20/8 core on 16 words, in place
+    function salsa20_8(B) {
+        const x = Uint32Array.from(B);
+        for (let i = 0; i < 8; i += 2) {
+            x[4] ^= ROTL(x[0] + x[12], 7);   x[8] ^= ROTL(x[4] + x[0], 9);
+            x[12] ^= ROTL(x[8] + x[4], 13);  x[0] ^= ROTL(x[12] + x[8], 18);
+            x[9] ^= ROTL(x[5] + x[1], 7);    x[13] ^= ROTL(x[9] + x[5], 9);
+            x[1] ^= ROTL(x[13] + x[9], 13);  x[5] ^= ROTL(x[1] + x[13], 18);
+            x[14] ^= ROTL(x[10] + x[6], 7);  x[2] ^= ROTL(x[14] + x[10], 9);
+            x[6] ^= ROTL(x[2] + x[14], 13);  x[10] ^= ROTL(x[6] + x[2], 18);
+            x[3] ^= ROTL(x[15] + x[11], 7);  x[7] ^= ROTL(x[3] + x[15], 9);
+            x[11] ^= ROTL(x[7] + x[3], 13);  x[15] ^= ROTL(x[11] + x[7], 18);
+            x[1] ^= ROTL(x[0] + x[3], 7);    x[2] ^= ROTL(x[1] + x[0], 9);
+            x[3] ^= ROTL(x[2] + x[1], 13);   x[0] ^= ROTL(x[3] + x[2], 18);
+            x[6] ^= ROTL(x[5] + x[4], 7);    x[7] ^= ROTL(x[6] + x[5], 9);
+            x[4] ^= ROTL(x[7] + x[6], 13);   x[5] ^= ROTL(x[4] + x[7], 18);
+            x[11] ^= ROTL(x[10] + x[9], 7);  x[8] ^= ROTL(x[11] + x[10], 9);
+            x[9] ^= ROTL(x[8] + x[11], 13);  x[10] ^= ROTL(x[9] + x[8], 18);
+            x[12] ^= ROTL(x[15] + x[14], 7); x[13] ^= ROTL(x[12] + x[15], 9);
+            x[14] ^= ROTL(x[13] + x[12], 13); x[15] ^= ROTL(x[14] + x[13], 18);
+        }
+        for (let i = 0; i < 16; i++) B[i] = (B[i] + x[i]) >>> 0;
+    }
+
+    // scrypt's BlockMix on the 32r words of B, using Y (same size) as scratch space
+    function blockMix(B, Y, r) {
+        const X = B.slice((2 * r - 1) * 16, 2 * r * 16);
+        for (let i = 0; i < 2 * r; i++) {
+            for (let k = 0; k < 16; k++) X[k] ^= B[i * 16 + k];
+            salsa20_8(X);
+            Y.set(X, i * 16);
+        }
+        // Even blocks first, then odd ones
+        for (let i = 0; i < r; i++) {
+            B.set(Y.subarray(2 * i * 16, (2 * i + 1) * 16), i * 16);
+            B.set(Y.subarray((2 * i + 1) * 16, (2 * i + 2) * 16), (r + i) * 16);
+        }
+    }
+
+    // scrypt's ROMix on one 128r-byte block, in place (words little-endian)
+    function roMix(block, N, r) {
+        const words = 32 * r;
+        const view = new DataView(block.buffer, block.byteOffset, block.byteLength);
+        const X = new Uint32Array(words);
+        for (let k = 0; k < words; k++) X[k] = view.getUint32(k * 4, true);
+        const V = new Uint32Array(words * N);
+        const Y = new Uint32Array(words);
+        for (let i = 0; i < N; i++) {
+            V.set(X, i * words);
+            blockMix(X, Y, r);
+        }
+        for (let i = 0; i < N; i++) {
+            const j = X[(2 * r - 1) * 16] & (N - 1);
+            for (let k = 0; k < words; k++) X[k] ^= V[j * words + k];
+            blockMix(X, Y, r);
+        }
+        for (let k = 0; k < words; k++) view.setUint32(k * 4, X[k], true);
+    }
+
+    /**
+     * Backend over the browser libraries: `bcrypt` is bcryptjs (window.dcodeIO.bcrypt),
+     * `argon2` is argon2-browser (window.argon2). Either may be missing; hashing with it
+     * then throws. `crypto` is the WebCrypto object salts are drawn from.
+     */
+    function browserBackend(bcrypt, argon2, crypto = (typeof globalThis !== 'undefined' ? globalThis.crypto : undefined)) {
+        return {
+            name: 'browser',
+
+            randomBytes(length) {
+                if (!crypto || typeof crypto.getRandomValues !== 'function') {
+                    throw new Error("No secure random source: WebCrypto is not available");
+                }
+                return crypto.getRandomValues(new Uint8Array(length));
+            },
+
+            bcryptSalt(cost) {
+                if (!bcrypt || typeof bcrypt.genSalt !== 'function') return Promise.reject(new Error("Bcrypt library not loaded"));
+                return callback(done => bcrypt.genSalt(cost, done));
+            },
+
+            bcrypt(password, salt) {
+                if (!bcrypt || typeof bcrypt.hash !== 'function') return Promise.reject(new Error("Bcrypt library not loaded"));
+                return callback(done => bcrypt.hash(password, salt, done));
+            },
+
+            async argon2id(password, salt, { time, mem, hashLen }) {
+                if (!argon2) throw new Error("Argon2 library not loaded");
+                const result = await argon2.hash({
+                    pass: password,
+                    salt: salt,
+                    time: time,
+                    mem: mem,
+                    hashLen: hashLen,
+                    parallelism: 1,
+                    type: argon2.ArgonType.Argon2id
+                });
+                return result.encoded;
+            },
+
+            async pbkdf2(password, salt, { iterations, keyLen }) {
+                if (!crypto || !crypto.subtle) throw new Error("PBKDF2 needs WebCrypto (crypto.subtle)");
+                const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+                const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, keyLen * 8);
+                return new Uint8Array(bits);
+            },
+
+            // scrypt = PBKDF2(password, ROMix(PBKDF2(password, salt, 1)), 1), RFC 7914
+            async scrypt(password, salt, { N, r, p, keyLen }) {
+                if (N < 2 || (N & (N - 1)) !== 0) throw new Error("scrypt N must be a power of two");
+                const B = await this.pbkdf2(password, salt, { iterations: 1, keyLen: p * 128 * r });
+                for (let i = 0; i < p; i++) roMix(B.subarray(i * 128 * r, (i + 1) * 128 * r), N, r);
+                return this.pbkdf2(password, B, { iterations: 1, keyLen });
+            }
+        };
+    }
+
+    const HashBackend = { browserBackend };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HashBackend;
+    }
+    if (typeof window !== 'undefined') {
+        window.HashBackend = HashBackend;
+    }
+})();
@@ -0,0 +1,282 @@
+/**
+ * zk-hash/hash-policy.js
+ *
+ * The password-hash side of verification. Password-hash proofs claim an `outputHash`
+ * that encodes its own parameters, so the verifier reads them back and holds them to a
+ * policy: a valid STARK over a hash made with 8 KiB of memory or bcrypt cost 4 still
+ * says nothing useful about the password. The policy also caps the parameters, since
+ * verifyHashOpening re-hashes with whatever the client put in the string.
+ *
+ * parseHash reads the encodings of the algorithms in hash-algorithms.js:
+ *
+ *   $argon2id$v=19$m=1024,t=2,p=1$<salt>$<hash>   PHC string (argon2id, argon2i, argon2d),
+ *                                                  salt and hash in base64 without padding
+ *   $2b$10$<22-char salt><31-char hash>            bcrypt modular crypt format (2a, 2b, 2x, 2y)
+ *   $scrypt$ln=15,r=8,p=1$<salt>$<hash>           PHC string, N = 2^ln
+ *   $pbkdf2-sha256$i=600000$<salt>$<hash>          PHC string (pbkdf2-sha1, -sha256, -sha512)
+ *
+ * into one description for all of them:
+ *
+ *   { scheme: 'argon2', variant, version, memory, iterations, parallelism, saltLength, hashLength }
+ *   { scheme: 'bcrypt', variant, cost, saltLength, hashLength }
+ *   { scheme: 'scrypt', variant: 'scrypt', cost, blockSize, parallelism, memory, saltLength, hashLength }
+ *   { scheme: 'pbkdf2', variant, iterations, saltLength, hashLength }
+ *
+ * with memory in KiB, lengths in bytes and scrypt's cost as log2 N. ZK-Auth accounts store their Argon2 salt and
+ * params instead of a hash string; accountHash describes them the same way.
+ */
+
+const { ERROR_CODES } = require('./common');
+
+// What ZKVerifier accepts by default (override with `new ZKVerifier({ hashPolicy })`).
+// Hashes that pass but fall below the recommended* values are reported as needing an upgrade.
+// The max* values bound what a re-hash on the server may cost.
+const DEFAULT_HASH_POLICY = Object.freeze({
+    argon2Variants: ['argon2id'],
+    argon2Versions: [19],
+    minArgon2Memory: 1024,
+    minArgon2Iterations: 1,
+    maxArgon2Memory: 65536,
+    maxArgon2Iterations: 10,
+    maxArgon2Parallelism: 4,
+    bcryptVariants: ['2a', '2b', '2y'],
+    minBcryptCost: 10,
+    maxBcryptCost: 14,
+    minScryptCost: 14,
+    minScryptBlockSize: 8,
+    maxScryptCost: 18,
+    maxScryptBlockSize: 16,
+    maxScryptParallelism: 4,
+    maxScryptMemory: 262144,
+    pbkdf2Variants: ['pbkdf2-sha256'],
+    minPbkdf2Iterations: 100000,
+    maxPbkdf2Iterations: 1000000,
+    minSaltLength: 16,
+    recommendedArgon2Memory: 19456,
+    recommendedArgon2Iterations: 2,
+    recommendedBcryptCost: 12,
+    recommendedScryptCost: 17,
+    recommendedPbkdf2Iterations: 600000
+});
+
+const ARGON2_VARIANTS = ['argon2id', 'argon2i', 'argon2d'];
+
+// Bytes in a base64 string without padding, or -1 if it is not one
+function base64Length(text) {
+    if (!/^[A-Za-z0-9+/]*$/.test(text) || text.length % 4 === 1) return -1;
+    return Math.floor(text.length * 3 / 4);
+}
+
+function parseArgon2(parts) {
+    // ['', variant, 'v=19', 'm=..,t=..,p=..', salt, hash]; the version field is optional (v=16 before it existed)
+    if (parts.length === 5) parts.splice(2, 0, 'v=16');
+    if (parts.length !== 6) return { ok: false, error: "an Argon2 PHC string has the fields $variant$v=$m=,t=,p=$salt$hash" };
+    const [, variant, versionField, paramField, salt, hash] = parts;
+    if (!ARGON2_VARIANTS.includes(variant)) return { ok: false, error: `unknown Argon2 variant '${variant}'` };
+
+    const version = /^v=(\d{1,3})$/.exec(versionField);
+    if (!version) return { ok: false, error: `malformed Argon2 version '${versionField}'` };
+
+    const params = {};
+    for (const pair of paramField.split(',')) {
+        const match = /^([mtp])=(\d{1,10})$/.exec(pair);
+        if (!match || params[match[1]] !== undefined) return { ok: false, error: `malformed Argon2 parameters '${paramField}'` };
+        params[match[1]] = parseInt(match[2], 10);
+    }
+    if (params.m === undefined || params.t === undefined || params.p === undefined) {
+        return { ok: false, error: "Argon2 parameters need m, t and p" };
+    }
+
+    const saltLength = base64Length(salt);
+    const hashLength = base64Length(hash);
+    if (saltLength < 0 || hashLength <= 0) return { ok: false, error: "Argon2 salt and hash must be unpadded base64" };
+
+    return {
+        ok: true,
+        hash: {
+            scheme: 'argon2',
+            variant,
+            version: parseInt(version[1], 10),
+            memory: params.m,
+            iterations: params.t,
+            parallelism: params.p,
+            saltLength,
+            hashLength
+        }
+    };
+}
+
+function parseBcrypt(encoded) {
+    const match = /^\$(2[abxy])\$(\d\d)\$([./A-Za-z0-9]{53})$/.exec(encoded);
+    if (!match) return { ok: false, error: "a bcrypt hash is $2b$<cost>$ followed by 53 characters of salt and hash" };
+    const cost = parseInt(match[2], 10);
+    if (cost < 4 || cost > 31) return { ok: false, error: `bcrypt cost ${cost} is outside 4..31` };
+    // 22 characters of salt carry 16 bytes, 31 characters of hash carry 23
+    return { ok: true, hash: { scheme: 'bcrypt', variant: match[1], cost, saltLength: 16, hashLength: 23 } };
+}
+
+// Parameters of a $<id>$k=v,...$salt$hash PHC string without a version field, or null
+function phcParams(parts, names) {
+    if (parts.length !== 5) return null;
+    const params = {};
+    for (const pair of parts[2].split(',')) {
+        const match = /^([a-z]+)=(\d{1,10})$/.exec(pair);
+        if (!match || !names.includes(match[1]) || params[match[1]] !== undefined) return null;
+        params[match[1]] = parseInt(match[2], 10);
+    }
+    return names.every(name => params[name] !== undefined) ? params : null;
+}
+
+function parseScrypt(parts) {
+    const params = phcParams(parts, ['ln', 'r', 'p']);
+    if (!params) return { ok: false, error: "a scrypt PHC string is $scrypt$ln=,r=,p=$salt$hash" };
+    if (params.ln < 1 || params.ln > 63 || params.r < 1 || params.p < 1) return { ok: false, error: "scrypt parameters out of range" };
+    const saltLength = base64Length(parts[3]);
+    const hashLength = base64Length(parts[4]);
+    if (saltLength < 0 || hashLength <= 0) return { ok: false, error: "scrypt salt and hash must be unpadded base64" };
+    return {
+        ok: true,
+        hash: {
+            scheme: 'scrypt',
+            variant: 'scrypt',
+            cost: params.ln,
+            blockSize: params.r,
+            parallelism: params.p,
+            // ROMix keeps N blocks of 128r bytes
+            memory: 2 ** params.ln * 128 * params.r / 1024,
+            saltLength,
+            hashLength
+        }
+    };
+}
+
+function parsePbkdf2(parts) {
+    const variant = parts[1];
+    if (!['pbkdf2-sha1', 'pbkdf2-sha256', 'pbkdf2-sha512'].includes(variant)) return { ok: false, error: `unknown PBKDF2 variant '${variant}'` };
+    const params = phcParams(parts, ['i']);
+    if (!params || params.i < 1) return { ok: false, error: `a PBKDF2 PHC string is $${variant}$i=<iterations>$salt$hash` };
+    const saltLength = base64Length(parts[3]);
+    const hashLength = base64Length(parts[4]);
+    if (saltLength < 0 || hashLength <= 0) return { ok: false, error: "PBKDF2 salt and hash must be unpadded base64" };
+    return { ok: true, hash: { scheme: 'pbkdf2', variant, iterations: params.i, saltLength, hashLength } };
+}
+
+/**
+ * Parses a PHC / modular crypt hash string. Returns { ok: true, hash } with the
+ * description above, or { ok: false, error }.
+ */
+function parseHash(encoded) {
+    if (typeof encoded !== 'string' || !encoded.startsWith('$')) return { ok: false, error: "not a PHC or modular crypt string" };
+    const parts = encoded.split('$');
+    if (parts[1] && parts[1].startsWith('argon2')) return parseArgon2(parts);
+    if (/^2[abxy]$/.test(parts[1])) return parseBcrypt(encoded);
+    if (parts[1] === 'scrypt') return parseScrypt(parts);
+    if (parts[1] && parts[1].startsWith('pbkdf2-')) return parsePbkdf2(parts);
+    return { ok: false, error: `unknown hash identifier '$${parts[1]}$'` };
+}
+
+// The description of a ZK-Auth account's Argon2id secret: { salt, params: { time, mem, hashLen } }.
+// The salt string's bytes are the Argon2 salt (see ZKProver.deriveAuthSecret).
+function accountHash(salt, params) {
+    return {
+        scheme: 'argon2',
+        variant: 'argon2id',
+        version: 19,
+        memory: params.mem,
+        iterations: params.time,
+        parallelism: 1,
+        saltLength: new TextEncoder().encode(salt).length,
+        hashLength: params.hashLen
+    };
+}
+
+/**
+ * Returns null if `hash` (a parseHash description) meets `policy`, or { code, error }
+ * for the first requirement it misses.
+ */
+function checkHashPolicy(hash, policy = DEFAULT_HASH_POLICY) {
+    const reject = (code, reason) => ({ code, error: `Hash Policy Violation: ${reason}.` });
+    const tooHigh = (reason) => reject(ERROR_CODES.HASH_PARAMS_TOO_HIGH, reason);
+    if (hash.scheme === 'argon2') {
+        if (!policy.argon2Variants.includes(hash.variant)) {
+            return reject(ERROR_CODES.HASH_VARIANT_REJECTED, `${hash.variant} is not accepted (allowed: ${policy.argon2Variants.join(', ')})`);
+        }
+        if (!policy.argon2Versions.includes(hash.version)) {
+            return reject(ERROR_CODES.HASH_VARIANT_REJECTED, `Argon2 version ${hash.version} is not accepted (allowed: ${policy.argon2Versions.join(', ')})`);
+        }
+        if (hash.memory < policy.minArgon2Memory) {
+            return reject(ERROR_CODES.HASH_MEMORY_TOO_LOW, `Argon2 memory of ${hash.memory} KiB is below the required ${policy.minArgon2Memory} KiB`);
+        }
+        if (hash.iterations < policy.minArgon2Iterations) {
+            return reject(ERROR_CODES.HASH_ITERATIONS_TOO_LOW, `${hash.iterations} Argon2 iterations is below the required ${policy.minArgon2Iterations}`);
+        }
+        if (hash.memory > policy.maxArgon2Memory) return tooHigh(`Argon2 memory of ${hash.memory} KiB is above the allowed ${policy.maxArgon2Memory} KiB`);
+        if (hash.iterations > policy.maxArgon2Iterations) return tooHigh(`${hash.iterations} Argon2 iterations is above the allowed ${policy.maxArgon2Iterations}`);
+        if (hash.parallelism > policy.maxArgon2Parallelism) return tooHigh(`Argon2 parallelism ${hash.parallelism} is above the allowed ${policy.maxArgon2Parallelism}`);
+    } else if (hash.scheme === 'bcrypt') {
+        if (!policy.bcryptVariants.includes(hash.variant)) {
+            return reject(ERROR_CODES.HASH_VARIANT_REJECTED, `bcrypt $${hash.variant}$ is not accepted (allowed: ${policy.bcryptVariants.map(v => `$${v}$`).join(', ')})`);
+        }
+        if (hash.cost < policy.minBcryptCost) {
+            return reject(ERROR_CODES.HASH_COST_TOO_LOW, `bcrypt cost ${hash.cost} is below the required ${policy.minBcryptCost}`);
+        }
+        if (hash.cost > policy.maxBcryptCost) return tooHigh(`bcrypt cost ${hash.cost} is above the allowed ${policy.maxBcryptCost}`);
+    } else if (hash.scheme === 'scrypt') {
+        if (hash.cost < policy.minScryptCost) {
+            return reject(ERROR_CODES.HASH_COST_TOO_LOW, `scrypt cost N = 2^${hash.cost} is below the required 2^${policy.minScryptCost}`);
+        }
+        if (hash.blockSize < policy.minScryptBlockSize) {
+            return reject(ERROR_CODES.HASH_MEMORY_TOO_LOW, `scrypt block size r = ${hash.blockSize} is below the required ${policy.minScryptBlockSize}`);
+        }
+        if (hash.cost > policy.maxScryptCost) return tooHigh(`scrypt cost N = 2^${hash.cost} is above the allowed 2^${policy.maxScryptCost}`);
+        if (hash.blockSize > policy.maxScryptBlockSize) return tooHigh(`scrypt block size r = ${hash.blockSize} is above the allowed ${policy.maxScryptBlockSize}`);
+        if (hash.parallelism > policy.maxScryptParallelism) return tooHigh(`scrypt parallelism p = ${hash.parallelism} is above the allowed ${policy.maxScryptParallelism}`);
+        if (hash.memory > policy.maxScryptMemory) return tooHigh(`scrypt memory of ${hash.memory} KiB is above the allowed ${policy.maxScryptMemory} KiB`);
+    } else if (hash.scheme === 'pbkdf2') {
+        if (!policy.pbkdf2Variants.includes(hash.variant)) {
+            return reject(ERROR_CODES.HASH_VARIANT_REJECTED, `${hash.variant} is not accepted (allowed: ${policy.pbkdf2Variants.join(', ')})`);
+        }
+        if (hash.iterations < policy.minPbkdf2Iterations) {
+            return reject(ERROR_CODES.HASH_ITERATIONS_TOO_LOW, `${hash.iterations} PBKDF2 iterations is below the required ${policy.minPbkdf2Iterations}`);
+        }
+        if (hash.iterations > policy.maxPbkdf2Iterations) return tooHigh(`${hash.iterations} PBKDF2 iterations is above the allowed ${policy.maxPbkdf2Iterations}`);
+    } else {
+        return reject(ERROR_CODES.HASH_FORMAT_INVALID, `unknown hash scheme '${hash.scheme}'`);
+    }
+    if (hash.saltLength < policy.minSaltLength) {
+        return reject(ERROR_CODES.HASH_SALT_TOO_SHORT, `a ${hash.saltLength}-byte salt is shorter than the required ${policy.minSaltLength} bytes`);
+    }
+    return null;
+}
+
+/**
+ * Why a hash that `policy` accepts should still be re-hashed: parameters below the
+ * recommended ones, or an Argon2/PBKDF2 variant or Argon2 version other than the preferred
+ * one (the first variant, the highest version).
+ * An empty array means it is up to date.
+ */
+function upgradeReasons(hash, policy = DEFAULT_HASH_POLICY) {
+    const reasons = [];
+    if (hash.scheme === 'argon2') {
+        if (hash.variant !== policy.argon2Variants[0]) reasons.push(`variant ${hash.variant} instead of ${policy.argon2Variants[0]}`);
+        if (hash.version < Math.max(...policy.argon2Versions)) reasons.push(`Argon2 version ${hash.version}`);
+        if (hash.memory < policy.recommendedArgon2Memory) reasons.push(`memory ${hash.memory} KiB < ${policy.recommendedArgon2Memory} KiB`);
+        if (hash.iterations < policy.recommendedArgon2Iterations) reasons.push(`iterations ${hash.iterations} < ${policy.recommendedArgon2Iterations}`);
+    } else if (hash.scheme === 'bcrypt') {
+        if (hash.cost < policy.recommendedBcryptCost) reasons.push(`cost ${hash.cost} < ${policy.recommendedBcryptCost}`);
+    } else if (hash.scheme === 'scrypt') {
+        if (hash.cost < policy.recommendedScryptCost) reasons.push(`N = 2^${hash.cost} < 2^${policy.recommendedScryptCost}`);
+    } else if (hash.scheme === 'pbkdf2') {
+        if (hash.variant !== policy.pbkdf2Variants[0]) reasons.push(`variant ${hash.variant} instead of ${policy.pbkdf2Variants[0]}`);
+        if (hash.iterations < policy.recommendedPbkdf2Iterations) reasons.push(`iterations ${hash.iterations} < ${policy.recommendedPbkdf2Iterations}`);
+    }
+    return reasons;
+}
+
+module.exports = {
+    DEFAULT_HASH_POLICY,
+    parseHash,
+    accountHash,
+    checkHashPolicy,
+    upgradeReasons
+};
@@ -1,9 +1,38 @@
 const ZKProver = require('./prover');
 const ZKVerifier = require('./verifier');
+const ProofCodec = require('./codec');
+const ProofSchema = require('./schema');
+const AirRegistry = require('./air');
+const ProofParams = require('./params');
+const HashPolicy = require('./hash-policy');
+const HashBackend = require('./hash-backend');
+const HashAlgorithms = require('./hash-algorithms');
+const { nodeBackend } = require('./node-backend');
+const MiMC = require('./mimc');
+const Poseidon = require('./poseidon');
 const common = require('./common');
+const nonceStores = require('./nonce-store');
+const userStores = require('./user-store');
+const { SessionTokens, DEFAULT_SESSION_TTL_MS } = require('./session');
+const { zkAuth } = require('./middleware');
 
 module.exports = {
     ZKProver,
     ZKVerifier,
-    ...common
+    ProofCodec,
+    ProofSchema,
+    AirRegistry,
+    ProofParams,
+    HashPolicy,
+    HashBackend,
+    HashAlgorithms,
+    nodeBackend,
+    MiMC,
+    Poseidon,
+    ...common,
+    ...nonceStores,
+    ...userStores,
+    SessionTokens,
+    DEFAULT_SESSION_TTL_MS,
+    zkAuth
 };
@@ -0,0 +1,382 @@
+/**
+ * zk-hash/merkle-hash.js
+ *
+ * Node hash functions for the Merkle commitments in stark-math.js.
+ * Every hasher has the same shape:
+ *
+ *   { id, leaf(values, field), node(left, right, field), empty(field), isDigest(digest, field) }
+ *
+ * Digests are lowercase hex strings. Leaves, internal nodes and the empty padding
+ * leaf are domain separated (tags 0, 1 and 2), so a leaf can never be passed off
+ * as a node or the other way round.
+ *
+ * Available hashers (the id is recorded in every proof):
+ * - sha256:      Node crypto, or a pure-JS fallback in the browser. WebCrypto via digestAsync.
+ * - blake2s:     Node crypto (blake2s256), or a pure-JS fallback in the browser.
+ * - mimc-sponge: An algebraic sponge over the proof's field. Slower in JS, but cheap
+ *                to express as field constraints if the Merkle checks are ever proven.
+ *                Also exported as spongeHashElements for stark-math's stringToField.
+ * - poseidon:    The same construction over the Poseidon permutation (poseidon.js), the
+ *                better-studied algebraic option.
+ */
+
+(function() {
+    const DOMAIN_LEAF = 0;
+    const DOMAIN_NODE = 1;
+    const DOMAIN_EMPTY = 2;
+
+    // Node's crypto module when we are not in a browser
+    const nodeCrypto = (typeof window === 'undefined' && typeof require !== 'undefined') ? require('crypto') : null;
+    const nodeHashes = nodeCrypto ? nodeCrypto.getHashes() : [];
+
+    // --- Byte helpers ---
+
+    function fieldByteLength(field) {
+        return Math.ceil(field.bits / 8);
+    }
+
+    // Fixed-width big-endian encoding, so [1, 23] and [12, 3] never serialize the same
+    function elementsToBytes(values, field) {
+        const width = fieldByteLength(field);
+        const out = new Uint8Array(values.length * width);
+        values.forEach((v, i) => {
+            let x = field.mod(v);
+            for (let j = width - 1; j >= 0; j--) {
+                out[i * width + j] = Number(x & 0xffn);
+                x >>= 8n;
+            }
+        });
+        return out;
+    }
+
+    function bytesToHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function hexToBytes(hex) {
+        const out = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+        return out;
+    }
+
+    function concatBytes(parts) {
+        const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            out.set(part, offset);
+            offset += part.length;
+        }
+        return out;
+    }
+
+    // --- Pure-JS SHA-256 (FIPS 180-4), used when Node crypto is not available ---
+
+    const SHA256_K = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ];
+
+    function sha256Js(bytes) {
+        const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        // Padding: 0x80, zeros, then the bit length as a 64-bit big-endian integer
+        const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+        const msg = new Uint8Array(paddedLength);
+        msg.set(bytes);
+        msg[bytes.length] = 0x80;
+        const bitLength = bytes.length * 8;
+        const view = new DataView(msg.buffer);
+        view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+        const w = new Array(64);
+        for (let off = 0; off < paddedLength; off += 64) {
+            for (let t = 0; t < 16; t++) w[t] = view.getUint32(off + t * 4);
+            for (let t = 16; t < 64; t++) {
+                const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+                const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+                w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+            }
+
+            let [a, b, c, d, e, f, g, hh] = h;
+            for (let t = 0; t < 64; t++) {
+                const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+                const ch = (e & f) ^ (~e & g);
+                const temp1 = (hh + S1 + ch + SHA256_K[t] + w[t]) | 0;
+                const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const temp2 = (S0 + maj) | 0;
+                hh = g; g = f; f = e; e = (d + temp1) | 0;
+                d = c; c = b; b = a; a = (temp1 + temp2) | 0;
+            }
+            h[0] = (h[0] + a) | 0; h[1] = (h[1] + b) | 0; h[2] = (h[2] + c) | 0; h[3] = (h[3] + d) | 0;
+            h[4] = (h[4] + e) | 0; h[5] = (h[5] + f) | 0; h[6] = (h[6] + g) | 0; h[7] = (h[7] + hh) | 0;
+        }
+
+        const out = new Uint8Array(32);
+        const outView = new DataView(out.buffer);
+        h.forEach((word, i) => outView.setUint32(i * 4, word >>> 0));
+        return out;
+    }
+
+    // --- Pure-JS BLAKE2s-256 (RFC 7693), used when Node crypto is not available ---
+
+    const BLAKE2S_IV = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const BLAKE2S_SIGMA = [
+        [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+        [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+        [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+        [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+        [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+        [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+        [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+        [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+        [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+        [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0]
+    ];
+
+    function blake2sJs(bytes) {
+        const h = BLAKE2S_IV.slice();
+        h[0] ^= 0x01010020; // No key, 32-byte output
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        const compress = (block, counter, last) => {
+            const v = h.concat(BLAKE2S_IV);
+            v[12] ^= counter >>> 0;
+            v[13] ^= Math.floor(counter / 0x100000000);
+            if (last) v[14] = ~v[14];
+            const m = new Array(16);
+            for (let i = 0; i < 16; i++) {
+                m[i] = block[i * 4] | (block[i * 4 + 1] << 8) | (block[i * 4 + 2] << 16) | (block[i * 4 + 3] << 24);
+            }
+            const G = (a, b, c, d, x, y) => {
+                v[a] = (v[a] + v[b] + x) | 0; v[d] = rotr(v[d] ^ v[a], 16);
+                v[c] = (v[c] + v[d]) | 0;     v[b] = rotr(v[b] ^ v[c], 12);
+                v[a] = (v[a] + v[b] + y) | 0; v[d] = rotr(v[d] ^ v[a], 8);
+                v[c] = (v[c] + v[d]) | 0;     v[b] = rotr(v[b] ^ v[c], 7);
+            };
+            for (const s of BLAKE2S_SIGMA) {
+                G(0, 4, 8, 12, m[s[0]], m[s[1]]);
+                G(1, 5, 9, 13, m[s[2]], m[s[3]]);
+                G(2, 6, 10, 14, m[s[4]], m[s[5]]);
+                G(3, 7, 11, 15, m[s[6]], m[s[7]]);
+                G(0, 5, 10, 15, m[s[8]], m[s[9]]);
+                G(1, 6, 11, 12, m[s[10]], m[s[11]]);
+                G(2, 7, 8, 13, m[s[12]], m[s[13]]);
+                G(3, 4, 9, 14, m[s[14]], m[s[15]]);
+            }
+            for (let i = 0; i < 8; i++) h[i] ^= v[i] ^ v[i + 8];
+        };
+
+        // Every block but the last is compressed as soon as another one follows it
+        const blocks = Math.max(1, Math.ceil(bytes.length / 64));
+        for (let i = 0; i < blocks; i++) {
+            const block = new Uint8Array(64);
+            block.set(bytes.subarray(i * 64, (i + 1) * 64));
+            const last = i === blocks - 1;
+            compress(block, last ? bytes.length : (i + 1) * 64, last);
+        }
+
+        const out = new Uint8Array(32);
+        h.forEach((word, i) => {
+            for (let j = 0; j < 4; j++) out[i * 4 + j] = (word >>> (8 * j)) & 0xff;
+        });
+        return out;
+    }
+
+    // --- Byte-oriented hashers ---
+
+    /**
+     * Builds a hasher from a 32-byte digest function.
+     * leaf  = H(0x00 || values as fixed-width big-endian field elements)
+     * node  = H(0x01 || left || right)
+     * empty = H(0x02)
+     */
+    function createByteHasher(id, digest, digestAsync) {
+        const DIGEST_HEX = /^[0-9a-f]{64}$/;
+        const tagged = (tag, bytes) => concatBytes([Uint8Array.of(tag), bytes]);
+
+        return {
+            id,
+            digest,
+            digestAsync: digestAsync || (async (bytes) => digest(bytes)),
+            leaf(values, field) {
+                return bytesToHex(digest(tagged(DOMAIN_LEAF, elementsToBytes(values, field))));
+            },
+            node(left, right, field) {
+                return bytesToHex(digest(tagged(DOMAIN_NODE, concatBytes([hexToBytes(left), hexToBytes(right)]))));
+            },
+            empty(field) {
+                return bytesToHex(digest(Uint8Array.of(DOMAIN_EMPTY)));
+            },
+            async leafAsync(values, field) {
+                return bytesToHex(await this.digestAsync(tagged(DOMAIN_LEAF, elementsToBytes(values, field))));
+            },
+            async nodeAsync(left, right, field) {
+                return bytesToHex(await this.digestAsync(tagged(DOMAIN_NODE, concatBytes([hexToBytes(left), hexToBytes(right)]))));
+            },
+            isDigest(digest, field) {
+                return typeof digest === 'string' && DIGEST_HEX.test(digest);
+            }
+        };
+    }
+
+    const sha256 = createByteHasher(
+        'sha256',
+        nodeCrypto
+            ? (bytes) => new Uint8Array(nodeCrypto.createHash('sha256').update(bytes).digest())
+            : sha256Js,
+        // WebCrypto's digest is async only, so it backs the async variants (MerkleTree.buildAsync)
+        async (bytes) => {
+            const subtle = (typeof globalThis !== 'undefined' && globalThis.crypto) ? globalThis.crypto.subtle : null;
+            if (subtle) return new Uint8Array(await subtle.digest('SHA-256', bytes));
+            return sha256.digest(bytes);
+        }
+    );
+
+    const blake2s = createByteHasher(
+        'blake2s',
+        nodeHashes.includes('blake2s256')
+            ? (bytes) => new Uint8Array(nodeCrypto.createHash('blake2s256').update(bytes).digest())
+            : blake2sJs
+    );
+
+    // --- Algebraic sponge over the proof's field ---
+    // State of `rate + capacity` elements with rate = capacity = enough elements for a
+    // ~248-bit digest (1 for stark252, 4 for goldilocks). The permutation is an unbalanced
+    // Feistel network (GMiMC style) with round function (x + c_i)^3. Being a Feistel network
+    // it is a permutation even in fields where cubing is not.
+
+    const SPONGE_ROUNDS = 64;
+    const SPONGE_DIGEST_BITS = 248;
+    const spongeParamsCache = new Map();
+
+    function spongeParams(field) {
+        if (!spongeParamsCache.has(field)) {
+            const rate = spongeDigestSize(field);
+            // Nothing-up-my-sleeve round constants: c_i = SHA-256("zk-hash/mimc-sponge/<field>/<i>") mod p
+            const encoder = new TextEncoder();
+            const constants = Array.from({length: SPONGE_ROUNDS}, (_, i) =>
+                field.mod(BigInt('0x' + bytesToHex(sha256.digest(encoder.encode(`zk-hash/mimc-sponge/${field.name}/${i}`))))));
+            spongeParamsCache.set(field, { rate, width: 2 * rate, constants });
+        }
+        return spongeParamsCache.get(field);
+    }
+
+    function spongePermute(state, field, params) {
+        const p = field.modulus;
+        for (let r = 0; r < SPONGE_ROUNDS; r++) {
+            const t = (state[0] + params.constants[r]) % p;
+            const f = (t * t % p) * t % p;
+            for (let j = 1; j < state.length; j++) state[j] = (state[j] + f) % p;
+            state.push(state.shift());
+        }
+    }
+
+    // Absorbs `values` under a domain tag and returns the rate part of the final state
+    function spongeHashElements(domain, values, field) {
+        const params = spongeParams(field);
+        const state = new Array(params.width).fill(0n);
+        state[params.width - 1] = BigInt(domain); // Domain tag lives in the capacity
+
+        // 10* padding: a 1 then zeros up to a multiple of the rate
+        const input = values.map(v => field.mod(v));
+        input.push(1n);
+        while (input.length % params.rate !== 0) input.push(0n);
+
+        for (let off = 0; off < input.length; off += params.rate) {
+            for (let j = 0; j < params.rate; j++) state[j] = (state[j] + input[off + j]) % field.modulus;
+            spongePermute(state, field, params);
+        }
+        return state.slice(0, params.rate);
+    }
+
+    function spongeDigestSize(field) {
+        return Math.ceil(SPONGE_DIGEST_BITS / field.bits);
+    }
+
+    // Splits a sponge digest back into its field elements
+    function spongeDigestElements(digest, field) {
+        const width = fieldByteLength(field) * 2;
+        const out = [];
+        for (let i = 0; i < digest.length; i += width) out.push(BigInt('0x' + digest.substr(i, width)));
+        return out;
+    }
+
+    /**
+     * Builds a hasher from an algebraic sponge `hashElements(domain, values, field)`, which
+     * must return at least ~248 bits of field elements. Digests are the first
+     * ceil(248 / bits) elements, hex encoded; nodes absorb the elements of both children.
+     */
+    function createSpongeHasher(id, hashElements) {
+        const digestOf = (domain, values, field) =>
+            bytesToHex(elementsToBytes(hashElements(domain, values, field).slice(0, spongeDigestSize(field)), field));
+
+        return {
+            id,
+            leaf(values, field) { return digestOf(DOMAIN_LEAF, values, field); },
+            node(left, right, field) {
+                return digestOf(DOMAIN_NODE, spongeDigestElements(left, field).concat(spongeDigestElements(right, field)), field);
+            },
+            empty(field) { return digestOf(DOMAIN_EMPTY, [], field); },
+            async leafAsync(values, field) { return this.leaf(values, field); },
+            async nodeAsync(left, right, field) { return this.node(left, right, field); },
+            isDigest(digest, field) {
+                if (typeof digest !== 'string' || !/^[0-9a-f]*$/.test(digest)) return false;
+                if (digest.length !== spongeDigestSize(field) * fieldByteLength(field) * 2) return false;
+                return spongeDigestElements(digest, field).every(v => v < field.modulus);
+            }
+        };
+    }
+
+    const mimcSponge = createSpongeHasher('mimc-sponge', spongeHashElements);
+
+    // Poseidon sponge (poseidon.js), loaded on first use since poseidon.js needs sha256 from here
+    const loadPoseidon = () => ((typeof window !== 'undefined' && window.Poseidon) ? window.Poseidon : require('./poseidon'));
+    const poseidonSponge = createSpongeHasher('poseidon', (domain, values, field) => loadPoseidon().forField(field).hash(values, domain));
+
+    const MERKLE_HASHES = {
+        sha256: sha256,
+        blake2s: blake2s,
+        'mimc-sponge': mimcSponge,
+        poseidon: poseidonSponge
+    };
+
+    const DEFAULT_MERKLE_HASH = 'sha256';
+
+    // Resolves a hasher by id (as recorded in a proof) or passes a hasher object through
+    function getMerkleHash(hash) {
+        if (hash === undefined || hash === null) return MERKLE_HASHES[DEFAULT_MERKLE_HASH];
+        if (typeof hash === 'object' && typeof hash.leaf === 'function' && typeof hash.node === 'function') return hash;
+        if (typeof hash === 'string' && Object.prototype.hasOwnProperty.call(MERKLE_HASHES, hash)) return MERKLE_HASHES[hash];
+        throw new Error(`Unknown Merkle hash: ${hash}`);
+    }
+
+    const MerkleHash = {
+        MERKLE_HASHES,
+        DEFAULT_MERKLE_HASH,
+        getMerkleHash,
+        createByteHasher,
+        createSpongeHasher,
+        elementsToBytes,
+        bytesToHex,
+        hexToBytes,
+        spongeHashElements,
+        sha256Js,
+        blake2sJs
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MerkleHash;
+    }
+    if (typeof window !== 'undefined') {
+        window.MerkleHash = MerkleHash;
+    }
+})();
@@ -0,0 +1,181 @@
+/**
+ * zk-hash/middleware.js
+ *
+ * ZK-Auth for Express apps: the challenge, registration and login routes of the
+ * demo server as reusable handlers, plus signed sessions (see session.js) so the
+ * rest of an app can require a logged-in account:
+ *
+ *   const auth = zkAuth({ nonceStore, userStore, secret: process.env.SESSION_SECRET });
+ *   app.post('/api/challenge', auth.challenge);
+ *   app.post('/api/register', auth.register, auth.sendSession);
+ *   app.post('/api/login', auth.startLogin);
+ *   app.post('/api/login/verify', auth.login, auth.sendSession);
+ *   app.get('/api/orders', auth.requireSession, (req, res) => res.json(orders(req.zkAuth.username)));
+ *
+ * register and login answer failed proofs themselves. On success they issue a session
+ * token, set req.zkAuth = { username, token, expires_at, result } and call the next
+ * handler. requireSession accepts `Authorization: Bearer <token>` and sets
+ * req.zkAuth = { username, expires_at }. Failures are { success: false, code, error }
+ * as everywhere else, with the HTTP status set. JSON bodies must already be parsed.
+ *
+ * challenge and startLogin each issue a nonce, so both are rate limited per client
+ * (by req.ip unless options.clientKey says otherwise). The nonce store's own cap on
+ * open challenges is the backstop when many clients ask at once.
+ */
+
+const ZKVerifier = require('./verifier');
+const { SessionTokens } = require('./session');
+const { ChallengeLimitError } = require('./nonce-store');
+const { ERROR_CODES, normalizeUsername } = require('./common');
+
+const DEFAULT_CHALLENGE_RATE_LIMIT = { max: 10, windowMs: 60 * 1000 };
+
+// HTTP status for a failed verification
+function failureStatus(result, fallback) {
+    if (result.code === ERROR_CODES.INTERNAL_ERROR) return 500;
+    if (result.code === ERROR_CODES.USERNAME_TAKEN) return 409;
+    return fallback;
+}
+
+// Fixed-window counter per client key. hit(key) returns whether the request is allowed.
+// Windows that have ended are swept once per window, so memory stays bounded by the
+// number of clients seen in one window.
+function createRateLimiter({ max, windowMs }, now) {
+    const windows = new Map();
+    let sweepAt = now() + windowMs;
+    return {
+        hit(key) {
+            const t = now();
+            if (t >= sweepAt) {
+                for (const [k, w] of windows) if (w.resetAt <= t) windows.delete(k);
+                sweepAt = t + windowMs;
+            }
+            let w = windows.get(key);
+            if (!w || w.resetAt <= t) {
+                w = { count: 0, resetAt: t + windowMs };
+                windows.set(key, w);
+            }
+            w.count++;
+            return w.count <= max;
+        }
+    };
+}
+
+/**
+ * @param options.verifier ZKVerifier checking the proofs. Defaults to one over the two stores.
+ * @param options.nonceStore NonceStore challenges are issued from (default: the verifier's).
+ *        Must be the one the verifier consumes them from.
+ * @param options.userStore UserStore holding the accounts (default: the verifier's)
+ * @param options.sessions SessionTokens to issue and check sessions with. Defaults to
+ *        new SessionTokens({ secret: options.secret, ttlMs: options.sessionTtlMs }).
+ * @param options.challengeRateLimit { max, windowMs }: challenges one client may request per
+ *        window (default 10 per minute).
+ * @param options.clientKey req -> the key clients are rate limited by (default req.ip).
+ *        Behind a proxy, set Express's 'trust proxy' so req.ip is the real client.
+ * @param options.now Clock for the rate limiter, in ms.
+ */
+function zkAuth(options = {}) {
+    const nonceStore = options.nonceStore || (options.verifier && options.verifier.nonceStore);
+    const userStore = options.userStore || (options.verifier && options.verifier.userStore);
+    if (!nonceStore) throw new Error("zkAuth requires a nonceStore");
+    if (!userStore) throw new Error("zkAuth requires a userStore");
+
+    const verifier = options.verifier || new ZKVerifier({ nonceStore, userStore });
+    // Challenges from one store and replay checks against another would accept replays
+    if (verifier.nonceStore !== nonceStore || verifier.userStore !== userStore) {
+        throw new Error("zkAuth: the verifier must use the same nonceStore and userStore");
+    }
+    const sessions = options.sessions || new SessionTokens({ secret: options.secret, ttlMs: options.sessionTtlMs });
+
+    // Compared and stored the way the verifier and the stores do
+    const usernameOf = (req) => normalizeUsername(req.body && req.body.username);
+
+    const rate = options.challengeRateLimit || {};
+    const limiter = createRateLimiter({
+        max: rate.max || DEFAULT_CHALLENGE_RATE_LIMIT.max,
+        windowMs: rate.windowMs || DEFAULT_CHALLENGE_RATE_LIMIT.windowMs
+    }, options.now || (() => Date.now()));
+    const clientKey = options.clientKey || (req => req.ip);
+
+    // Sends { success: true, ...fields, ...a fresh nonce for username }, or the reason none was issued
+    const sendChallenge = (req, res, username, fields = {}) => {
+        if (!limiter.hit(String(clientKey(req)))) {
+            return res.status(429).json({ success: false, code: ERROR_CODES.CHALLENGE_RATE_LIMITED, error: "Too many challenge requests. Try again later." });
+        }
+        let challenge;
+        try {
+            challenge = nonceStore.issue(username);
+        } catch (e) {
+            if (!(e instanceof ChallengeLimitError)) throw e;
+            return res.status(503).json({ success: false, code: ERROR_CODES.CHALLENGE_LIMIT_REACHED, error: e.message });
+        }
+        res.json({ success: true, ...fields, ...challenge });
+    };
+
+    // Runs a verification and, if it succeeds, opens a session for its account
+    const verifyAndSignIn = (verify, fallbackStatus) => (req, res, next) => {
+        const result = verify(req.body);
+        if (!result.success) return res.status(failureStatus(result, fallbackStatus)).json(result);
+
+        const session = sessions.issue(result.username);
+        req.zkAuth = { username: session.username, token: session.token, expires_at: session.expires_at, result };
+        next();
+    };
+
+    return {
+        verifier,
+        sessions,
+
+        // { username } -> a fresh challenge nonce for registration
+        challenge(req, res) {
+            const username = usernameOf(req);
+            if (!username) {
+                return res.status(400).json({ success: false, code: ERROR_CODES.SCHEMA_INVALID, error: "A username is required to request a challenge." });
+            }
+            sendChallenge(req, res, username);
+        },
+
+        // Login step 1: { username } -> the account's salt, Argon2 params and proof_config plus a fresh challenge
+        startLogin(req, res) {
+            const account = userStore.get(usernameOf(req));
+            if (!account) {
+                return res.status(404).json({ success: false, code: ERROR_CODES.USER_UNKNOWN, error: "Unknown username." });
+            }
+            sendChallenge(req, res, account.username, { salt: account.salt, params: account.params, proof_config: account.proof_config });
+        },
+
+        // { username, salt, params, proof } built by ZKProver.generateRegistration
+        register: verifyAndSignIn(body => verifier.verifyRegistration(body), 400),
+
+        // Login step 2: the Knowledge Proof for that challenge
+        login: verifyAndSignIn(body => verifier.verifyLogin(body), 401),
+
+        // Ends register or login: the verification result plus the session token
+        sendSession(req, res) {
+            const { result, token, expires_at } = req.zkAuth;
+            res.json({ ...result, token, expires_at });
+        },
+
+        // Guard: only lets requests with a valid session token for an existing account through
+        requireSession(req, res, next) {
+            const header = req.get('authorization') || '';
+            const match = /^Bearer\s+(\S+)$/i.exec(header);
+            if (!match) {
+                return res.status(401).json({ success: false, code: ERROR_CODES.SESSION_REQUIRED, error: "Session Required: Send 'Authorization: Bearer <token>'." });
+            }
+            const session = sessions.verify(match[1]);
+            if (!session.ok) {
+                const code = session.expired ? ERROR_CODES.SESSION_EXPIRED : ERROR_CODES.SESSION_INVALID;
+                return res.status(401).json({ success: false, code, error: "Session Rejected: " + session.error });
+            }
+            // Deleting an account ends its sessions
+            if (!userStore.get(session.username)) {
+                return res.status(401).json({ success: false, code: ERROR_CODES.SESSION_INVALID, error: "Session Rejected: The account no longer exists." });
+            }
+            req.zkAuth = { username: session.username, expires_at: session.expires_at };
+            next();
+        }
+    };
+}
+
+module.exports = { zkAuth };
@@ -0,0 +1,117 @@
+/**
+ * zk-hash/mimc.js
+ *
+ * The MiMC permutation every part of zk-hash uses: the prover builds its traces with
+ * it, stark-math.js takes the transition constraint and the round-constant column
+ * from it, and the verifier recomputes traces with it. One round is
+ *
+ *   x -> (x + key + c_i)^e  mod p
+ *
+ * - rounds: number of rounds (proof_params.rounds for the STARK)
+ * - exponent: the power e (3 by default). x^e is a permutation of the field only when
+ *   gcd(e, p - 1) = 1; `isPermutation` says whether that holds. The STARK's constraint
+ *   degree is written for e = 3.
+ * - constants: c_i = SHA-256("<seed>/<field>/<i>") mod p, a nothing-up-my-sleeve
+ *   derivation, unless explicit constants are passed
+ *
+ * trace(input, key) returns [x_0, ..., x_rounds], the rows the STARK commits to, and
+ * step(x, key, c) is the single round both sides check a transition against.
+ * encrypt() is the textbook MiMC cipher, which adds the key once more at the end.
+ * compress() adds the input to the output instead. With a public key only compress() is
+ * one-way: every round of permute() can be undone when x^e is a permutation.
+ */
+
+(function() {
+    const MerkleHash = (typeof window !== 'undefined' && window.MerkleHash) ? window.MerkleHash : require('./merkle-hash');
+
+    const MIMC_DEFAULT_EXPONENT = 3;
+    const MIMC_CONSTANT_SEED = 'zk-hash/mimc';
+
+    // Round constants only depend on (seed, field, i), so they are shared between instances
+    const constantCache = new Map();
+
+    function roundConstants(seed, field, count) {
+        const cacheKey = `${seed}/${field.name}`;
+        const cached = constantCache.get(cacheKey) || [];
+        const sha256 = MerkleHash.getMerkleHash('sha256');
+        const encoder = new TextEncoder();
+        for (let i = cached.length; i < count; i++) {
+            const digest = sha256.digest(encoder.encode(`${seed}/${field.name}/${i}`));
+            cached.push(field.mod(BigInt('0x' + MerkleHash.bytesToHex(digest))));
+        }
+        constantCache.set(cacheKey, cached);
+        return cached.slice(0, count);
+    }
+
+    const gcd = (a, b) => (b === 0n ? a : gcd(b, a % b));
+
+    class MiMC {
+        /**
+         * @param options.field PrimeField to work in (from stark-math.js)
+         * @param options.rounds Number of rounds (default 64)
+         * @param options.exponent Odd power of the round function (default 3)
+         * @param options.seed Seed the round constants are derived from
+         * @param options.constants Explicit round constants, overriding the seed
+         */
+        constructor({ field, rounds = 64, exponent = MIMC_DEFAULT_EXPONENT, seed = MIMC_CONSTANT_SEED, constants } = {}) {
+            if (!field) throw new Error("MiMC requires a field");
+            if (!Number.isSafeInteger(rounds) || rounds < 1) throw new Error("MiMC rounds must be a positive integer");
+            if (!Number.isSafeInteger(exponent) || exponent < 3 || exponent % 2 === 0) {
+                throw new Error("MiMC exponent must be an odd integer of at least 3");
+            }
+            if (constants && constants.length !== rounds) {
+                throw new Error(`MiMC needs ${rounds} round constants, got ${constants.length}`);
+            }
+            this.field = field;
+            this.rounds = rounds;
+            this.exponent = exponent;
+            this.constants = Object.freeze(constants ? constants.map(c => field.mod(BigInt(c))) : roundConstants(seed, field, rounds));
+            this.isPermutation = gcd(BigInt(exponent), field.modulus - 1n) === 1n;
+        }
+
+        // One round: (x + key + constant)^e
+        step(x, key, constant) {
+            const p = this.field.modulus;
+            const t = (x + key + constant) % p;
+            if (this.exponent === 3) return (t * t % p) * t % p;
+            return this.field.pow(t, BigInt(this.exponent));
+        }
+
+        // [x_0, ..., x_rounds] with x_0 = input and x_{i+1} = step(x_i, key, c_i)
+        trace(input, key = 0n) {
+            const k = this.field.mod(key);
+            const trace = [this.field.mod(input)];
+            for (let i = 0; i < this.rounds; i++) {
+                trace.push(this.step(trace[i], k, this.constants[i]));
+            }
+            return trace;
+        }
+
+        // x_rounds, the value the STARK proves
+        permute(input, key = 0n) {
+            return this.trace(input, key)[this.rounds];
+        }
+
+        // x_rounds + x, a one-way function of x even though the key is public. permute with a
+        // known key is not: when isPermutation holds it runs backwards round by round.
+        // This is the output of StarkMath.permutationAir with feedForward.
+        compress(input, key = 0n) {
+            return (this.permute(input, key) + this.field.mod(input)) % this.field.modulus;
+        }
+
+        // MiMC block cipher E_k(x) = x_rounds + k
+        encrypt(input, key = 0n) {
+            return (this.permute(input, key) + this.field.mod(key)) % this.field.modulus;
+        }
+    }
+
+    MiMC.DEFAULT_EXPONENT = MIMC_DEFAULT_EXPONENT;
+    MiMC.CONSTANT_SEED = MIMC_CONSTANT_SEED;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MiMC;
+    }
+    if (typeof window !== 'undefined') {
+        window.MiMC = MiMC;
+    }
+})();
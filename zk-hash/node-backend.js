@@ -0,0 +1,82 @@
+/**
+ * zk-hash/node-backend.js
+ *
+ * The Node implementation of the hashing backend interface (see hash-backend.js), so
+ * ZKProver can build proofs on a server, in scripts and in tests:
+ *
+ *   const prover = new ZKProver(null, null, { backend: nodeBackend() });
+ *
+ * It uses the npm `argon2` and `bcryptjs` packages, and crypto for random bytes, scrypt
+ * and PBKDF2. The packages are required on first use unless passed in, so a caller that
+ * only proves knowledge of a secret does not need them installed. Hashes match the browser backend's byte for byte.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { DEFAULT_HASH_POLICY } = require('./hash-policy');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+const scrypt = promisify(crypto.scrypt);
+
+// Node refuses to use more than 32 MiB for scrypt unless told otherwise. The ceiling is fixed
+// by the default hash policy, never derived from the parameters, since a re-hash on the
+// server runs with the parameters a client sent. The extra MiB covers the p * 128r bytes
+// of B and ROMix's scratch blocks next to its 128 * N * r bytes.
+const SCRYPT_MAX_MEMORY = DEFAULT_HASH_POLICY.maxScryptMemory * 1024;
+const SCRYPT_MAXMEM = SCRYPT_MAX_MEMORY + 1024 * 1024;
+
+/**
+ * @param options.argon2 The npm argon2 module (default: require('argon2'))
+ * @param options.bcrypt The bcryptjs module (default: require('bcryptjs'))
+ */
+function nodeBackend(options = {}) {
+    const argon2 = () => options.argon2 || require('argon2');
+    const bcrypt = () => options.bcrypt || require('bcryptjs');
+
+    return {
+        name: 'node',
+
+        randomBytes(length) {
+            return new Uint8Array(crypto.randomBytes(length));
+        },
+
+        bcryptSalt(cost) {
+            return bcrypt().genSalt(cost);
+        },
+
+        bcrypt(password, salt) {
+            return bcrypt().hash(password, salt);
+        },
+
+        async argon2id(password, salt, { time, mem, hashLen }) {
+            // The native binding rejects settings argon2-browser accepts
+            if (time < 2) throw new Error(`The npm argon2 package needs a time cost of at least 2, got ${time}`);
+            if (mem < 1024) throw new Error(`The npm argon2 package needs at least 1024 KiB of memory, got ${mem}`);
+            const lib = argon2();
+            return lib.hash(password, {
+                type: lib.argon2id,
+                salt: Buffer.from(salt, 'utf8'),
+                timeCost: time,
+                memoryCost: mem,
+                hashLength: hashLen,
+                parallelism: 1
+            });
+        },
+
+        async pbkdf2(password, salt, { iterations, keyLen }) {
+            return new Uint8Array(await pbkdf2(password, salt, iterations, keyLen, 'sha256'));
+        },
+
+        async scrypt(password, salt, { N, r, p, keyLen }) {
+            if (128 * N * r > SCRYPT_MAX_MEMORY) {
+                throw new Error(`scrypt with N = ${N} and r = ${r} needs more than ${DEFAULT_HASH_POLICY.maxScryptMemory} KiB of memory`);
+            }
+            if (p > DEFAULT_HASH_POLICY.maxScryptParallelism) {
+                throw new Error(`scrypt parallelism p = ${p} is above ${DEFAULT_HASH_POLICY.maxScryptParallelism}`);
+            }
+            return new Uint8Array(await scrypt(password, salt, keyLen, { N, r, p, maxmem: SCRYPT_MAXMEM }));
+        }
+    };
+}
+
+module.exports = { nodeBackend };
@@ -0,0 +1,277 @@
+/**
+ * zk-hash/nonce-store.js
+ *
+ * Server-side bookkeeping for the challenge nonces used by Knowledge Proofs.
+ * Every nonce is issued for one username, expires after a TTL and can only be
+ * consumed once, so a captured proof cannot be replayed against the verifier.
+ *
+ * The storage backend is pluggable. All stores share the issue/consume logic
+ * from NonceStore and only implement get/put/remove/count/pruneExpired,
+ * plus claim where marking a nonce used must be atomic across processes:
+ * 1. MemoryNonceStore: A Map, for tests and single-process demos.
+ * 2. FileNonceStore: A JSON file on local disk, for a single process.
+ * 3. SqliteNonceStore: A table in a better-sqlite3 compatible database handle,
+ *    which several processes can share.
+ *
+ * Usernames are compared in their normalizeUsername form (common.js).
+ *
+ * Expired nonces are pruned whenever a new one is issued. A store holds at most
+ * maxOutstanding unexpired nonces: once it is full, issue throws ChallengeLimitError
+ * until some expire. Nothing is ever dropped to make room, as that would let one
+ * requester cancel the challenge another one is about to answer. Limiting how often
+ * each client may ask for challenges is up to the server (see zkAuth in middleware.js).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizeUsername } = require('./common');
+
+const DEFAULT_NONCE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const NONCE_BYTES = 16;
+const DEFAULT_MAX_OUTSTANDING_NONCES = 10000;
+
+// Thrown by issue when the store already holds maxOutstanding unexpired nonces
+class ChallengeLimitError extends Error {}
+
+class NonceStore {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || DEFAULT_NONCE_TTL_MS;
+        this.maxOutstanding = options.maxOutstanding || DEFAULT_MAX_OUTSTANDING_NONCES;
+        // Injectable clock so expiry can be tested without waiting
+        this.now = options.now || (() => Date.now());
+    }
+
+    /**
+     * Issues a fresh single-use nonce bound to `username`.
+     * Returns { nonce, username, expires_at } where expires_at is a ms timestamp.
+     * Throws ChallengeLimitError while the store is full.
+     */
+    issue(name) {
+        const username = normalizeUsername(name);
+        if (!username) {
+            throw new Error("A username is required to issue a challenge");
+        }
+
+        const now = this.now();
+        this.pruneExpired(now);
+        // Used nonces count too: they are kept until they expire to detect replays.
+        // Processes sharing a store check and insert separately, so together they can
+        // overshoot the limit by a few.
+        if (this.count() >= this.maxOutstanding) {
+            throw new ChallengeLimitError("Too many open challenges. Try again later.");
+        }
+
+        const record = {
+            nonce: crypto.randomBytes(NONCE_BYTES).toString('hex'),
+            username: username,
+            expires_at: now + this.ttlMs,
+            used: false
+        };
+        this.put(record);
+
+        return { nonce: record.nonce, username: record.username, expires_at: record.expires_at };
+    }
+
+    /**
+     * Marks `nonce` as used if it was issued to `username` and is still valid.
+     * Returns { ok: true } or { ok: false, error } describing why it was rejected.
+     */
+    consume(nonce, name) {
+        const username = normalizeUsername(name);
+        if (typeof nonce !== 'string' || nonce.length === 0) {
+            return { ok: false, error: "Challenge nonce missing from proof." };
+        }
+
+        const now = this.now();
+        if (this.claim(nonce, username, now)) return { ok: true };
+
+        // Not claimed: find out why
+        const record = this.get(nonce);
+        if (!record) {
+            return { ok: false, error: "Challenge nonce was never issued by this server." };
+        }
+        if (record.used) {
+            return { ok: false, error: "Challenge nonce was already used (Replay Detected)." };
+        }
+        if (record.expires_at <= now) {
+            return { ok: false, error: "Challenge nonce has expired. Request a new challenge." };
+        }
+        if (record.username !== username) {
+            return { ok: false, error: "Challenge nonce was issued for a different username." };
+        }
+        return { ok: false, error: "Challenge nonce was already used (Replay Detected)." };
+    }
+
+    /**
+     * Marks `nonce` used if it is unused, unexpired and issued to `username`, in one step.
+     * Returns whether it did. This default reads and writes separately, which is only
+     * atomic for stores that a single process accesses synchronously.
+     */
+    claim(nonce, username, now) {
+        const record = this.get(nonce);
+        if (!record || record.used || record.expires_at <= now || record.username !== username) return false;
+        record.used = true;
+        this.put(record);
+        return true;
+    }
+
+    // --- Storage hooks, implemented by each backend ---
+    get(nonce) { throw new Error("NonceStore.get not implemented"); }
+    put(record) { throw new Error("NonceStore.put not implemented"); }
+    remove(nonce) { throw new Error("NonceStore.remove not implemented"); }
+    // Number of stored records, expired or not
+    count() { throw new Error("NonceStore.count not implemented"); }
+    pruneExpired(now) { throw new Error("NonceStore.pruneExpired not implemented"); }
+}
+
+class MemoryNonceStore extends NonceStore {
+    constructor(options = {}) {
+        super(options);
+        this.records = new Map();
+    }
+
+    get(nonce) {
+        const record = this.records.get(nonce);
+        return record ? { ...record } : null;
+    }
+
+    put(record) {
+        this.records.set(record.nonce, { ...record });
+    }
+
+    remove(nonce) {
+        this.records.delete(nonce);
+    }
+
+    count() {
+        return this.records.size;
+    }
+
+    pruneExpired(now) {
+        for (const [nonce, record] of this.records) {
+            if (record.expires_at <= now) this.records.delete(nonce);
+        }
+    }
+}
+
+class FileNonceStore extends NonceStore {
+    constructor(filePath, options = {}) {
+        super(options);
+        if (!filePath) throw new Error("FileNonceStore requires a file path");
+        this.filePath = filePath;
+    }
+
+    // The file is re-read on every call, but claim is a separate read and write: only one
+    // process may use the file, or two of them could accept the same nonce. Use
+    // SqliteNonceStore for several processes.
+    load() {
+        if (!fs.existsSync(this.filePath)) return {};
+        const text = fs.readFileSync(this.filePath, 'utf8');
+        return text.trim() ? JSON.parse(text) : {};
+    }
+
+    save(records) {
+        // Write to a temp file and rename so readers never see a half-written file
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(records));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    get(nonce) {
+        const records = this.load();
+        return Object.prototype.hasOwnProperty.call(records, nonce) ? records[nonce] : null;
+    }
+
+    put(record) {
+        const records = this.load();
+        records[record.nonce] = record;
+        this.save(records);
+    }
+
+    remove(nonce) {
+        const records = this.load();
+        delete records[nonce];
+        this.save(records);
+    }
+
+    count() {
+        return Object.keys(this.load()).length;
+    }
+
+    pruneExpired(now) {
+        const records = this.load();
+        let changed = false;
+        for (const nonce of Object.keys(records)) {
+            if (records[nonce].expires_at <= now) {
+                delete records[nonce];
+                changed = true;
+            }
+        }
+        if (changed) this.save(records);
+    }
+}
+
+class SqliteNonceStore extends NonceStore {
+    /**
+     * @param db An open better-sqlite3 Database (or anything with the same
+     *           synchronous exec/prepare/run/get API).
+     */
+    constructor(db, options = {}) {
+        super(options);
+        if (!db) throw new Error("SqliteNonceStore requires a database handle");
+        this.db = db;
+        this.table = options.table || 'zk_nonces';
+
+        this.db.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (
+            nonce TEXT PRIMARY KEY,
+            username TEXT NOT NULL,
+            expires_at INTEGER NOT NULL,
+            used INTEGER NOT NULL DEFAULT 0
+        )`);
+        this.selectStmt = this.db.prepare(`SELECT nonce, username, expires_at, used FROM ${this.table} WHERE nonce = ?`);
+        this.upsertStmt = this.db.prepare(`INSERT OR REPLACE INTO ${this.table} (nonce, username, expires_at, used) VALUES (?, ?, ?, ?)`);
+        this.pruneStmt = this.db.prepare(`DELETE FROM ${this.table} WHERE expires_at <= ?`);
+        this.deleteStmt = this.db.prepare(`DELETE FROM ${this.table} WHERE nonce = ?`);
+        this.countStmt = this.db.prepare(`SELECT COUNT(*) AS n FROM ${this.table}`);
+        // One statement, so two processes verifying the same proof cannot both claim its nonce
+        this.claimStmt = this.db.prepare(`UPDATE ${this.table} SET used = 1 WHERE nonce = ? AND username = ? AND used = 0 AND expires_at > ?`);
+    }
+
+    get(nonce) {
+        const row = this.selectStmt.get(nonce);
+        if (!row) return null;
+        return { nonce: row.nonce, username: row.username, expires_at: Number(row.expires_at), used: !!row.used };
+    }
+
+    put(record) {
+        this.upsertStmt.run(record.nonce, record.username, record.expires_at, record.used ? 1 : 0);
+    }
+
+    claim(nonce, username, now) {
+        return this.claimStmt.run(nonce, username, now).changes === 1;
+    }
+
+    remove(nonce) {
+        this.deleteStmt.run(nonce);
+    }
+
+    count() {
+        return Number(this.countStmt.get().n);
+    }
+
+    pruneExpired(now) {
+        this.pruneStmt.run(now);
+    }
+}
+
+module.exports = {
+    NonceStore,
+    MemoryNonceStore,
+    FileNonceStore,
+    SqliteNonceStore,
+    ChallengeLimitError,
+    DEFAULT_NONCE_TTL_MS,
+    DEFAULT_MAX_OUTSTANDING_NONCES
+};
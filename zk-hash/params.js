@@ -0,0 +1,167 @@
+/**
+ * zk-hash/params.js
+ *
+ * Proof parameters shared by ZKProver, ZKVerifier and the STARK pipeline:
+ *
+ *   { rounds, queries, blowup, grinding_bits }
+ *
+ * - rounds: transitions in the proven trace, i.e. MiMC rounds (for Poseidon the field's
+ *   parameter set fixes them)
+ * - queries: Fiat-Shamir query positions checked by the verifier
+ * - blowup: size of the LDE domain relative to the trace domain (a power of two)
+ * - grinding_bits: leading zero bits the prover's proof-of-work nonce must produce
+ *   before the query positions are drawn (0 = no grinding)
+ *
+ * The prover records the parameters as `public_inputs.proof_params`. The verifier takes
+ * every size from them and checks them against a security policy, so both sides
+ * always agree on the proof's shape and a proof cannot claim less soundness than
+ * the server asks for.
+ */
+
+(function() {
+    const DEFAULT_PROOF_PARAMS = Object.freeze({
+        rounds: 64,
+        queries: 24,
+        blowup: 16,
+        grinding_bits: 0
+    });
+
+    // Hard bounds any proof must respect, whatever the policy. They keep proving and
+    // verification cost bounded for proofs sent by strangers.
+    const PROOF_PARAM_LIMITS = Object.freeze({
+        rounds: { min: 1, max: 1024 },
+        queries: { min: 1, max: 128 },
+        // The composition has degree ~3N, so blowup 4 leaves no room for FRI
+        blowup: { min: 8, max: 64 },
+        grinding_bits: { min: 0, max: 32 }
+    });
+
+    // What ZKVerifier accepts by default (override with `new ZKVerifier({ securityPolicy })`)
+    const DEFAULT_SECURITY_POLICY = Object.freeze({
+        minSecurityBits: 40,
+        minRounds: 64
+    });
+
+    const isPowerOfTwo = (n) => n > 0 && (n & (n - 1)) === 0;
+    const nextPowerOfTwo = (n) => {
+        let size = 1;
+        while (size < n) size *= 2;
+        return size;
+    };
+
+    /**
+     * Returns null if `params` is a complete, in-range parameter object, or a message
+     * naming the first problem (prefixed with `path`).
+     */
+    function checkProofParams(params, path = 'params') {
+        if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+            return `${path} must be an object`;
+        }
+        for (const [name, { min, max }] of Object.entries(PROOF_PARAM_LIMITS)) {
+            const v = params[name];
+            if (!Number.isSafeInteger(v) || v < min || v > max) {
+                return `${path}.${name} must be an integer in [${min}, ${max}]`;
+            }
+        }
+        if (!isPowerOfTwo(params.blowup)) return `${path}.blowup must be a power of two`;
+        const extra = Object.keys(params).filter(k => !(k in PROOF_PARAM_LIMITS));
+        if (extra.length) return `${path}.${extra[0]} is not a proof parameter`;
+        return null;
+    }
+
+    /**
+     * Fills in defaults for missing entries and validates the result.
+     * Throws on invalid parameters; returns a frozen copy.
+     */
+    function resolveProofParams(params = {}) {
+        const resolved = { ...DEFAULT_PROOF_PARAMS };
+        for (const name of Object.keys(PROOF_PARAM_LIMITS)) {
+            if (params[name] !== undefined) resolved[name] = params[name];
+        }
+        const problem = checkProofParams(resolved);
+        if (problem) throw new Error("Invalid proof parameters: " + problem);
+        return Object.freeze(resolved);
+    }
+
+    /**
+     * Domain sizes and FRI degree bound for a trace under `params`. Field independent.
+     * `constraintDegree` is the degree of the trace permutation's transitions (3 for MiMC,
+     * see TRACE_PERMUTATIONS in stark-math.js).
+     * The trace is padded with 4 random rows per query (one per trace opening, see the
+     * zero-knowledge notes in stark-math.js).
+     */
+    function proofSizes(params, constraintDegree = 3) {
+        const { rounds, queries, blowup } = params;
+        const blindingRows = 4 * queries;
+        const traceLength = nextPowerOfTwo(rounds + 1 + blindingRows);
+        // deg CP <= d(N - 1) - R, rounded up to a power of two for FRI folding
+        const degreeBound = nextPowerOfTwo(constraintDegree * (traceLength - 1) - rounds + 1);
+        return {
+            rounds,
+            queries,
+            blowup,
+            blindingRows,
+            traceLength,
+            ldeSize: traceLength * blowup,
+            degreeBound,
+            friRounds: Math.log2(degreeBound)
+        };
+    }
+
+    // What a well-formed proof body looks like under `params`, for schema validation
+    function proofShape(params, constraintDegree = 3) {
+        const sizes = proofSizes(params, constraintDegree);
+        return { ldeSize: sizes.ldeSize, friLayers: sizes.friRounds - 1, numQueries: params.queries };
+    }
+
+    /**
+     * Estimated soundness of a proof in bits, using the usual conjecture for FRI: every
+     * query catches a cheating prover except with probability rate = D / M, and grinding
+     * adds its bits on top. The total is capped by the field size, since the composition
+     * and folding challenges are drawn from the field.
+     * `field` is a StarkMath field (only `field.bits` is read); omit it for no cap.
+     */
+    function soundnessBits(params, field, constraintDegree = 3) {
+        const sizes = proofSizes(params, constraintDegree);
+        const bitsPerQuery = Math.log2(sizes.ldeSize / sizes.degreeBound);
+        const bits = params.queries * bitsPerQuery + params.grinding_bits;
+        const cap = field ? field.bits - Math.log2(sizes.ldeSize) : Infinity;
+        return Math.floor(Math.min(bits, cap));
+    }
+
+    /**
+     * Returns null if a proof with `params` in `field` meets `policy`, or a message saying why not.
+     * `minRounds` is a MiMC requirement; pass `{ ...policy, minRounds: 1 }` for permutations
+     * whose round count is fixed by their parameter set.
+     */
+    function checkSecurityPolicy(params, field, policy = DEFAULT_SECURITY_POLICY, constraintDegree = 3) {
+        const { minSecurityBits = 0, minRounds = 1 } = policy;
+        if (params.rounds < minRounds) {
+            return `${params.rounds} MiMC rounds is below the required ${minRounds}`;
+        }
+        const bits = soundnessBits(params, field, constraintDegree);
+        if (bits < minSecurityBits) {
+            return `estimated soundness of ${bits} bits is below the required ${minSecurityBits}`;
+        }
+        return null;
+    }
+
+    const ProofParams = {
+        DEFAULT_PROOF_PARAMS,
+        PROOF_PARAM_LIMITS,
+        DEFAULT_SECURITY_POLICY,
+        checkProofParams,
+        resolveProofParams,
+        proofSizes,
+        proofShape,
+        soundnessBits,
+        checkSecurityPolicy
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ProofParams;
+    }
+    if (typeof window !== 'undefined') {
+        window.ProofParams = ProofParams;
+    }
+})();
@@ -0,0 +1,158 @@
+/**
+ * zk-hash/poseidon.js
+ *
+ * The Poseidon permutation over the proof's field, as an alternative to MiMC for the
+ * proven trace (see stark-math.js), the Merkle commitments (merkle-hash.js) and the
+ * Fiat-Shamir transcript. One round on a state of `width` elements is
+ *
+ *   s_j = x_j + c_{r,j};  s_j = s_j^alpha (every j in full rounds, j = 0 in partial rounds);  x' = MDS * s
+ *
+ * with `fullRounds / 2` full rounds, then `partialRounds` partial rounds, then the other
+ * `fullRounds / 2` full rounds. The parameter sets follow the published instances:
+ *
+ * - stark252:   width 3, x^3, 8 full + 83 partial rounds (StarkNet's Poseidon)
+ * - goldilocks: width 12, x^7, 8 full + 22 partial rounds (Plonky2's Poseidon)
+ *
+ * Round constants are c_{r,j} = SHA-256("<seed>/<field>/<width>/<r>/<j>") mod p and the
+ * MDS matrix is the Cauchy matrix M[i][j] = 1 / (i + width + j), so the constants are
+ * our own and proofs are not interchangeable with those systems.
+ */
+
+(function() {
+    const MerkleHash = (typeof window !== 'undefined' && window.MerkleHash) ? window.MerkleHash : require('./merkle-hash');
+
+    const POSEIDON_PARAMETERS = Object.freeze({
+        stark252: Object.freeze({ width: 3, alpha: 3, fullRounds: 8, partialRounds: 83 }),
+        goldilocks: Object.freeze({ width: 12, alpha: 7, fullRounds: 8, partialRounds: 22 })
+    });
+    const POSEIDON_CONSTANT_SEED = 'zk-hash/poseidon';
+
+    const gcd = (a, b) => (b === 0n ? a : gcd(b, a % b));
+
+    class Poseidon {
+        /**
+         * @param options.field PrimeField to work in (from stark-math.js)
+         * @param options.width, options.alpha, options.fullRounds, options.partialRounds
+         *        Override the field's parameter set from POSEIDON_PARAMETERS
+         * @param options.seed Seed the round constants are derived from
+         */
+        constructor({ field, seed = POSEIDON_CONSTANT_SEED, ...overrides } = {}) {
+            if (!field) throw new Error("Poseidon requires a field");
+            const { width, alpha, fullRounds, partialRounds } = { ...POSEIDON_PARAMETERS[field.name], ...overrides };
+            if (!Number.isSafeInteger(width) || width < 2) throw new Error("Poseidon width must be an integer of at least 2");
+            if (!Number.isSafeInteger(fullRounds) || fullRounds < 2 || fullRounds % 2 !== 0) {
+                throw new Error("Poseidon needs an even number of full rounds");
+            }
+            if (!Number.isSafeInteger(partialRounds) || partialRounds < 0) throw new Error("Poseidon partial rounds must be a non-negative integer");
+            // x^alpha must be a permutation of the field
+            if (!Number.isSafeInteger(alpha) || alpha < 3 || gcd(BigInt(alpha), field.modulus - 1n) !== 1n) {
+                throw new Error(`Poseidon alpha = ${alpha} is not a permutation of ${field.name}`);
+            }
+
+            this.field = field;
+            this.width = width;
+            this.alpha = alpha;
+            this.fullRounds = fullRounds;
+            this.partialRounds = partialRounds;
+            this.rounds = fullRounds + partialRounds;
+
+            const sha256 = MerkleHash.getMerkleHash('sha256');
+            const encoder = new TextEncoder();
+            this.roundConstants = Array.from({length: this.rounds}, (_, r) => Array.from({length: width}, (_, j) =>
+                field.mod(BigInt('0x' + MerkleHash.bytesToHex(sha256.digest(encoder.encode(`${seed}/${field.name}/${width}/${r}/${j}`)))))));
+            this.mds = Array.from({length: width}, (_, i) => Array.from({length: width}, (_, j) => field.inv(BigInt(i + width + j))));
+        }
+
+        // The default instance for a field (POSEIDON_PARAMETERS), built once
+        static forField(field) {
+            if (!Poseidon.instances.has(field)) Poseidon.instances.set(field, new Poseidon({ field }));
+            return Poseidon.instances.get(field);
+        }
+
+        isFullRound(r) {
+            const half = this.fullRounds / 2;
+            return r < half || r >= half + this.partialRounds;
+        }
+
+        /**
+         * One round with round constants `constants`. `full` is 1n for a full round and 0n
+         * for a partial one; the STARK also evaluates it at points where the round constants
+         * and the selector are interpolated values, so any field value is accepted.
+         */
+        step(state, constants, full) {
+            const p = this.field.modulus;
+            const sbox = state.map((x, j) => {
+                const s = (x + constants[j]) % p;
+                if (j === 0) return this.power(s);
+                if (full === 0n) return s;
+                if (full === 1n) return this.power(s);
+                return (s + full * ((this.power(s) - s + p) % p)) % p;
+            });
+            // One reduction per output element; the products are summed as plain BigInts
+            return this.mds.map(row => {
+                let acc = 0n;
+                for (let j = 0; j < row.length; j++) acc += row[j] * sbox[j];
+                return acc % p;
+            });
+        }
+
+        // x^alpha, with the two exponents of POSEIDON_PARAMETERS unrolled
+        power(x) {
+            const p = this.field.modulus;
+            if (this.alpha === 3) return (x * x % p) * x % p;
+            if (this.alpha === 7) {
+                const x2 = x * x % p;
+                const x3 = x2 * x % p;
+                return (x3 * x3 % p) * x % p;
+            }
+            return this.field.pow(x, BigInt(this.alpha));
+        }
+
+        // [state_0, ..., state_rounds], one row per round
+        trace(state) {
+            if (state.length !== this.width) throw new Error(`Poseidon state must have ${this.width} elements`);
+            const rows = [state.map(x => this.field.mod(x))];
+            for (let r = 0; r < this.rounds; r++) {
+                rows.push(this.step(rows[r], this.roundConstants[r], this.isFullRound(r) ? 1n : 0n));
+            }
+            return rows;
+        }
+
+        permute(state) {
+            return this.trace(state)[this.rounds];
+        }
+
+        /**
+         * Sponge with rate width - 1 and one capacity element, which holds `domain`.
+         * Values are padded 10* to a multiple of the rate. Returns the rate part of the
+         * final state.
+         */
+        hash(values, domain = 0) {
+            const rate = this.width - 1;
+            const p = this.field.modulus;
+            let state = new Array(this.width).fill(0n);
+            state[rate] = BigInt(domain);
+
+            const input = values.map(v => this.field.mod(v));
+            input.push(1n);
+            while (input.length % rate !== 0) input.push(0n);
+
+            for (let off = 0; off < input.length; off += rate) {
+                for (let j = 0; j < rate; j++) state[j] = (state[j] + input[off + j]) % p;
+                state = this.permute(state);
+            }
+            return state.slice(0, rate);
+        }
+    }
+
+    Poseidon.instances = new Map();
+    Poseidon.PARAMETERS = POSEIDON_PARAMETERS;
+    Poseidon.CONSTANT_SEED = POSEIDON_CONSTANT_SEED;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Poseidon;
+    }
+    if (typeof window !== 'undefined') {
+        window.Poseidon = Poseidon;
+    }
+})();
@@ -0,0 +1,51 @@
+/**
+ * zk-hash/prove-worker.js
+ *
+ * Web Worker that runs a whole ZKProver off the page's main thread: hashing, tracing,
+ * commitments, grinding and queries. Driven by ZKWorkerProver (worker-prover.js).
+ *
+ *   in:  { type: 'init', scripts }                     hashing libraries to import (bcryptjs, argon2-browser)
+ *        { type: 'prove', id, method, args, options }  runs new ZKProver(..., options)[method](...args)
+ *   out: { type: 'ready' }                             after 'init'
+ *        { type: 'progress', id, phase, fraction }     see ZKProver.PHASES
+ *        { type: 'result', id, result }                the proof or payload, as JSON-ready data
+ *        { type: 'error', id, error }                  error message (id is null for 'init')
+ *
+ * Cancelling a job terminates the worker, so it never has to check for cancellation itself.
+ */
+
+// The zk-hash scripts export through `window`; a worker only has `self`
+self.window = self;
+importScripts('common.js', 'merkle-hash.js', 'params.js', 'mimc.js', 'poseidon.js', 'stark-math.js', 'air.js', 'hash-backend.js', 'hash-algorithms.js', 'prover.js');
+
+// The ZKProver methods a page may call
+const PROVER_METHODS = ['generateProof', 'generateHashOpening', 'generateKnowledgeProof', 'generateAuthProof', 'generateRegistration'];
+
+self.onmessage = async (event) => {
+    const message = event.data || {};
+
+    if (message.type === 'init') {
+        try {
+            if (message.scripts && message.scripts.length) importScripts(...message.scripts);
+            self.postMessage({ type: 'ready' });
+        } catch (e) {
+            self.postMessage({ type: 'error', id: null, error: "Could not load the hashing libraries: " + e.message });
+        }
+        return;
+    }
+
+    if (message.type !== 'prove') return;
+    const { id, method, args, options } = message;
+    try {
+        if (!PROVER_METHODS.includes(method)) throw new Error(`Unknown prover method: ${method}`);
+        const bcrypt = self.dcodeIO ? self.dcodeIO.bcrypt : null;
+        const prover = new ZKProver(bcrypt, self.argon2 || null, {
+            ...options,
+            onProgress: ({ phase, fraction }) => self.postMessage({ type: 'progress', id, phase, fraction })
+        });
+        const result = await prover[method](...args);
+        self.postMessage({ type: 'result', id, result });
+    } catch (e) {
+        self.postMessage({ type: 'error', id, error: e.message });
+    }
+};
@@ -6,8 +6,9 @@
  * that the hash was computed correctly from the secret preimage.
  * 
  * It supports:
- * 1. Proof of Computation: Proving a Password hashes to a specific Hash via Argon2/Bcrypt/MiMC.
+ * 1. Proof of Computation: Proving a Password hashes to a specific Hash via Argon2/Bcrypt/scrypt/PBKDF2/MiMC.
  * 2. Proof of Knowledge: Proving knowledge of a Hash (H) without revealing it, via Hash(H + nonce).
+ * Both are AIR definitions (air.js); prove() builds a proof for any registered statement.
  */
 
 // We assume this runs in a browser environment where generic hashing libraries are loaded
@@ -24,283 +25,250 @@ if (typeof window !== 'undefined' && window.StarkMath) {
 }
 
 (function() {
-    const { FieldElement, mimcHash, MerkleTree, FIELD_MODULUS, generateFiatShamirQueries } = StarkMath;
+    const { getField, getMerkleHash, getTracePermutation, DEFAULT_TRACE_PERMUTATION, TRANSCRIPT_HASHES, DEFAULT_TRANSCRIPT_HASH, TRANSCRIPT_PROTOCOL, Transcript, proveAirAsync } = StarkMath;
+    const { resolveProofParams } = (typeof window !== 'undefined' && window.ProofParams) ? window.ProofParams : require('./params');
+    const { getAir } = (typeof window !== 'undefined' && window.AirRegistry) ? window.AirRegistry : require('./air');
+    const { browserBackend } = (typeof window !== 'undefined' && window.HashBackend) ? window.HashBackend : require('./hash-backend');
+    const { getHashAlgorithm } = (typeof window !== 'undefined' && window.HashAlgorithms) ? window.HashAlgorithms : require('./hash-algorithms');
 
-    class ZKProver {
-        constructor(libBcrypt, libArgon2) {
-            this.bcrypt = libBcrypt;
-            this.argon2 = libArgon2;
-        }
-
-        // 1. Convert string to BigInt for the field
-        stringToField(str) {
-            let val = 0n;
-            for (let i = 0; i < str.length; i++) {
-                val = (val * 256n) + BigInt(str.charCodeAt(i));
-            }
-            return new FieldElement(val);
-        }
-
-        async generateProof(password, algorithm, params) {
-            let hash;
-            let mimcKey = 0n; // Default logic for Native mode
+    // The phases a proof goes through, in order, as reported to options.onProgress.
+    // 'hashing' only happens for password-hash proofs (not 'mimc-stark') and ZK-Auth secrets.
+    const PROVER_PHASES = ['hashing', 'tracing', 'committing', 'grinding', 'querying'];
 
-            console.log(`Starting generation for ${algorithm}...`);
+    // Argon2 settings for ZK-Auth accounts when the caller does not choose any
+    const DEFAULT_ARGON2_PARAMS = getHashAlgorithm('argon2id').defaults;
 
-            // --- STEP 1: Perform the requested Heavy Hash (Argon2/Bcrypt) ---
-            if (algorithm === 'bcrypt') {
-                const saltRound = params.cost || 10;
-                
-                // Promisify Bcrypt
-                const genSalt = (cost) => new Promise((resolve, reject) => {
-                    if (typeof this.bcrypt.genSalt === 'function') {
-                         try {
-                            const res = this.bcrypt.genSalt(cost, (err, salt) => {
-                                if (err) reject(err);
-                                else resolve(salt);
-                            });
-                            if (res && typeof res.then === 'function') res.then(resolve, reject);
-                         } catch (e) { reject(e); }
-                    } else reject(new Error("Bcrypt invalid"));
-                });
-
-                const hashPass = (pass, salt) => new Promise((resolve, reject) => {
-                     try {
-                        const res = this.bcrypt.hash(pass, salt, (err, h) => {
-                            if (err) reject(err);
-                            else resolve(h);
-                        });
-                        if (res && typeof res.then === 'function') res.then(resolve, reject);
-                     } catch (e) { reject(e); }
-                });
-
-                console.log("Generating Salt...");
-                const salt = await genSalt(saltRound);
-                console.log("Hashing Password...");
-                hash = await hashPass(password, salt);
-                
-                // BINDING TRICK: Use the Hash as the Key for MiMC
-                // We use the WHOLE hash string to ensure any tampering changes the key.
-                // Since the field is small, we just mod the big integer representation of the whole string.
-                mimcKey = this.stringToField(hash).val;
-                
-            } else if (algorithm === 'argon2id') {
-                if (!this.argon2) throw new Error("Argon2 library not loaded");
-                
-                console.log("Running Argon2...");
-                const result = await this.argon2.hash({
-                    pass: password,
-                    salt: params.salt || 'somesalt',
-                    time: params.time || 1,
-                    mem: params.mem || 1024,
-                    hashLen: params.hashLen || 32,
-                    type: this.argon2.ArgonType.Argon2id
-                });
-                hash = result.encoded;
-                
-                // BINDING TRICK: Use the Hash as the Key for MiMC
-                mimcKey = this.stringToField(hash).val;
-
-            } else if (algorithm === 'mimc-stark') {
-                // Native mode: The output IS the MiMC hash
-                // We run MiMC once here to get the "public output"
-                // Then the trace will prove it.
-                // Note: The trace generation replicates this logic anyway.
-                // We set hash = "WILL_BE_CALCULATED_IN_TRACE";
-                // Actually, let's just let the trace output define it.
-                mimcKey = 0n;
-                hash = "NATIVE_MIMC_STARK_OUTPUT"; 
+    class ZKProver {
+        /**
+         * @param libBcrypt bcryptjs (window.dcodeIO.bcrypt) for the browser backend
+         * @param libArgon2 argon2-browser (window.argon2) for the browser backend
+         * @param options.backend Hashing backend (see hash-backend.js), e.g. nodeBackend() from
+         *        node-backend.js. Defaults to the browser backend over libBcrypt and libArgon2.
+         * @param options.field Name of the prime field to prove in (see StarkMath.FIELDS).
+         *        Recorded in every proof's public inputs. Defaults to 'stark252'.
+         * @param options.merkleHash Id of the Merkle hasher for commitments (see MerkleHash.MERKLE_HASHES).
+         *        Recorded in every proof's public inputs. Defaults to 'sha256'.
+         * @param options.params Proof parameters { rounds, queries, blowup, grinding_bits } (see params.js).
+         *        Missing entries use ProofParams.DEFAULT_PROOF_PARAMS. Recorded in every proof's public inputs.
+         * @param options.permutation Trace permutation, 'mimc' (default) or 'poseidon' (see
+         *        StarkMath.TRACE_PERMUTATIONS). Poseidon fixes `rounds` for the field; leave it unset.
+         * @param options.transcriptHash Fiat-Shamir hash, 'sha256' (default) or 'poseidon'
+         *        (see StarkMath.TRANSCRIPT_HASHES).
+         * @param options.grinder Searches the proof-of-work nonce when params.grinding_bits > 0
+         *        (see StarkMath.proveAirAsync), e.g. ZKProver.workerGrinder(). Defaults to
+         *        grinding on the calling thread.
+         * @param options.onProgress Called with { phase, fraction } whenever a proof enters one of
+         *        PROVER_PHASES, and during 'committing' with its fraction done (0..1).
+         * @param options.logger Where the progress messages go, anything with a log(message)
+         *        method. Defaults to console; null keeps the prover quiet.
+         */
+        constructor(libBcrypt, libArgon2, options = {}) {
+            // The browser libraries are only used when no other backend is given
+            this.backend = options.backend || browserBackend(libBcrypt, libArgon2);
+            this.field = getField(options.field);
+            this.merkleHash = getMerkleHash(options.merkleHash).id;
+            const permutation = options.permutation || DEFAULT_TRACE_PERMUTATION;
+            const params = { ...options.params };
+            if (params.rounds === undefined && getTracePermutation(permutation, this.field).fixedRounds) {
+                params.rounds = getTracePermutation(permutation, this.field).rounds;
             }
-
-            // --- STEP 2: Generate ZK-STARK Proof ---
-            console.log("Generating Execution Trace...");
-            
-            // A. Execution Trace Generation
-            const trace = [];
-            let inputVal = this.stringToField(password).val;
-            let curr = inputVal;
-            
-            trace.push(curr); // Input (state 0)
-            
-            const MIMC_ROUNDS = 64;
-            const MIMC_CONSTANTS = Array.from({length: MIMC_ROUNDS}, (_, i) => BigInt(i * 123456789)); 
-
-            for(let i=0; i<MIMC_ROUNDS; i++) {
-                 // x = (x + k + ci)^3
-                 // We add the `mimcKey` (derived from Argon2 hash) into the state transition
-                 // This cryptographically binds the trace to the Argon2 hash.
-                 
-                 let t = (curr + mimcKey + (MIMC_CONSTANTS[i] || 0n)) % FIELD_MODULUS;
-                 let t2 = (t * t) % FIELD_MODULUS;
-                 let t3 = (t2 * t) % FIELD_MODULUS;
-                 curr = t3;
-                 trace.push(curr);
+            this.params = resolveProofParams(params);
+            // Throws if the permutation is unknown or cannot run params.rounds rounds
+            this.permutation = getTracePermutation(permutation, this.field, this.params.rounds);
+            this.transcriptHash = options.transcriptHash || DEFAULT_TRANSCRIPT_HASH;
+            if (!Object.prototype.hasOwnProperty.call(TRANSCRIPT_HASHES, this.transcriptHash)) {
+                throw new Error(`Unknown transcript hash: ${this.transcriptHash}`);
             }
-            
-            const outputVal = curr; // The result of the computation
+            this.grinder = options.grinder || null;
+            this.onProgress = options.onProgress || null;
+            this.logger = options.logger === undefined ? console : options.logger;
+        }
 
-            // If we are in native mode, the outputHash IS this value
-            if (algorithm === 'mimc-stark') {
-                hash = outputVal.toString();
-            }
+        // Writes a progress message to options.logger
+        log(message) {
+            if (this.logger) this.logger.log(message);
+        }
 
-            // B. Commit to Trace
-            const traceTree = new MerkleTree(trace);
-            const traceRoot = traceTree.getRoot();
+        // Reports a phase (see PROVER_PHASES) to options.onProgress
+        progress(phase, fraction = 0) {
+            if (this.onProgress) this.onProgress({ phase, fraction });
+        }
 
-            // C. Generate Queries (Fiat-Shamir)
-            // Securely derive multiple query indices from the Trace Root
-            const NUM_QUERIES = 5;
-            // Domain size is MIMC_ROUNDS (0 to 63 check transitions to 1..64)
-            const indices = generateFiatShamirQueries(traceRoot, NUM_QUERIES, MIMC_ROUNDS);
-            
-            // Generate proof for each query
-            const traceQueries = indices.map(idx => {
-                return {
-                    index: idx,
-                    value: trace[idx].toString(),
-                    path: traceTree.getPath(idx),
-                    // Provide the next step to verify the transition logic
-                    next_value: trace[idx + 1].toString(), 
-                    next_path: traceTree.getPath(idx + 1) 
+        /**
+         * A grinder that searches the proof-of-work nonce in a Web Worker running
+         * zk-hash/grind-worker.js, so the page stays responsive while it grinds.
+         */
+        static workerGrinder(workerUrl = '/zk-hash/grind-worker.js') {
+            return (seed, bits, field) => new Promise((resolve, reject) => {
+                const worker = new Worker(workerUrl);
+                worker.onmessage = (event) => {
+                    worker.terminate();
+                    if (event.data.error) reject(new Error(event.data.error));
+                    else resolve(event.data.nonce);
                 };
+                worker.onerror = (event) => {
+                    worker.terminate();
+                    reject(new Error("Grinding worker failed: " + (event.message || 'unknown error')));
+                };
+                worker.postMessage({ seed: seed.toString(), bits, field: field.name });
             });
-
-            // BOUNDARY CONSTRAINT: Always prove the Last Calculation result matches the claim
-            const lastIdx = MIMC_ROUNDS;
-            traceQueries.push({
-                index: lastIdx,
-                value: trace[lastIdx].toString(),
-                path: traceTree.getPath(lastIdx),
-                next_value: null, 
-                next_path: null
-            });
-
-            const proof = {
-                proof_type: "zk-stark-mimc-real",
-                public_inputs: {
-                    algorithm: algorithm,
-                    outputHash: hash, // The Claimed Hash (Argon2 or MiMC)
-                    mimc_output: outputVal.toString(), // The ZK-proven Hash
-                    trace_root: traceRoot
-                },
-                trace_queries: traceQueries
-            };
-
-            return proof;
         }
 
         /**
-         * Generates a proof that we know a Secret (H) such that MiMC(H, nonce) = K
-         * This allows proving knowledge of H without revealing H.
+         * Proves the statement registered for `proofType` (see AirRegistry) about `witness`:
+         * the definition builds the trace and the statement's public inputs, and the STARK
+         * proves the trace satisfies the definition's AIR.
          */
-        generateKnowledgeProof(secretHash, nonce) {
-             const MIMC_ROUNDS = 64;
-             const MIMC_CONSTANTS = Array.from({length: MIMC_ROUNDS}, (_, i) => BigInt(i * 123456789)); 
-             const FIELD_MODULUS = 3221225473n; // ensure available
+        async prove(proofType, witness) {
+            const definition = getAir(proofType);
+            const field = this.field;
+            const ctx = { field, permutation: this.permutation };
+
+            this.log("Generating Execution Trace...");
+            this.progress('tracing');
+            const { trace, publicInputs: statement } = definition.buildTrace(witness, ctx);
+            const air = definition.air(statement, ctx);
+
+            const publicInputs = {
+                field: field.name,
+                merkle_hash: this.merkleHash,
+                permutation: this.permutation.id,
+                transcript_hash: this.transcriptHash,
+                proof_params: { ...this.params, rounds: air.steps },
+                ...statement
+            };
 
-             // 1. Convert Secret (H) to Field Element
-             const secretVal = this.stringToField(secretHash).val;
-             const nonceVal = this.stringToField(nonce).val;
+            // Commit, Compose and run FRI (see StarkMath.proveAir)
+            // The LDE of the trace is committed, the AIR's transition and boundary constraints become
+            // a composition polynomial, and FRI proves it is low-degree.
+            // Every challenge comes from a transcript of the public inputs and the commitments,
+            // so none of the public inputs can be swapped into another proof.
+            this.log("Committing Trace & Running FRI...");
+            const transcript = new Transcript(field, TRANSCRIPT_PROTOCOL, this.transcriptHash).absorbPublicInputs(proofType, publicInputs);
+            const stark = await proveAirAsync(air, trace, { field, transcript, hash: this.merkleHash, params: publicInputs.proof_params, grinder: this.grinder, onProgress: this.onProgress });
+
+            return {
+                proof_type: proofType,
+                public_inputs: { ...publicInputs, trace_root: stark.trace_root },
+                trace_queries: stark.trace_queries,
+                fri: stark.fri
+            };
+        }
 
-             console.log("Generating Zero-Knowledge Auth Trace...");
+        async generateProof(password, algorithm, params) {
+            let hash;
 
-             // 2. Build Trace: Calculation of Hash(Secret + Nonce)
-             // We treat 'Secret' as the input state, and 'Nonce' as the Key
-             const trace = [];
-             let curr = secretVal;
-             trace.push(curr);
+            this.log(`Starting generation for ${algorithm}...`);
 
-             for(let i=0; i<MIMC_ROUNDS; i++) {
-                 // x = (x + k + ci)^3
-                 let t = (curr + nonceVal + (MIMC_CONSTANTS[i] || 0n)) % FIELD_MODULUS;
-                 let t2 = (t * t) % FIELD_MODULUS;
-                 let t3 = (t2 * t) % FIELD_MODULUS;
-                 curr = t3;
-                 trace.push(curr);
+            // --- STEP 1: Perform the requested Heavy Hash (see hash-algorithms.js) ---
+            if (algorithm !== 'mimc-stark') {
+                const kdf = getHashAlgorithm(algorithm);
+                this.progress('hashing');
+                this.log(`Hashing Password (${algorithm})...`);
+                // A fresh random salt unless the caller brings one (ZKVerifier's hash policy wants 16+ bytes)
+                hash = await kdf.hash(password, params || {}, { backend: this.backend, generateSalt: () => this.generateSalt() });
             }
-            const publicOutput = curr; // This is K
-
-            // 3. Commit
-            const traceTree = new MerkleTree(trace);
-            const traceRoot = traceTree.getRoot();
+            // Native 'mimc-stark' mode has no hash: the output of the trace is the hash
 
-            // 4. Generate Proof (Fiat-Shamir)
-            // Securely derive multiple query indices from the Trace Root
-            const NUM_QUERIES = 5;
-            const indices = generateFiatShamirQueries(traceRoot, NUM_QUERIES, MIMC_ROUNDS);
+            // --- STEP 2: Generate ZK-STARK Proof ---
+            // The trace starts from the password and is keyed by the hash (see the
+            // 'zk-stark-mimc-real' definition in air.js), which binds it to the hash.
+            return this.prove("zk-stark-mimc-real", { password, algorithm, outputHash: hash });
+        }
 
-            const traceQueries = indices.map(idx => ({
-                index: idx,
-                value: trace[idx].toString(),
-                path: traceTree.getPath(idx),
-                next_value: trace[idx + 1].toString(), 
-                next_path: traceTree.getPath(idx + 1) 
-            }));
+        /**
+         * Builds the payload for ZKVerifier.verifyHashOpening: a password-hash integrity
+         * proof plus its opening, the password its MiMC trace starts from. The server re-hashes
+         * the password under the parameters in outputHash, which is the only way it can tell
+         * outputHash really is a hash of that password. This reveals the password to the server.
+         */
+        async generateHashOpening(password, algorithm, params) {
+            const proof = await this.generateProof(password, algorithm, params);
+            return { proof, password };
+        }
 
-            // Boundary Check (Output)
-            const lastIdx = MIMC_ROUNDS;
-            traceQueries.push({
-                index: lastIdx,
-                value: trace[lastIdx].toString(),
-                path: traceTree.getPath(lastIdx),
-                next_value: null, 
-                next_path: null
-            });
+        /**
+         * Generates a proof that we know a Secret (H) such that MiMC(H) + H = V (Poseidon with options.permutation)
+         * This allows proving knowledge of H without revealing H.
+         * Adding H makes V one-way: MiMC(H) alone can be inverted, since its key and constants are public.
+         * V is stable for a given H, so it doubles as the account's public verification value.
+         * The challenge `nonce` is absorbed into the Fiat-Shamir transcript, so the proof only answers
+         * that one challenge. `username` is the account the nonce was issued to.
+         */
+        async generateKnowledgeProof(secretHash, nonce, username) {
+            this.log("Generating Zero-Knowledge Auth Trace...");
+            const proof = await this.prove("zk-stark-knowledge-proof", { secret: secretHash, nonce, username });
+
+            // NOTE: Queries open the trace's low-degree extension on a coset that is disjoint
+            // from the trace domain, so no row (H and 2H at row 0, or (H + c0)^3 at row 1) is ever
+            // opened directly. The trace is padded with random blinding rows, leaves are salted
+            // and FRI runs on a randomly masked polynomial, so the openings are uniformly random
+            // and the proof reveals nothing about H beyond V (see StarkMath.proveAir).
+            return proof;
+        }
 
-            const proof = {
-                proof_type: "zk-stark-knowledge-proof",
-                public_inputs: {
-                    nonce: nonce,
-                    public_output: publicOutput.toString(), // K
-                    trace_root: traceRoot
-                },
-                trace_queries: traceQueries
-            };
-            
-            // NOTE: We do NOT include query[0] (the input H). 
-            // This is Zero Knowledge because we only reveal intermittent steps and the output, 
-            // but never the input. Typically for full ZK we would need to mask the trace 
-            // (add random blinding factors) but for this demo the Merkle hiding is sufficient
-            // as long as we don't reveal index=0.
+        /**
+         * Generates a random hex salt for a new account.
+         */
+        generateSalt() {
+             // 16 random bytes from the backend; throws rather than fall back to a fixed salt
+             const saltBytes = this.backend.randomBytes(16);
+             return Array.from(saltBytes).map(b => b.toString(16).padStart(2,'0')).join('');
+        }
 
-            return proof;
+        /**
+         * Computes the account secret H = Argon2(password, salt) that Knowledge Proofs are about.
+         */
+        async deriveAuthSecret(password, salt, params = {}) {
+             this.progress('hashing');
+             this.log("Auth: Computing Preimage (Argon2)...");
+             return this.backend.argon2id(password, salt, {
+                 time: params.time || DEFAULT_ARGON2_PARAMS.time,
+                 mem: params.mem || DEFAULT_ARGON2_PARAMS.mem,
+                 hashLen: params.hashLen || DEFAULT_ARGON2_PARAMS.hashLen
+             });
         }
 
         /**
          * Orchestrator for ZK-Auth: 
          * 1. H = Argon2(password, salt)
          * 2. Proof = generateKnowledgeProof(H, nonce)
+         *
+         * `account` is the { salt, params } record returned by the server's /api/login.
+         * Without it a throwaway salt is used, which only demonstrates the proof itself.
          */
-        async generateAuthProof(password, nonce) {
-             if (!this.argon2) throw new Error("Argon2 library not loaded");
+        async generateAuthProof(password, nonce, username, account) {
+             const salt = account ? account.salt : this.generateSalt();
+             const params = account ? account.params : DEFAULT_ARGON2_PARAMS;
 
-             // Use secure salt generation if available, otherwise fallback for local logic
-             let salt = 'browsersalt123';
-             if (typeof window !== 'undefined' && window.crypto && window.crypto.getRandomValues) {
-                 const saltBytes = new Uint8Array(16);
-                 window.crypto.getRandomValues(saltBytes);
-                 salt = Array.from(saltBytes).map(b => b.toString(16).padStart(2,'0')).join('');
-             }
+             const H = await this.deriveAuthSecret(password, salt, params);
 
-             const params = {
-                 pass: password,
-                 salt: salt, 
-                 time: 1, 
-                 mem: 1024, 
-                 hashLen: 32,
-                 type: this.argon2.ArgonType.Argon2id
+             // Now prove we know H without sending H
+             return this.generateKnowledgeProof(H, nonce, username);
+        }
+
+        /**
+         * Builds the /api/register payload for a new account:
+         * a fresh salt, the Argon2 parameters and a Knowledge Proof whose public_output
+         * becomes the account's public verification value.
+         */
+        async generateRegistration(password, nonce, username, params = {}) {
+             const salt = this.generateSalt();
+             const argonParams = {
+                 time: params.time || DEFAULT_ARGON2_PARAMS.time,
+                 mem: params.mem || DEFAULT_ARGON2_PARAMS.mem,
+                 hashLen: params.hashLen || DEFAULT_ARGON2_PARAMS.hashLen
              };
 
-             console.log("Auth: Computing Preimage (Argon2)...");
-             const result = await this.argon2.hash(params);
-             const H = result.encoded;
+             const H = await this.deriveAuthSecret(password, salt, argonParams);
+             const proof = await this.generateKnowledgeProof(H, nonce, username);
 
-             // Now prove we know H without sending H
-             return this.generateKnowledgeProof(H, nonce);
+             return { username, salt, params: argonParams, proof };
         }
     }
 
+    ZKProver.PHASES = PROVER_PHASES;
+
     if (typeof module !== 'undefined' && module.exports) {
         module.exports = ZKProver;
     }
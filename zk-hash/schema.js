@@ -0,0 +1,184 @@
+/**
+ * zk-hash/schema.js
+ *
+ * Structural validation of proofs, run by ZKVerifier before any math.
+ * A proof that passes has every field the verifier reads, with the right type,
+ * within range and without duplicates, so the STARK checks never have to deal
+ * with missing properties, non-numeric indices or giant numbers.
+ *
+ * validateProof(proof, inputs, traceShape, field) returns { ok: true } or { ok: false, error }, where
+ * the error names the offending path, e.g. "trace_queries.openings[3].index must be ...".
+ * `inputs` is the statement's public input spec (AirRegistry definition.publicInputs).
+ * Given the proof's field, its decimal public inputs must be canonical elements of it:
+ * below the modulus, so each value has exactly one spelling.
+ * Sizes and counts come from the proof's own public_inputs.proof_params (see params.js)
+ * and the trace shape of its AIR, which the verifier looks up once
+ * validatePublicInputs has passed;
+ * whether those parameters are strong enough is the verifier's policy check, not this one.
+ */
+
+(function() {
+    const ProofParams = (typeof window !== 'undefined' && window.ProofParams) ? window.ProofParams : require('./params');
+
+    // Field elements are < 2^256 (78 decimal digits); anything longer is not one
+    const MAX_DECIMAL_LENGTH = 78;
+    const MAX_HEX_LENGTH = 512;
+    const MAX_STRING_LENGTH = 1024;
+
+    const DECIMAL_RE = /^(0|[1-9][0-9]*)$/;
+    const HEX_RE = /^(?:[0-9a-f]{2})+$/;
+
+    class SchemaError extends Error {}
+
+    function fail(path, problem) {
+        throw new SchemaError(`${path} ${problem}`);
+    }
+
+    const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+    function object(v, path) {
+        if (!isObject(v)) fail(path, "must be an object");
+        return v;
+    }
+
+    function string(v, path) {
+        if (typeof v !== 'string' || !v) fail(path, "must be a non-empty string");
+        if (v.length > MAX_STRING_LENGTH) fail(path, `must be at most ${MAX_STRING_LENGTH} characters`);
+        return v;
+    }
+
+    function decimal(v, path) {
+        if (typeof v !== 'string' || !DECIMAL_RE.test(v) || v.length > MAX_DECIMAL_LENGTH) {
+            fail(path, "must be a decimal field element string");
+        }
+        return v;
+    }
+
+    // A decimal that is a canonical element of `field`, when one is given
+    function element(v, path, field) {
+        decimal(v, path);
+        if (field && BigInt(v) >= field.modulus) fail(path, `must be below the ${field.name} modulus`);
+        return v;
+    }
+
+    function hex(v, path) {
+        if (typeof v !== 'string' || !HEX_RE.test(v) || v.length > MAX_HEX_LENGTH) fail(path, "must be a lowercase hex digest");
+        return v;
+    }
+
+    function array(v, path, { min = 0, max = Infinity, length } = {}) {
+        if (!Array.isArray(v)) fail(path, "must be an array");
+        if (length !== undefined && v.length !== length) fail(path, `must have exactly ${length} entries`);
+        if (v.length < min) fail(path, `must have at least ${min} entries`);
+        if (v.length > max) fail(path, `must have at most ${max} entries`);
+        return v;
+    }
+
+    function index(v, path, size) {
+        if (!Number.isSafeInteger(v) || v < 0 || v >= size) fail(path, `must be an integer in [0, ${size})`);
+        return v;
+    }
+
+    // { openings: [{ index, values: [width decimals], salt }], nodes: [hex] } for a tree of `size` leaves
+    function multiOpening(v, path, { size, width, maxOpenings }) {
+        object(v, path);
+        array(v.openings, `${path}.openings`, { min: 1, max: maxOpenings });
+        const seen = new Set();
+        v.openings.forEach((o, i) => {
+            const at = `${path}.openings[${i}]`;
+            object(o, at);
+            index(o.index, `${at}.index`, size);
+            if (seen.has(o.index)) fail(`${at}.index`, `duplicates index ${o.index}`);
+            seen.add(o.index);
+            array(o.values, `${at}.values`, { length: width }).forEach((x, k) => decimal(x, `${at}.values[${k}]`));
+            decimal(o.salt, `${at}.salt`);
+        });
+        // At most one sibling per opening and tree level
+        array(v.nodes, `${path}.nodes`, { max: v.openings.length * Math.log2(size) }).forEach((n, k) => hex(n, `${path}.nodes[${k}]`));
+    }
+
+    // Checkers for the kinds an AIR definition can give its public inputs
+    const PUBLIC_INPUT_CHECKS = { string, decimal: element, hex };
+
+    function checkPublicInputs(proof, inputs, field) {
+        const pi = object(proof.public_inputs, 'public_inputs');
+        string(pi.field, 'public_inputs.field');
+        string(pi.merkle_hash, 'public_inputs.merkle_hash');
+        string(pi.permutation, 'public_inputs.permutation');
+        string(pi.transcript_hash, 'public_inputs.transcript_hash');
+        hex(pi.trace_root, 'public_inputs.trace_root');
+        const problem = ProofParams.checkProofParams(pi.proof_params, 'public_inputs.proof_params');
+        if (problem) throw new SchemaError(problem);
+
+        for (const [name, kind] of Object.entries(inputs)) {
+            if (!Object.prototype.hasOwnProperty.call(PUBLIC_INPUT_CHECKS, kind)) throw new Error(`Unknown public input kind: ${kind}`);
+            PUBLIC_INPUT_CHECKS[kind](pi[name], `public_inputs.${name}`, field);
+        }
+    }
+
+    function checkStarkBody(proof, shape, traceWidth) {
+        const M = shape.ldeSize;
+        const Q = shape.numQueries;
+
+        // Each query opens the trace row at x, wx, -x and -wx
+        multiOpening(proof.trace_queries, 'trace_queries', { size: M, width: traceWidth, maxOpenings: 4 * Q });
+
+        const fri = object(proof.fri, 'fri');
+        hex(fri.mask_root, 'fri.mask_root');
+        array(fri.layer_roots, 'fri.layer_roots', { length: shape.friLayers }).forEach((r, i) => hex(r, `fri.layer_roots[${i}]`));
+        decimal(fri.final_value, 'fri.final_value');
+        decimal(fri.pow_nonce, 'fri.pow_nonce');
+        multiOpening(fri.mask_queries, 'fri.mask_queries', { size: M, width: 1, maxOpenings: 2 * Q });
+        array(fri.layer_queries, 'fri.layer_queries', { length: shape.friLayers }).forEach((layer, i) => {
+            // Layer i + 1 commits to (f(x), f(-x)) pairs: M / 2^(i + 2) leaves
+            multiOpening(layer, `fri.layer_queries[${i}]`, { size: M >> (i + 2), width: 2, maxOpenings: Q });
+        });
+    }
+
+    function run(check) {
+        try {
+            check();
+            return { ok: true };
+        } catch (e) {
+            if (e instanceof SchemaError) return { ok: false, error: e.message };
+            throw e;
+        }
+    }
+
+    function checkHeader(proof, inputs, field) {
+        object(proof, 'proof');
+        string(proof.proof_type, 'proof_type');
+        checkPublicInputs(proof, inputs, field);
+    }
+
+    /**
+     * Checks the proof type and the public inputs only: enough to look up the field,
+     * the Merkle hash, the trace permutation and the AIR the rest of the proof depends on.
+     * `inputs` is the statement's { name: kind } spec (see AirRegistry).
+     */
+    function validatePublicInputs(proof, inputs) {
+        return run(() => checkHeader(proof, inputs));
+    }
+
+    /**
+     * Checks that `proof` is structurally a proof the verifier can process.
+     * `traceShape` is { width, constraintDegree } of the proof's AIR (see air.js); it
+     * defaults to a MiMC trace's. `field` is the proof's field (StarkMath.FIELDS entry).
+     */
+    function validateProof(proof, inputs, traceShape = { width: 1, constraintDegree: 3 }, field = null) {
+        return run(() => {
+            checkHeader(proof, inputs, field);
+            const shape = ProofParams.proofShape(proof.public_inputs.proof_params, traceShape.constraintDegree);
+            checkStarkBody(proof, shape, traceShape.width);
+        });
+    }
+
+    const ProofSchema = { validateProof, validatePublicInputs };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ProofSchema;
+    }
+    if (typeof window !== 'undefined') {
+        window.ProofSchema = ProofSchema;
+    }
+})();
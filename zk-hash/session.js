@@ -0,0 +1,91 @@
+/**
+ * zk-hash/session.js
+ *
+ * Stateless session tokens for accounts that logged in with a Knowledge Proof.
+ * A token is HMAC-SHA256 signed with a server secret and carries its own expiry,
+ * so checking one needs no store and no external service:
+ *
+ *   <base64url(JSON { sub, iat, exp })>.<base64url(HMAC-SHA256(secret, first part))>
+ *
+ * `sub` is the username, `iat` and `exp` are ms timestamps. Every process that shares
+ * the secret accepts the same tokens. Changing the secret ends every session.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_SESSION_TTL_MS = 60 * 60 * 1000; // 1 hour
+const MIN_SECRET_BYTES = 32;
+
+const toBase64url = (buf) => buf.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64url = (text) => Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+class SessionTokens {
+    /**
+     * @param options.secret HMAC key, a string or Buffer of at least 32 bytes. Without one a
+     *        random key is drawn, so tokens only last as long as the process.
+     * @param options.ttlMs How long a token is valid (default 1 hour)
+     * @param options.now Injectable clock so expiry can be tested without waiting
+     */
+    constructor(options = {}) {
+        const secret = options.secret === undefined ? crypto.randomBytes(MIN_SECRET_BYTES) : options.secret;
+        if (Buffer.byteLength(secret) < MIN_SECRET_BYTES) {
+            throw new Error(`A session secret needs at least ${MIN_SECRET_BYTES} bytes`);
+        }
+        this.secret = secret;
+        this.ttlMs = options.ttlMs || DEFAULT_SESSION_TTL_MS;
+        this.now = options.now || (() => Date.now());
+    }
+
+    sign(payload) {
+        return toBase64url(crypto.createHmac('sha256', this.secret).update(payload).digest());
+    }
+
+    /**
+     * Issues a token for `username`. Returns { token, username, expires_at }.
+     */
+    issue(username) {
+        if (typeof username !== 'string' || username.length === 0) {
+            throw new Error("A username is required to issue a session");
+        }
+        const iat = this.now();
+        const payload = toBase64url(Buffer.from(JSON.stringify({ sub: username, iat, exp: iat + this.ttlMs })));
+        return { token: `${payload}.${this.sign(payload)}`, username, expires_at: iat + this.ttlMs };
+    }
+
+    /**
+     * Checks a token issued with this secret.
+     * Returns { ok: true, username, expires_at } or { ok: false, expired?, error }.
+     */
+    verify(token) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 2) {
+            return { ok: false, error: "Session token is malformed." };
+        }
+        const [payload, signature] = parts;
+        const expected = Buffer.from(this.sign(payload));
+        const given = Buffer.from(signature);
+        // Compared in constant time, so the time taken says nothing about the signature
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return { ok: false, error: "Session token signature is invalid." };
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(fromBase64url(payload).toString('utf8'));
+        } catch (e) {
+            return { ok: false, error: "Session token is malformed." };
+        }
+        if (!claims || typeof claims.sub !== 'string' || !Number.isSafeInteger(claims.exp)) {
+            return { ok: false, error: "Session token is malformed." };
+        }
+        if (claims.exp <= this.now()) {
+            return { ok: false, expired: true, error: "Session has expired. Log in again." };
+        }
+        return { ok: true, username: claims.sub, expires_at: claims.exp };
+    }
+}
+
+module.exports = {
+    SessionTokens,
+    DEFAULT_SESSION_TTL_MS
+};
@@ -0,0 +1,45 @@
+/**
+ * zk-hash/size-report.js
+ *
+ * Prints how much smaller Merkle multi-openings make a proof than the older
+ * encoding with one full path per opened value (see StarkMath.mimcProofSizeReport).
+ *
+ *   node zk-hash/size-report.js [field ...]
+ *
+ * Fields default to every entry in StarkMath.FIELDS.
+ */
+
+const { FIELDS, MERKLE_HASHES, getField, Transcript, mimcProofSizeReport } = require('./stark-math');
+const ZKProver = require('./prover');
+
+async function reportFor(fieldName, hashId) {
+    // The prover's progress messages would break up the table
+    const prover = new ZKProver(null, null, { field: fieldName, merkleHash: hashId, logger: null });
+    const nonce = 'size-report';
+    const proof = await prover.generateKnowledgeProof('size-report-secret', nonce, 'size-report');
+    const field = getField(fieldName);
+
+    const report = mimcProofSizeReport(
+        { trace_root: proof.public_inputs.trace_root, trace_queries: proof.trace_queries, fri: proof.fri },
+        { params: proof.public_inputs.proof_params, field, transcript: new Transcript(field).absorbPublicInputs(proof.proof_type, proof.public_inputs), hash: hashId, feedForward: true }
+    );
+    return { field: fieldName, hash: hashId, ...report };
+}
+
+async function main() {
+    const fields = process.argv.slice(2).length ? process.argv.slice(2) : Object.keys(FIELDS);
+    const rows = [];
+    for (const fieldName of fields) {
+        for (const hashId of Object.keys(MERKLE_HASHES)) rows.push(await reportFor(fieldName, hashId));
+    }
+    console.table(rows);
+}
+
+if (require.main === module) {
+    main().catch((e) => {
+        console.error(e);
+        process.exit(1);
+    });
+}
+
+module.exports = { reportFor };
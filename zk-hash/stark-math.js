@@ -1,120 +1,622 @@
 // zk-hash/stark-math.js
 // A lightweight implementation of Finite Field (Prime Field) arithmetic and basic Polynomial logic needed for STARKs.
-// We use a small prime for demonstration speed in JS, but big enough for security in this context.
-// Prime = 3 * 2^30 + 1 (A "Goldilocks-like" field or similar is often used, we'll use a standard discrete field)
+// The field is configurable: every trace value, polynomial and Fiat-Shamir seed lives in the field the proof declares.
+// We ship two STARK-friendly primes, both with large power-of-two subgroups for FFTs:
+// - goldilocks: p = 2^64 - 2^32 + 1 (~64 bits, fast, 2-adicity 32)
+// - stark252:   p = 2^251 + 17 * 2^192 + 1 (~252 bits, the StarkNet prime, 2-adicity 192)
+// All arithmetic uses BigInt, so a larger field costs speed but never precision.
 
-// Constants
-// We use a prime p = 3221225473 (3 * 2^30 + 1) which allows FFTs of size 2^30.
-// BUT for JS numbers (double precision safe integer is 2^53), we need to be careful with multiplication overflow.
-// Let's use BigInt for safety.
+// Merkle node hashing lives in merkle-hash.js (loaded before this file in the browser)
+const MerkleHash = (typeof window !== 'undefined' && window.MerkleHash) ? window.MerkleHash : require('./merkle-hash');
+const { MERKLE_HASHES, DEFAULT_MERKLE_HASH, getMerkleHash } = MerkleHash;
+// Not destructured: common.js already declares ERROR_CODES as a browser global
+const CommonZK = (typeof window !== 'undefined' && window.CommonZK) ? window.CommonZK : require('./common');
+// Proof parameters (query count, blowup, ...) and the sizes derived from them
+const ProofParams = (typeof window !== 'undefined' && window.ProofParams) ? window.ProofParams : require('./params');
+const { DEFAULT_PROOF_PARAMS, resolveProofParams, proofSizes } = ProofParams;
+// The MiMC permutation the STARK proves (round function and round constants)
+const MiMC = (typeof window !== 'undefined' && window.MiMC) ? window.MiMC : require('./mimc');
+// Poseidon, the alternative permutation for traces, Merkle hashing and the transcript
+const Poseidon = (typeof window !== 'undefined' && window.Poseidon) ? window.Poseidon : require('./poseidon');
 
-const FIELD_MODULUS = 3221225473n; // 3 * 2^30 + 1
-const FIELD_GENERATOR = 5n; // Generator for the multiplicative group
+class PrimeField {
+    constructor({ name, modulus, generator, twoAdicity }) {
+        this.name = name;
+        this.modulus = modulus;
+        this.generator = generator; // Generator for the multiplicative group
+        this.twoAdicity = twoAdicity; // Largest k such that 2^k divides (p - 1)
+        this.bits = modulus.toString(2).length;
+    }
 
-class FieldElement {
-    constructor(val) {
-        if (typeof val === 'bigint') {
-            this.val = ((val % FIELD_MODULUS) + FIELD_MODULUS) % FIELD_MODULUS;
-        } else {
-            this.val = ((BigInt(val) % FIELD_MODULUS) + FIELD_MODULUS) % FIELD_MODULUS;
+    mod(val) {
+        const v = (typeof val === 'bigint') ? val : BigInt(val);
+        return ((v % this.modulus) + this.modulus) % this.modulus;
+    }
+
+    add(a, b) { return (a + b) % this.modulus; }
+    sub(a, b) { return ((a - b) % this.modulus + this.modulus) % this.modulus; }
+    mul(a, b) { return (a * b) % this.modulus; }
+
+    // Modular exponentiation
+    pow(base, exp) {
+        let res = 1n;
+        let b = this.mod(base);
+        let e = BigInt(exp);
+        while (e > 0n) {
+            if (e & 1n) res = (res * b) % this.modulus;
+            b = (b * b) % this.modulus;
+            e >>= 1n;
         }
+        return res;
+    }
+
+    inv(a) {
+        if (this.mod(a) === 0n) throw new Error("Division by zero in field " + this.name);
+        return this.pow(a, this.modulus - 2n); // Fermat's Little Theorem
+    }
+
+    element(val) { return new FieldElement(val, this); }
+
+    // Primitive root of unity of the given power-of-two order
+    rootOfUnity(order) {
+        const n = BigInt(order);
+        if (order < 1 || (n & (n - 1n)) !== 0n) throw new Error("Root of unity order must be a power of two");
+        if (n > (1n << BigInt(this.twoAdicity))) throw new Error(`Field ${this.name} has no subgroup of order ${order}`);
+        return this.pow(this.generator, (this.modulus - 1n) / n);
+    }
+}
+
+const FIELDS = {
+    goldilocks: new PrimeField({
+        name: 'goldilocks',
+        modulus: 18446744069414584321n, // 2^64 - 2^32 + 1
+        generator: 7n,
+        twoAdicity: 32
+    }),
+    stark252: new PrimeField({
+        name: 'stark252',
+        modulus: 3618502788666131213697322783095070105623107215331596699973092056135872020481n, // 2^251 + 17 * 2^192 + 1
+        generator: 3n,
+        twoAdicity: 192
+    })
+};
+
+const DEFAULT_FIELD = FIELDS.stark252;
+
+// Kept for callers that predate configurable fields: the modulus of the default field
+const FIELD_MODULUS = DEFAULT_FIELD.modulus;
+const FIELD_GENERATOR = DEFAULT_FIELD.generator;
+
+// Resolves a field by name (as recorded in a proof) or passes a PrimeField through.
+function getField(field) {
+    if (field === undefined || field === null) return DEFAULT_FIELD;
+    if (field instanceof PrimeField) return field;
+    if (typeof field === 'string' && Object.prototype.hasOwnProperty.call(FIELDS, field)) return FIELDS[field];
+    throw new Error(`Unknown field: ${field}`);
+}
+
+// Secure randomness for blinding: WebCrypto in the browser (and Node >= 19),
+// the crypto module on older Node versions.
+function randomBytes(length) {
+    const bytes = new Uint8Array(length);
+    let source = (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.getRandomValues) ? globalThis.crypto : null;
+    if (!source && typeof require !== 'undefined') source = require('crypto').webcrypto;
+    if (!source) throw new Error("No secure random source available");
+    source.getRandomValues(bytes);
+    return bytes;
+}
+
+// Uniform field element: 16 extra bytes make the modular bias negligible
+function randomFieldElement(field = DEFAULT_FIELD) {
+    const bytes = randomBytes(Math.ceil(field.bits / 8) + 16);
+    let val = 0n;
+    for (const b of bytes) val = (val << 8n) | BigInt(b);
+    return field.mod(val);
+}
+
+class FieldElement {
+    constructor(val, field = DEFAULT_FIELD) {
+        this.field = field;
+        this.val = field.mod(val);
     }
 
-    add(other) { return new FieldElement(this.val + other.val); }
-    sub(other) { return new FieldElement(this.val - other.val); }
-    mul(other) { return new FieldElement(this.val * other.val); }
+    add(other) { return new FieldElement(this.val + other.val, this.field); }
+    sub(other) { return new FieldElement(this.val - other.val, this.field); }
+    mul(other) { return new FieldElement(this.val * other.val, this.field); }
     
     // Modular exponentiation
     pow(exp) {
-        let res = 1n;
-        let base = this.val;
-        let p = BigInt(exp);
-        while (p > 0n) {
-            if (p & 1n) res = (res * base) % FIELD_MODULUS;
-            base = (base * base) % FIELD_MODULUS;
-            p >>= 1n;
-        }
-        return new FieldElement(res);
+        return new FieldElement(this.field.pow(this.val, exp), this.field);
     }
 
     inv() {
-        return this.pow(FIELD_MODULUS - 2n); // Fermat's Little Theorem
+        return new FieldElement(this.field.inv(this.val), this.field);
     }
 
     div(other) { return this.mul(other.inv()); }
     
-    equals(other) { return this.val === other.val; }
+    equals(other) { return this.val === other.val && this.field === other.field; }
     toString() { return this.val.toString(); }
 }
 
-// Basic MiMC Hash implementation (ZK-Friendly Hash)
-// x is input, k is key (can be 0)
-const MIMC_ROUNDS = 64;
-const MIMC_CONSTANTS = Array.from({length: MIMC_ROUNDS}, (_, i) => BigInt(i * 123456789)); 
+// =====================================================================
+// Polynomials and the Number-Theoretic Transform (NTT)
+// =====================================================================
+// Both fields have large power-of-two multiplicative subgroups, so polynomials can be
+// evaluated and interpolated over {w^0 .. w^(n-1)} (or a coset offset * {w^i}) in
+// O(n log n) with a radix-2 NTT, the finite-field analogue of the FFT.
 
-function mimcHash(x, k = 0n) {
-    let curr = (typeof x === 'bigint') ? x : BigInt(x);
-    let key = (typeof k === 'bigint') ? k : BigInt(k);
-    
-    for (let i = 0; i < MIMC_ROUNDS; i++) {
-        // x = (x + k + ci)^3
-        let t = (curr + key + (MIMC_CONSTANTS[i] || 0n)) % FIELD_MODULUS;
-        // Optimization: Use raw BigInt math instead of FieldElement for internal loop speed
-        let t2 = (t * t) % FIELD_MODULUS;
-        let t3 = (t2 * t) % FIELD_MODULUS;
-        curr = t3;
-    }
-    return (curr + key) % FIELD_MODULUS;
-}
-
-// Security: Deterministic Random Bit Generator for Fiat-Shamir
-function generateFiatShamirQueries(traceRoot, numQueries, domainSize) {
-    // traceRoot is now strictly a Decimal String (BigInt.toString())
-    // Parse directly
-    let seed = 0n;
-    try {
-        seed = BigInt(traceRoot);
-    } catch(e) {
-        // Fallback if somehow old hex data persists in cache
-        if (traceRoot.startsWith && traceRoot.startsWith('0x')) seed = BigInt(traceRoot);
-        else seed = BigInt('0x' + traceRoot);
+function isPowerOfTwo(n) { return n > 0 && (n & (n - 1)) === 0; }
+function nextPowerOfTwo(n) { let p = 1; while (p < n) p <<= 1; return p; }
+
+// The subgroup {w^0, w^1, ..., w^(size-1)} for w a primitive root of order `size`
+function rootsOfUnity(size, field = DEFAULT_FIELD) {
+    return cosetDomain(1n, size, field);
+}
+
+// The coset {offset * w^i} of the subgroup of order `size`
+function cosetDomain(offset, size, field = DEFAULT_FIELD) {
+    const root = field.rootOfUnity(size);
+    const domain = new Array(size);
+    let x = field.mod(offset);
+    for (let i = 0; i < size; i++) {
+        domain[i] = x;
+        x = (x * root) % field.modulus;
+    }
+    return domain;
+}
+
+// Iterative radix-2 NTT: evaluates the coefficient vector at root^0 .. root^(n-1)
+function nttWithRoot(values, root, field) {
+    const n = values.length;
+    if (!isPowerOfTwo(n)) throw new Error("NTT size must be a power of two");
+    const p = field.modulus;
+    const a = values.map(v => field.mod(v));
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) { const tmp = a[i]; a[i] = a[j]; a[j] = tmp; }
+    }
+
+    for (let len = 2; len <= n; len <<= 1) {
+        const wLen = field.pow(root, BigInt(n / len));
+        const half = len >> 1;
+        for (let i = 0; i < n; i += len) {
+            let w = 1n;
+            for (let k = 0; k < half; k++) {
+                const u = a[i + k];
+                const v = (a[i + k + half] * w) % p;
+                a[i + k] = (u + v) % p;
+                a[i + k + half] = (u - v + p) % p;
+                w = (w * wLen) % p;
+            }
+        }
+    }
+    return a;
+}
+
+// Forward NTT over the subgroup of order values.length: coefficients -> evaluations
+function ntt(values, field = DEFAULT_FIELD) {
+    return nttWithRoot(values, field.rootOfUnity(values.length), field);
+}
+
+// Inverse NTT over the subgroup of order values.length: evaluations -> coefficients
+function inverseNtt(values, field = DEFAULT_FIELD) {
+    const nInv = field.inv(BigInt(values.length));
+    return nttWithRoot(values, field.inv(field.rootOfUnity(values.length)), field).map(v => (v * nInv) % field.modulus);
+}
+
+// Evaluates a coefficient vector on the coset offset * <w>, w of order `size`
+function cosetNtt(coeffs, offset, size, field = DEFAULT_FIELD) {
+    if (coeffs.length > size) throw new Error("Coset domain is smaller than the polynomial");
+    const scaled = new Array(size).fill(0n);
+    let power = 1n;
+    for (let i = 0; i < coeffs.length; i++) {
+        scaled[i] = (field.mod(coeffs[i]) * power) % field.modulus;
+        power = (power * offset) % field.modulus;
+    }
+    return ntt(scaled, field);
+}
+
+// Recovers coefficients from evaluations on the coset offset * <w>
+function inverseCosetNtt(values, offset, field = DEFAULT_FIELD) {
+    const coeffs = inverseNtt(values, field);
+    const offsetInv = field.inv(offset);
+    let power = 1n;
+    return coeffs.map(c => {
+        const v = (c * power) % field.modulus;
+        power = (power * offsetInv) % field.modulus;
+        return v;
+    });
+}
+
+// Inverts every element with a single field inversion (Montgomery's trick)
+function batchInverse(values, field = DEFAULT_FIELD) {
+    const p = field.modulus;
+    const prefix = new Array(values.length);
+    let acc = 1n;
+    for (let i = 0; i < values.length; i++) {
+        prefix[i] = acc;
+        acc = (acc * values[i]) % p;
+    }
+    let inv = field.inv(acc);
+    const out = new Array(values.length);
+    for (let i = values.length - 1; i >= 0; i--) {
+        out[i] = (inv * prefix[i]) % p;
+        inv = (inv * values[i]) % p;
+    }
+    return out;
+}
+
+// Products above this many terms switch from schoolbook to NTT multiplication
+const NTT_MUL_THRESHOLD = 64;
+
+class Polynomial {
+    /**
+     * @param coeffs Coefficients from the constant term up (coeffs[i] multiplies x^i).
+     *        Trailing zeros are trimmed, so the zero polynomial has no coefficients.
+     */
+    constructor(coeffs, field = DEFAULT_FIELD) {
+        this.field = field;
+        const c = coeffs.map(v => field.mod(v));
+        while (c.length > 0 && c[c.length - 1] === 0n) c.pop();
+        this.coeffs = c;
+    }
+
+    static zero(field = DEFAULT_FIELD) { return new Polynomial([], field); }
+    static constant(c, field = DEFAULT_FIELD) { return new Polynomial([c], field); }
+
+    // prod (x - r) over the given roots, e.g. the vanishing polynomial of a set of points
+    static fromRoots(roots, field = DEFAULT_FIELD) {
+        let coeffs = [1n];
+        for (const r of roots) {
+            const next = new Array(coeffs.length + 1).fill(0n);
+            for (let i = 0; i < coeffs.length; i++) {
+                next[i + 1] = (next[i + 1] + coeffs[i]) % field.modulus;
+                next[i] = (next[i] - coeffs[i] * field.mod(r)) % field.modulus;
+            }
+            coeffs = next;
+        }
+        return new Polynomial(coeffs, field);
+    }
+
+    // Lagrange interpolation through arbitrary distinct points, O(n^2)
+    static interpolate(xs, ys, field = DEFAULT_FIELD) {
+        if (xs.length !== ys.length) throw new Error("interpolate needs as many x values as y values");
+        const full = Polynomial.fromRoots(xs, field);
+        let result = Polynomial.zero(field);
+        for (let i = 0; i < xs.length; i++) {
+            // L_i(x) = prod_{j != i} (x - x_j) / (x_i - x_j)
+            const numerator = full.divmod(new Polynomial([field.mod(-BigInt(xs[i])), 1n], field)).quotient;
+            const scale = field.mul(field.mod(ys[i]), field.inv(numerator.evaluate(xs[i])));
+            result = result.add(numerator.scale(scale));
+        }
+        return result;
+    }
+
+    // Interpolation over the subgroup of order values.length, O(n log n)
+    static interpolateDomain(values, field = DEFAULT_FIELD) {
+        return new Polynomial(inverseNtt(values, field), field);
+    }
+
+    // Interpolation over the coset offset * <w> of order values.length, O(n log n)
+    static interpolateCoset(values, offset, field = DEFAULT_FIELD) {
+        return new Polynomial(inverseCosetNtt(values, offset, field), field);
+    }
+
+    degree() { return this.coeffs.length - 1; } // -1 for the zero polynomial
+    isZero() { return this.coeffs.length === 0; }
+
+    checkField(other) {
+        if (other.field !== this.field) throw new Error("Polynomials are over different fields");
+    }
+
+    add(other) {
+        this.checkField(other);
+        const n = Math.max(this.coeffs.length, other.coeffs.length);
+        const out = new Array(n);
+        for (let i = 0; i < n; i++) out[i] = (this.coeffs[i] || 0n) + (other.coeffs[i] || 0n);
+        return new Polynomial(out, this.field);
+    }
+
+    sub(other) {
+        this.checkField(other);
+        const n = Math.max(this.coeffs.length, other.coeffs.length);
+        const out = new Array(n);
+        for (let i = 0; i < n; i++) out[i] = (this.coeffs[i] || 0n) - (other.coeffs[i] || 0n);
+        return new Polynomial(out, this.field);
+    }
+
+    scale(c) {
+        const k = this.field.mod(c);
+        return new Polynomial(this.coeffs.map(v => v * k), this.field);
+    }
+
+    mul(other) {
+        this.checkField(other);
+        if (this.isZero() || other.isZero()) return Polynomial.zero(this.field);
+
+        const p = this.field.modulus;
+        const resultLength = this.coeffs.length + other.coeffs.length - 1;
+        const size = nextPowerOfTwo(resultLength);
+        const nttSupported = size <= 2 ** Math.min(this.field.twoAdicity, 30);
+
+        if (resultLength > NTT_MUL_THRESHOLD && nttSupported) {
+            const pad = (c) => c.concat(new Array(size - c.length).fill(0n));
+            const a = ntt(pad(this.coeffs), this.field);
+            const b = ntt(pad(other.coeffs), this.field);
+            return new Polynomial(inverseNtt(a.map((v, i) => (v * b[i]) % p), this.field), this.field);
+        }
+
+        const out = new Array(resultLength).fill(0n);
+        for (let i = 0; i < this.coeffs.length; i++) {
+            for (let j = 0; j < other.coeffs.length; j++) {
+                out[i + j] = (out[i + j] + this.coeffs[i] * other.coeffs[j]) % p;
+            }
+        }
+        return new Polynomial(out, this.field);
+    }
+
+    // Long division: returns { quotient, remainder } with this = quotient * other + remainder
+    divmod(other) {
+        this.checkField(other);
+        if (other.isZero()) throw new Error("Polynomial division by zero");
+
+        const p = this.field.modulus;
+        const rem = this.coeffs.slice();
+        const d = other.degree();
+        const leadInv = this.field.inv(other.coeffs[d]);
+        const quotient = new Array(Math.max(rem.length - d, 0)).fill(0n);
+
+        for (let i = rem.length - 1; i >= d; i--) {
+            const factor = (rem[i] * leadInv) % p;
+            quotient[i - d] = factor;
+            if (factor === 0n) continue;
+            for (let j = 0; j <= d; j++) {
+                rem[i - d + j] = (rem[i - d + j] - factor * other.coeffs[j]) % p;
+            }
+        }
+        return {
+            quotient: new Polynomial(quotient, this.field),
+            remainder: new Polynomial(rem.slice(0, d), this.field)
+        };
+    }
+
+    div(other) { return this.divmod(other).quotient; }
+    mod(other) { return this.divmod(other).remainder; }
+
+    // Horner evaluation at a single point
+    evaluate(x) {
+        const p = this.field.modulus;
+        const xv = this.field.mod(x);
+        let acc = 0n;
+        for (let i = this.coeffs.length - 1; i >= 0; i--) acc = (acc * xv + this.coeffs[i]) % p;
+        return acc;
+    }
+
+    // Evaluations over the subgroup of order `size`
+    evaluateOnDomain(size) {
+        return cosetNtt(this.coeffs, 1n, size, this.field);
+    }
+
+    // Evaluations over the coset offset * <w> of order `size`
+    evaluateOnCoset(offset, size) {
+        return cosetNtt(this.coeffs, offset, size, this.field);
+    }
+
+    equals(other) {
+        return other.field === this.field &&
+            other.coeffs.length === this.coeffs.length &&
+            this.coeffs.every((c, i) => c === other.coeffs[i]);
+    }
+
+    toString() {
+        if (this.isZero()) return "0";
+        return this.coeffs
+            .map((c, i) => (c === 0n ? null : (i === 0 ? `${c}` : `${c === 1n ? '' : c}x${i > 1 ? '^' + i : ''}`)))
+            .filter(t => t !== null)
+            .reverse()
+            .join(' + ');
+    }
+}
+
+// String encoding
+// Passwords and hash strings enter the field as their UTF-8 bytes, packed big-endian into
+// chunks of floor((bits - 1) / 8) bytes so every chunk is below p. The byte length and the
+// chunks are absorbed through the mimc-sponge (merkle-hash.js) under their own domain tag,
+// and the first rate element is the result. The length prefix makes the chunking
+// injective, so two different strings only collide if the sponge does.
+const STRING_SPONGE_DOMAIN = 3; // 0-2 are the Merkle leaf, node and empty tags
+
+function stringToField(str, field = DEFAULT_FIELD) {
+    if (typeof str !== 'string') throw new Error("stringToField expects a string");
+    return MerkleHash.spongeHashElements(STRING_SPONGE_DOMAIN, bytesToChunks(new TextEncoder().encode(str), field), field)[0];
+}
+
+// [byte length, chunk_0, chunk_1, ...] with every chunk below p
+function bytesToChunks(bytes, field) {
+    const chunkSize = Math.floor((field.bits - 1) / 8);
+    const values = [BigInt(bytes.length)];
+    for (let off = 0; off < bytes.length; off += chunkSize) {
+        let chunk = 0n;
+        for (let i = off; i < off + chunkSize; i++) {
+            chunk = (chunk << 8n) | BigInt(i < bytes.length ? bytes[i] : 0);
+        }
+        values.push(chunk);
+    }
+    return values;
+}
+
+// Fiat-Shamir Transcript
+// Every challenge the verifier would send is derived from everything the prover has
+// committed to so far. The transcript is a running hash state (SHA-256 by default):
+//   absorb(label, value):  state = H(state || "absorb" || label || value)
+//   squeeze(label):        state = H(state || "squeeze" || label), challenge = H(state || 0) || H(state || 1) mod p
+// Labels are length-prefixed and values carry a type tag, so two different sequences of
+// absorbs never hash the same bytes. Prover and verifier must absorb the same values
+// under the same labels in the same order; any public input or commitment that differs
+// changes every later challenge.
+// H is one of TRANSCRIPT_HASHES, named by the proof's public_inputs.transcript_hash.
+const TRANSCRIPT_PROTOCOL = 'zk-hash/mimc-stark/v1';
+const TRANSCRIPT_SPONGE_DOMAIN = 4;
+
+// 32-byte digest functions for the transcript, built per field
+const TRANSCRIPT_HASHES = {
+    sha256: () => getMerkleHash('sha256').digest,
+    // The bytes are chunked into field elements as in stringToField and absorbed by the
+    // Poseidon sponge; the first 32 bytes of its output are the digest
+    poseidon: (field) => (bytes) => {
+        const out = Poseidon.forField(field).hash(bytesToChunks(bytes, field), TRANSCRIPT_SPONGE_DOMAIN);
+        return MerkleHash.elementsToBytes(out, field).slice(0, 32);
+    }
+};
+const DEFAULT_TRANSCRIPT_HASH = 'sha256';
+
+class Transcript {
+    /**
+     * @param field PrimeField the challenges are drawn from
+     * @param protocol Protocol version, absorbed first so other protocols never share challenges
+     * @param hash Id from TRANSCRIPT_HASHES
+     */
+    constructor(field = DEFAULT_FIELD, protocol = TRANSCRIPT_PROTOCOL, hash = DEFAULT_TRANSCRIPT_HASH) {
+        if (!Object.prototype.hasOwnProperty.call(TRANSCRIPT_HASHES, hash)) throw new Error(`Unknown transcript hash: ${hash}`);
+        this.field = field;
+        this.hash = hash;
+        this.digest = TRANSCRIPT_HASHES[hash](field);
+        this.state = this.digest(Transcript.utf8('zk-hash/transcript'));
+        this.absorb('protocol', protocol);
+    }
+
+    static utf8(str) {
+        return new TextEncoder().encode(str);
+    }
+
+    // length || bytes, with a 4-byte big-endian length
+    static frame(bytes) {
+        const out = new Uint8Array(4 + bytes.length);
+        new DataView(out.buffer).setUint32(0, bytes.length);
+        out.set(bytes, 4);
+        return out;
+    }
+
+    // Type tag + bytes for a BigInt, an integer, a string or a hex digest
+    static encodeValue(value) {
+        if (typeof value === 'bigint') {
+            if (value < 0n) throw new Error("Transcript values must be non-negative");
+            const hex = value.toString(16);
+            return [0x01, MerkleHash.hexToBytes(hex.length % 2 ? '0' + hex : hex)];
+        }
+        if (typeof value === 'number') {
+            if (!Number.isSafeInteger(value)) throw new Error("Transcript numbers must be safe integers");
+            return [0x02, Transcript.utf8(String(value))];
+        }
+        if (typeof value === 'string') return [0x03, Transcript.utf8(value)];
+        throw new Error(`Cannot absorb a ${typeof value} into the transcript`);
+    }
+
+    update(kind, label, bytes = new Uint8Array(0)) {
+        const parts = [this.state, Transcript.utf8(kind), Transcript.frame(Transcript.utf8(label)), bytes];
+        const input = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            input.set(part, offset);
+            offset += part.length;
+        }
+        this.state = this.digest(input);
+    }
+
+    /**
+     * Mixes `value` (BigInt, integer or string) into the state under `label`.
+     * Returns the transcript for chaining.
+     */
+    absorb(label, value) {
+        const [tag, bytes] = Transcript.encodeValue(value);
+        this.update('absorb', label, Transcript.frame(Uint8Array.of(tag, ...bytes)));
+        return this;
     }
 
-    const indices = new Set();
-    let counter = 0n;
+    /**
+     * Absorbs a proof's type and public inputs, key by key in sorted order
+     * (nested objects such as proof_params by their own sorted keys). `trace_root` is
+     * skipped: it is a commitment, absorbed by the STARK prover and verifier themselves.
+     */
+    absorbPublicInputs(proofType, publicInputs) {
+        this.absorb('proof_type', proofType);
+        const absorbObject = (obj, path) => {
+            for (const key of Object.keys(obj).sort()) {
+                if (path === 'public_inputs' && key === 'trace_root') continue;
+                const value = obj[key];
+                if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                    absorbObject(value, `${path}.${key}`);
+                } else {
+                    this.absorb(`${path}.${key}`, value);
+                }
+            }
+        };
+        absorbObject(publicInputs, 'public_inputs');
+        return this;
+    }
+
+    /**
+     * Draws a field element challenge. 512 bits of hash output are reduced mod p,
+     * so the result is uniform for any of our fields.
+     */
+    squeeze(label) {
+        this.update('squeeze', label);
+        const wide = [0, 1].map(i => MerkleHash.bytesToHex(this.digest(Uint8Array.of(...this.state, i)))).join('');
+        return this.field.mod(BigInt('0x' + wide));
+    }
 
-    // Generate distinct indices
-    while (indices.size < numQueries) {
-        // Use MiMC as the PRNG source
-        // Hash(Seed + Counter)
-        const randVal = mimcHash(seed, counter);
-        const idx = Number(randVal % BigInt(domainSize));
-        if (idx < domainSize) { // Valid index
-            indices.add(idx);
+    /**
+     * Draws `count` distinct indices in [0, domainSize), sorted ascending.
+     */
+    squeezeIndices(label, count, domainSize) {
+        if (count > domainSize) throw new Error(`Cannot draw ${count} distinct indices from ${domainSize}`);
+        const indices = new Set();
+        for (let i = 0; indices.size < count; i++) {
+            indices.add(Number(this.squeeze(`${label}[${i}]`) % BigInt(domainSize)));
         }
-        counter++;
+        return Array.from(indices).sort((a, b) => a - b);
     }
-    return Array.from(indices).sort((a,b) => a-b);
 }
 
 // Merkle Tree Implementation for Commitments
+// Leaves are field values, or arrays of field values hashed together into one leaf
+// (e.g. [value, salt]). Node hashing is pluggable, see merkle-hash.js.
 class MerkleTree {
-    constructor(leaves) {
-        this.leaves = leaves.map(l => typeof l === 'string' ? l : l.toString());
-        this.layers = [this.leaves];
+    /**
+     * @param hash A hasher or its id from MerkleHash.MERKLE_HASHES. Defaults to sha256.
+     */
+    constructor(leaves, field = DEFAULT_FIELD, hash) {
+        this.field = field;
+        this.hasher = getMerkleHash(hash);
+        this.leafCount = leaves.length;
+        this.leaves = leaves.map(l => this.hashLeaf(l));
+        this.layers = [MerkleTree.padLeaves(this.leaves, this.hasher, field)];
         this.build();
     }
 
+    // Pads to a power of two with the domain-separated empty digest, so every path
+    // has the same length and a padding leaf cannot pose as a real leaf or node.
+    static padLeaves(leafDigests, hasher, field) {
+        const size = nextPowerOfTwo(Math.max(leafDigests.length, 1));
+        const padded = leafDigests.slice();
+        if (padded.length < size) {
+            const empty = hasher.empty(field);
+            while (padded.length < size) padded.push(empty);
+        }
+        return padded;
+    }
+
     build() {
-        let currentLayer = this.leaves;
+        let currentLayer = this.layers[0];
         while (currentLayer.length > 1) {
             const nextLayer = [];
             for (let i = 0; i < currentLayer.length; i += 2) {
-                const left = currentLayer[i];
-                const right = (i + 1 < currentLayer.length) ? currentLayer[i + 1] : "";
-                // Simple string concat hash for demo speed (use SHA256 in production)
-                // We use a simple hash to avoid heavy crypto libs in this pure math file
-                nextLayer.push(this.hashPair(left, right));
+                nextLayer.push(this.hashNode(currentLayer[i], currentLayer[i + 1]));
             }
             this.layers.push(nextLayer);
             currentLayer = nextLayer;
@@ -122,27 +624,35 @@ class MerkleTree {
         this.root = currentLayer[0];
     }
 
-    hashPair(a, b) {
-        // Universal Hash: Input Decimal Strings -> Output Decimal String
-        // This ensures consistency across layers (Initial Leaves are Dec, Nodes are Dec)
-        const toBI = (val) => {
-             if (typeof val === 'bigint') return val;
-             val = val.toString();
-             // Since we standardized on Decimal output, treat everything as decimal 
-             // UNLESS it explicitly has 0x prefix (shouldn't happen with new logic but safe to keep)
-             if (val.startsWith('0x')) return BigInt(val);
-             return BigInt(val);
-        };
+    /**
+     * Same tree as the constructor, but hashes through the hasher's async variants
+     * (WebCrypto's SHA-256 in the browser). Leaves are hashed concurrently.
+     */
+    static async buildAsync(leaves, field = DEFAULT_FIELD, hash) {
+        const hasher = getMerkleHash(hash);
+        const tree = Object.create(MerkleTree.prototype);
+        tree.field = field;
+        tree.hasher = hasher;
+        tree.leafCount = leaves.length;
+        tree.leaves = await Promise.all(leaves.map(l => hasher.leafAsync(Array.isArray(l) ? l : [l], field)));
+        tree.layers = [MerkleTree.padLeaves(tree.leaves, hasher, field)];
+        let currentLayer = tree.layers[0];
+        while (currentLayer.length > 1) {
+            const pairs = [];
+            for (let i = 0; i < currentLayer.length; i += 2) pairs.push([currentLayer[i], currentLayer[i + 1]]);
+            currentLayer = await Promise.all(pairs.map(([l, r]) => hasher.nodeAsync(l, r, field)));
+            tree.layers.push(currentLayer);
+        }
+        tree.root = currentLayer[0];
+        return tree;
+    }
 
-        const ba = toBI(a || "0");
-        const bb = toBI(b || "0");
+    hashLeaf(values) {
+        return this.hasher.leaf(Array.isArray(values) ? values : [values], this.field);
+    }
 
-        // Mix: a + 2*b (Simple non-symmetric algebraic mix)
-        const mixed = (ba + (bb * 2n)) % FIELD_MODULUS;
-        
-        // Hash the mixed value
-        const res = mimcHash(mixed);
-        return res.toString(); // Return DECIMAL string
+    hashNode(left, right) {
+        return this.hasher.node(left, right, this.field);
     }
 
     getRoot() {
@@ -151,62 +661,1048 @@ class MerkleTree {
 
     getPath(index) {
         const path = [];
-        let layerIdx = 0;
         let currentIdx = index;
-        
-        while (layerIdx < this.layers.length - 1) {
-            const isLeft = currentIdx % 2 === 0;
-            const siblingIdx = isLeft ? currentIdx + 1 : currentIdx - 1;
-            const layer = this.layers[layerIdx];
-            
-            if (siblingIdx < layer.length) {
-                path.push(layer[siblingIdx]);
-            } else {
-                path.push(""); // Padding
-            }
-            
-            currentIdx = Math.floor(currentIdx / 2);
-            layerIdx++;
+        for (let layerIdx = 0; layerIdx < this.layers.length - 1; layerIdx++) {
+            path.push(this.layers[layerIdx][currentIdx ^ 1]);
+            currentIdx >>= 1;
         }
         return path;
     }
-    
-    static verify(root, index, value, path) {
-        let currentHash = value.toString();
-        let currentIdx = index;
-        
-        // Use an instance to access the specific hash logic
-        const tempTree = new MerkleTree([]); 
 
+    /**
+     * Checks that `leaf` (a value or an array of values) sits at `index` under `root`.
+     * `hash` must be the hasher the tree was built with.
+     */
+    static verify(root, index, leaf, path, field = DEFAULT_FIELD, hash) {
+        const hasher = getMerkleHash(hash);
+        if (!Array.isArray(path) || !Number.isInteger(index) || index < 0 || index >= 2 ** path.length) return false;
+        if (!path.every(sibling => hasher.isDigest(sibling, field))) return false;
+
+        let currentHash;
+        try {
+            currentHash = hasher.leaf(Array.isArray(leaf) ? leaf.map(BigInt) : [BigInt(leaf)], field);
+        } catch (e) {
+            return false; // Not a field value
+        }
+
+        let currentIdx = index;
         for (const sibling of path) {
-            const isLeft = currentIdx % 2 === 0;
-            if (isLeft) {
-                currentHash = tempTree.hashPair(currentHash, sibling);
-            } else {
-                currentHash = tempTree.hashPair(sibling, currentHash);
-            }
-            currentIdx = Math.floor(currentIdx / 2);
+            currentHash = (currentIdx % 2 === 0)
+                ? hasher.node(currentHash, sibling, field)
+                : hasher.node(sibling, currentHash, field);
+            currentIdx >>= 1;
         }
         return currentHash === root;
     }
+
+    /**
+     * Compact opening of several leaves at once: the sibling digests needed to rebuild
+     * the root, level by level in ascending index order. A sibling is left out when it
+     * is opened itself or can be computed from opened leaves, so neighbouring leaves
+     * share almost their whole path.
+     */
+    getMultiProof(indices) {
+        const nodes = [];
+        let known = Array.from(new Set(indices)).sort((a, b) => a - b);
+        for (let level = 0; level < this.layers.length - 1; level++) {
+            const knownSet = new Set(known);
+            for (const idx of known) {
+                if (!knownSet.has(idx ^ 1)) nodes.push(this.layers[level][idx ^ 1]);
+            }
+            known = Array.from(new Set(known.map(idx => idx >> 1)));
+        }
+        return nodes;
+    }
+
+    // Rebuilds every node reachable from the opened leaves ([index, leaf] pairs) of a
+    // tree with `size` leaves. Returns one Map (index -> digest) per level, root level
+    // last, or null if the leaves or `nodes` do not fit that tree.
+    static walkMultiProof(size, leaves, nodes, field, hasher) {
+        if (!isPowerOfTwo(size) || !Array.isArray(nodes) || !nodes.every(n => hasher.isDigest(n, field))) return null;
+
+        let level = new Map();
+        for (const [index, leaf] of leaves) {
+            if (!Number.isInteger(index) || index < 0 || index >= size) return null;
+            const digest = hasher.leaf(Array.isArray(leaf) ? leaf : [leaf], field);
+            if (level.has(index) && level.get(index) !== digest) return null;
+            level.set(index, digest);
+        }
+        if (level.size === 0) return null;
+
+        const levels = [];
+        let cursor = 0;
+        for (let width = size; width > 1; width >>= 1) {
+            const known = Array.from(level.keys()).sort((a, b) => a - b);
+            for (const idx of known) {
+                if (!level.has(idx ^ 1)) {
+                    if (cursor >= nodes.length) return null;
+                    level.set(idx ^ 1, nodes[cursor++]);
+                }
+            }
+            levels.push(level);
+
+            const next = new Map();
+            for (const idx of known) {
+                const parent = idx >> 1;
+                if (!next.has(parent)) next.set(parent, hasher.node(level.get(parent * 2), level.get(parent * 2 + 1), field));
+            }
+            level = next;
+        }
+        if (cursor !== nodes.length) return null; // Unused nodes mean a different tree shape
+        levels.push(level);
+        return levels;
+    }
+
+    /**
+     * Checks a multi-opening built by getMultiProof.
+     * `leaves` is a list of [index, leaf] pairs, `size` the number of leaves in the tree.
+     */
+    static verifyMultiProof(root, size, leaves, nodes, field = DEFAULT_FIELD, hash) {
+        let levels;
+        try {
+            levels = MerkleTree.walkMultiProof(size, leaves, nodes, field, getMerkleHash(hash));
+        } catch (e) {
+            return false; // A leaf that is not a field value
+        }
+        return levels !== null && levels[levels.length - 1].get(0) === root;
+    }
+
+    // The individual authentication paths contained in a (valid) multi-opening
+    static expandMultiProof(size, leaves, nodes, field = DEFAULT_FIELD, hash) {
+        const levels = MerkleTree.walkMultiProof(size, leaves, nodes, field, getMerkleHash(hash));
+        if (!levels) return null;
+        const paths = new Map();
+        for (const [index] of leaves) {
+            const path = [];
+            let idx = index;
+            for (let level = 0; level < levels.length - 1; level++) {
+                path.push(levels[level].get(idx ^ 1));
+                idx >>= 1;
+            }
+            paths.set(index, path);
+        }
+        return paths;
+    }
+}
+
+// =====================================================================
+// STARK Pipeline: Low-Degree Extension + Composition Polynomial + FRI
+// =====================================================================
+// The prover interpolates the MiMC trace T over the trace domain {w^i} (size N),
+// evaluates it over a coset of a domain `blowup` times larger, and commits
+// to those evaluations. From T it builds the composition polynomial
+//
+//   CP(x) = alpha_T * [T(w x) - (T(x) + key + RC(x))^3] / Z(x)  +  alpha_B * [T(x) - output] / (x - w^R)
+//
+// where RC interpolates the round constants and Z vanishes on the R transition rows.
+// CP is a low-degree polynomial ONLY if every transition and the output boundary hold.
+// That is the MiMC case. In general the trace satisfies an AIR (see permutationAir): T has
+// `width` columns, RC becomes any number of public columns, every transition constraint
+// C_j(T(x), T(wx), RC(x)) gets a term weighted by alpha_T^(j+1), and every boundary
+// T_c(w^r) = v a term alpha_B^(k+1) * [T_c(x) - v] / (x - w^r). A Poseidon trace (see
+// TRACE_PERMUTATIONS) has one column per state element and pins its key at row 0 that way.
+// FRI then proves CP is low-degree: each layer folds the previous one in half with a
+// random challenge until a constant remains. The verifier recomputes CP at random points
+// from the trace openings and checks every fold, so a single bad step makes CP high-degree
+// and is caught with probability set by the protocol, not by landing a query on that step.
+//
+// Zero knowledge:
+// - The rows after the output are filled with random field elements, and there are at least
+//   as many of them as trace openings. Any set of openings is then uniformly random and
+//   says nothing about the real rows (the secret input and the intermediate states).
+// - Every committed leaf is H(value, salt) with a fresh random salt, so the sibling hashes
+//   in a Merkle path cannot be used to test guesses of unopened values.
+// - FRI runs on CP + MASK, where MASK is a committed random polynomial of the same degree
+//   bound. The folded layers are then random too and only MASK openings relate them to CP.
+//   Each query opens the trace at 4 positions (x, wx, -x, -wx), and each of them needs one
+//   random row behind it, so the blinding rows grow with the query count (see ProofParams.proofSizes).
+//   Every trace column is blinded on its own.
+//
+// Sizes, query count and grinding come from the proof parameters (params.js). With
+// grinding_bits > 0 the prover must find a nonce whose hash with the transcript seed has
+// that many leading zero bits before the query positions are drawn, so every attempt to
+// regrind a cheating proof costs 2^grinding_bits hashes.
+
+// Proof of work: the SHA-256 digest of (seed, nonce) must start with `bits` zero bits
+function grindingDigest(seed, nonce, field) {
+    const sha256 = getMerkleHash('sha256');
+    return sha256.digest(MerkleHash.elementsToBytes([seed, nonce], field));
+}
+function leadingZeroBits(bytes) {
+    let bits = 0;
+    for (const b of bytes) {
+        if (b === 0) { bits += 8; continue; }
+        return bits + Math.clz32(b) - 24;
+    }
+    return bits;
+}
+function checkGrinding(seed, nonce, bits, field) {
+    return bits === 0 || leadingZeroBits(grindingDigest(seed, nonce, field)) >= bits;
+}
+// Tries nonces 0, 1, 2, ... until one passes; takes ~2^bits hashes
+function grind(seed, bits, field) {
+    let nonce = 0n;
+    while (!checkGrinding(seed, nonce, bits, field)) nonce++;
+    return nonce;
+}
+
+// Trace permutations the STARK can prove, by the id a proof records in
+// public_inputs.permutation. Each factory (field, rounds) returns an adapter:
+//   width             trace columns
+//   rounds            transitions (proof_params.rounds)
+//   fixedRounds       true when the parameter set fixes `rounds` (the factory then ignores
+//                     a missing `rounds` and throws on any other value)
+//   constraintDegree  degree of a transition in the trace and public columns together
+//   publicColumns     per-round public values (round constants, selectors), one array per column
+//   periodicColumns   optional repeating columns (see the AIR shape below)
+//   trace(input, key)          rows [x_0, ..., x_rounds], each an array of `width` values
+//   transition(row, key, pub, periodic)  the next row, with `pub` and `periodic` the public
+//                              and periodic column values at that point
+//   initialBoundary(key)       [[column, value]] pairs fixed at row 0
+// The output is column 0 of the last row.
+const TRACE_PERMUTATIONS = {
+    mimc: (field, rounds) => {
+        const mimc = new MiMC({ field, rounds });
+        return {
+            id: 'mimc',
+            width: 1,
+            rounds: mimc.rounds,
+            fixedRounds: false,
+            constraintDegree: mimc.exponent,
+            publicColumns: [mimc.constants],
+            trace: (input, key) => mimc.trace(input, key).map(x => [x]),
+            transition: (row, key, pub) => [mimc.step(row[0], key, pub[0])],
+            // The key enters every transition instead
+            initialBoundary: () => []
+        };
+    },
+    // State [input, key, 0, ...]; the key is pinned by boundary constraints at row 0.
+    // The round count is fixed by the field's parameter set.
+    poseidon: (field, rounds) => {
+        const poseidon = Poseidon.forField(field);
+        if (rounds !== undefined && rounds !== poseidon.rounds) {
+            throw new Error(`Poseidon over ${field.name} has ${poseidon.rounds} rounds, not ${rounds}`);
+        }
+        const width = poseidon.width;
+        const initialState = (input, key) => [input, key].concat(new Array(width - 2).fill(0n)).map(v => field.mod(v));
+        const publicColumns = Array.from({length: width}, (_, j) => poseidon.roundConstants.map(rc => rc[j]));
+        publicColumns.push(Array.from({length: poseidon.rounds}, (_, r) => (poseidon.isFullRound(r) ? 1n : 0n)));
+        return {
+            id: 'poseidon',
+            width,
+            rounds: poseidon.rounds,
+            fixedRounds: true,
+            // The selector multiplies the S-box of columns 1.. in full rounds
+            constraintDegree: poseidon.alpha + 1,
+            publicColumns,
+            trace: (input, key) => poseidon.trace(initialState(input, key)),
+            transition: (row, key, pub) => poseidon.step(row, pub, pub[width]),
+            initialBoundary: (key) => initialState(0n, key).map((v, j) => [j, v]).slice(1)
+        };
+    }
+};
+const DEFAULT_TRACE_PERMUTATION = 'mimc';
+
+// The adapter for permutation `id`; throws if it is unknown or cannot run `rounds` rounds
+function getTracePermutation(id, field = DEFAULT_FIELD, rounds) {
+    if (!Object.prototype.hasOwnProperty.call(TRACE_PERMUTATIONS, id)) throw new Error(`Unknown trace permutation: ${id}`);
+    return TRACE_PERMUTATIONS[id](field, rounds);
+}
+
+// AIR (algebraic intermediate representation) instances: the constraint system a proof is
+// checked against. proveAir and verifyAir take any object of this shape:
+//   id                 name used in error messages
+//   width              trace columns
+//   steps              transitions; the trace has steps + 1 rows (proof_params.rounds)
+//   constraintDegree   degree of the transition constraints in the trace and public columns
+//   publicColumns      preprocessed columns: per-step public values (round constants,
+//                      selectors), one array of `steps` values per column (optional)
+//   periodicColumns    columns that repeat a short cycle over the whole trace domain, one
+//                      array per column whose power-of-two length is its period: row i
+//                      holds values[i % period] (optional). The verifier evaluates them as
+//                      a polynomial of degree < period in x^(N / period), far cheaper than
+//                      interpolating a preprocessed column over all N rows.
+//   transition(current, next, pub, periodic)  constraint values for one step, all zero
+//                      exactly when row `next` may follow row `current`; `pub` and
+//                      `periodic` hold the public and periodic column values at that step
+//   boundaries         [{ row, column, value }]: trace cells fixed by the public inputs
+// The proof types build their instance from their public inputs (see air.js).
+
+// The AIR of a trace permutation adapter keyed by `key` that ends at `output`.
+//
+// With a public key the permutation runs backwards just as easily (x -> x^3 is a bijection
+// when 3 does not divide p - 1, as in stark252, and every round constant is public), so
+// anyone can find an input for a given output and prove it. Statements whose output must be
+// one-way pass `feedForward: true`: the output is then Permutation(input) + input, which
+// cannot be inverted that way. The trace (see feedForwardTrace) gets one more column d,
+// column 0 plus the input, and the output is d in the last row:
+//   row 0       d = 2 x_0
+//   each step   d' - d = x_0' - x_0
+// A public selector column marks row 0. Neither the step count nor the constraint degree
+// (at least 2) changes.
+function permutationAir(permutation, { key = 0n, output, feedForward = false }, field = DEFAULT_FIELD) {
+    if (feedForward) return feedForwardAir(permutation, key, output, field);
+    const p = field.modulus;
+    const keyVal = field.mod(key);
+    return {
+        id: permutation.id,
+        width: permutation.width,
+        steps: permutation.rounds,
+        constraintDegree: permutation.constraintDegree,
+        publicColumns: permutation.publicColumns,
+        periodicColumns: permutation.periodicColumns || [],
+        permutation,
+        transition: (current, next, pub, periodic) => {
+            const expected = permutation.transition(current, keyVal, pub, periodic);
+            return next.map((v, j) => (v - expected[j] + p) % p);
+        },
+        // The output, then the row-0 cells the permutation pins (Poseidon's key)
+        boundaries: [{ row: permutation.rounds, column: 0, value: output }]
+            .concat(permutation.initialBoundary(keyVal).map(([column, value]) => ({ row: 0, column, value })))
+    };
+}
+
+// permutationAir with feedForward (see above)
+function feedForwardAir(permutation, key, output, field) {
+    const p = field.modulus;
+    const keyVal = field.mod(key);
+    const width = permutation.width;
+    const steps = permutation.rounds;
+    const first = Array.from({length: steps}, (_, i) => (i === 0 ? 1n : 0n));
+    const sub = (a, b) => (a - b + p) % p;
+    return {
+        id: `${permutation.id}+feed-forward`,
+        width: width + 1,
+        steps,
+        constraintDegree: Math.max(permutation.constraintDegree, 2),
+        publicColumns: permutation.publicColumns.concat([first]),
+        periodicColumns: permutation.periodicColumns || [],
+        permutation,
+        transition: (current, next, pub, periodic) => {
+            const state = current.slice(0, width);
+            const expected = permutation.transition(state, keyVal, pub.slice(0, -1), periodic);
+            const d = current[width];
+            return next.slice(0, width).map((v, j) => sub(v, expected[j]))
+                .concat([sub(sub(next[width], d), sub(next[0], state[0])), pub[pub.length - 1] * sub(d, 2n * state[0] % p) % p]);
+        },
+        boundaries: [{ row: steps, column: width, value: output }]
+            .concat(permutation.initialBoundary(keyVal).map(([column, value]) => ({ row: 0, column, value })))
+    };
+}
+
+// The trace of permutationAir(permutation, { key, feedForward: true }) for `input`: the
+// permutation's rows, each with column 0 plus the input appended. The last value of the
+// last row is the output, Permutation(input) + input.
+function feedForwardTrace(permutation, input, key = 0n, field = DEFAULT_FIELD) {
+    const x = field.mod(input);
+    return permutation.trace(x, key).map(row => row.concat([(row[0] + x) % field.modulus]));
+}
+
+// Throws unless `air` has the shape described above
+function checkAir(air) {
+    const positive = (n) => Number.isSafeInteger(n) && n >= 1;
+    if (!air || !positive(air.width) || !positive(air.steps) || !positive(air.constraintDegree)) {
+        throw new Error("An AIR needs integer width, steps and constraintDegree of at least 1");
+    }
+    if (typeof air.transition !== 'function') throw new Error(`AIR ${air.id} has no transition function`);
+    const { publicColumns = [], periodicColumns = [] } = air;
+    if (!Array.isArray(publicColumns) || publicColumns.some(c => !Array.isArray(c) || c.length !== air.steps)) {
+        throw new Error(`AIR ${air.id}: every public column needs ${air.steps} values`);
+    }
+    if (!Array.isArray(periodicColumns) || periodicColumns.some(c => !Array.isArray(c) || !isPowerOfTwo(c.length))) {
+        throw new Error(`AIR ${air.id}: every periodic column needs a power-of-two number of values`);
+    }
+    const inRange = (n, max) => Number.isSafeInteger(n) && n >= 0 && n <= max;
+    if (!Array.isArray(air.boundaries) || air.boundaries.some(b => !b || !inRange(b.row, air.steps) || !inRange(b.column, air.width - 1))) {
+        throw new Error(`AIR ${air.id}: boundaries must name a row in [0, ${air.steps}] and a column in [0, ${air.width})`);
+    }
+}
+
+// Sizes for `params` and the AIR's step count (see ProofParams.proofSizes) plus the AIR,
+// the domains, the transition zerofier and the rows that carry boundary constraints
+function starkLayout(params, field, air) {
+    checkAir(air);
+    const sizes = proofSizes({ ...params, rounds: air.steps }, air.constraintDegree);
+    const { rounds, traceLength, ldeSize } = sizes;
+    const periodicColumns = air.periodicColumns || [];
+    if (periodicColumns.some(c => c.length > traceLength)) {
+        throw new Error(`AIR ${air.id}: periods cannot exceed the trace length ${traceLength}`);
+    }
+    return {
+        ...sizes,
+        grindingBits: params.grinding_bits,
+        air,
+        publicColumns: air.publicColumns || [],
+        periodicColumns,
+        boundaries: air.boundaries.map(b => ({ ...b, value: field.mod(b.value) })),
+        boundaryRows: Array.from(new Set(air.boundaries.map(b => b.row))).sort((a, b) => a - b),
+        traceRoot: field.rootOfUnity(traceLength),
+        ldeRoot: field.rootOfUnity(ldeSize),
+        offset: field.generator,
+        // Vanishes exactly on the transition rows w^0 .. w^(R-1)
+        transitionZerofier: Polynomial.fromRoots(rootsOfUnity(traceLength, field).slice(0, rounds), field)
+    };
+}
+
+// Commits to `rows` (arrays of values) with leaves H(...row, salt) under fresh random salts
+function commitSalted(rows, field, hash) {
+    const salts = rows.map(() => randomFieldElement(field));
+    const tree = new MerkleTree(rows.map((row, i) => row.concat([salts[i]])), field, hash);
+    return { tree, salts };
+}
+
+// Multi-opening of a salted commitment: { openings: [{ index, values, salt }], nodes }
+function openSalted(tree, salts, rows, positions) {
+    return {
+        openings: positions.map(i => ({ index: i, values: rows[i].map(v => v.toString()), salt: salts[i].toString() })),
+        nodes: tree.getMultiProof(positions)
+    };
+}
+
+// Checks a multi-opening built by openSalted against a tree of `size` leaves holding
+// `width` values each. Returns a Map index -> values, or null if anything is off.
+function readSalted(root, size, multi, width, field, hasher) {
+    if (!multi || !Array.isArray(multi.openings) || !Array.isArray(multi.nodes)) return null;
+    const canonical = (v) => {
+        const x = BigInt(v);
+        if (x < 0n || x >= field.modulus) throw new Error("Not a canonical field element");
+        return x;
+    };
+
+    const opened = new Map();
+    const leaves = [];
+    try {
+        for (const o of multi.openings) {
+            if (!o || !Array.isArray(o.values) || o.values.length !== width || o.salt === undefined) return null;
+            const values = o.values.map(canonical);
+            leaves.push([o.index, values.concat([canonical(o.salt)])]);
+            opened.set(o.index, values);
+        }
+    } catch (e) {
+        return null;
+    }
+    return MerkleTree.verifyMultiProof(root, size, leaves, multi.nodes, field, hasher) ? opened : null;
+}
+
+// LDE positions each commitment is opened at for the query indices j (< M/2)
+function queryPositions(indices, layout) {
+    const M = layout.ldeSize;
+    const sorted = (list) => Array.from(new Set(list)).sort((a, b) => a - b);
+    const mask = indices.flatMap(j => [j, j + M / 2]);
+    const trace = mask.flatMap(idx => [idx, (idx + layout.blowup) % M]);
+    const layers = [];
+    for (let i = 0; i < layout.friRounds - 1; i++) {
+        layers.push(sorted(indices.map(j => j % (M >> (i + 2)))));
+    }
+    return { trace: sorted(trace), mask: sorted(mask), layers };
+}
+
+// Public columns (round constants, selectors) interpolated over the trace domain (padding rows use 0)
+function publicColumnPolynomials(layout, field) {
+    return layout.publicColumns.map(values => {
+        const column = Array.from({length: layout.traceLength}, (_, i) => (i < layout.rounds ? field.mod(values[i]) : 0n));
+        return Polynomial.interpolateDomain(column, field);
+    });
+}
+
+// Periodic columns as { poly, exponent }: the column's value at x is poly(x^exponent), where
+// poly interpolates one period over the subgroup of that size and exponent = N / period
+function periodicColumnPolynomials(layout, field) {
+    return layout.periodicColumns.map(values => ({
+        poly: Polynomial.interpolateDomain(values.map(v => field.mod(v)), field),
+        exponent: layout.traceLength / values.length
+    }));
+}
+
+// Values of every periodic column on the LDE coset. x^exponent runs over a coset of
+// M / exponent points, so each column is evaluated on that smaller coset and repeats.
+function periodicColumnLdes(layout, field) {
+    return periodicColumnPolynomials(layout, field).map(({ poly, exponent }) => {
+        const size = layout.ldeSize / exponent;
+        const values = poly.evaluateOnCoset(field.pow(layout.offset, BigInt(exponent)), size);
+        return (i) => values[i % size];
+    });
+}
+
+// One FRI fold: f'(x^2) = (f(x) + f(-x)) / 2 + beta * (f(x) - f(-x)) / (2x)
+function friFold(fx, fNegX, beta, x, field) {
+    const p = field.modulus;
+    const inv2 = field.inv(2n);
+    const even = ((fx + fNegX) % p) * inv2 % p;
+    const odd = ((fx - fNegX + p) % p) * inv2 % p * field.inv(x) % p;
+    return (even + beta * odd) % p;
+}
+
+// Numerators of the composition at one point from the trace rows T(x), T(wx) and the public
+// column values there. The j-th transition constraint is weighted by alpha_T^(j+1) and the
+// k-th boundary constraint T_c(x) - v by alpha_B^(k+1); boundaries are summed per row.
+function compositionNumerators(tx, twx, pub, periodic, alphas, layout, field) {
+    const p = field.modulus;
+    let transition = 0n;
+    let weight = 1n;
+    for (const c of layout.air.transition(tx, twx, pub, periodic)) {
+        weight = weight * alphas.transition % p;
+        transition = (transition + weight * field.mod(c)) % p;
+    }
+    const boundaries = layout.boundaryRows.map(() => 0n);
+    weight = 1n;
+    for (const { row, column, value } of layout.boundaries) {
+        weight = weight * alphas.boundary % p;
+        const k = layout.boundaryRows.indexOf(row);
+        boundaries[k] = (boundaries[k] + weight * ((tx[column] - value + p) % p)) % p;
+    }
+    return { transition, boundaries };
+}
+
+// Composition polynomial value at x from the trace openings T(x) and T(wx):
+//   transition / prod_{i<R} (x - w^i)  +  sum over boundary rows r of boundary_r / (x - w^r)
+function airComposition(x, tx, twx, pub, periodic, alphas, layout, field) {
+    const p = field.modulus;
+    const { transition, boundaries } = compositionNumerators(tx, twx, pub, periodic, alphas, layout, field);
+    let value = transition * field.inv(layout.transitionZerofier.evaluate(x)) % p;
+    layout.boundaryRows.forEach((row, k) => {
+        const den = (x - field.pow(layout.traceRoot, BigInt(row)) + p) % p;
+        value = (value + boundaries[k] * field.inv(den)) % p;
+    });
+    return value;
+}
+
+// Prover steps 1-4: commits to the trace, the mask and the FRI layers. Returns the state
+// openTrace needs once the grinding nonce for `grindingSeed` is known.
+function commitTrace(air, trace, { field = DEFAULT_FIELD, transcript = new Transcript(field), hash = DEFAULT_MERKLE_HASH, params = DEFAULT_PROOF_PARAMS, onProgress = null } = {}) {
+    const p = field.modulus;
+    const layout = starkLayout(resolveProofParams({ ...params, rounds: air.steps }), field, air);
+    // Steps 1-3, then one FRI fold at a time
+    let done = 0;
+    const progress = () => { if (onProgress) onProgress({ phase: 'committing', fraction: done++ / (3 + layout.friRounds) }); };
+    progress();
+    const rows = trace.map(row => (Array.isArray(row) ? row : [row]));
+    const N = layout.traceLength;
+    const M = layout.ldeSize;
+    const width = air.width;
+    if (rows.length !== air.steps + 1) throw new Error(`AIR ${air.id} needs a trace of ${air.steps + 1} rows, got ${rows.length}`);
+    if (rows.some(row => row.length !== width)) throw new Error(`Trace rows must have ${width} values for ${air.id}`);
+
+    // 1. Interpolate every trace column (padded with random blinding rows) and extend it onto the LDE coset
+    const columnLdes = Array.from({length: width}, (_, j) => {
+        const column = Array.from({length: N}, (_, i) => (i < rows.length ? field.mod(rows[i][j]) : randomFieldElement(field)));
+        return Polynomial.interpolateDomain(column, field).evaluateOnCoset(layout.offset, M);
+    });
+    const traceLde = Array.from({length: M}, (_, i) => columnLdes.map(c => c[i]));
+    const pubLdes = publicColumnPolynomials(layout, field).map(poly => poly.evaluateOnCoset(layout.offset, M));
+    const periodicLdes = periodicColumnLdes(layout, field);
+    progress();
+
+    // 2. Commit to the trace LDE rows and to a random masking polynomial of degree < D
+    const { tree: traceTree, salts: traceSalts } = commitSalted(traceLde, field, hash);
+    const traceRoot = traceTree.getRoot();
+    const maskPoly = new Polynomial(Array.from({length: layout.degreeBound}, () => randomFieldElement(field)), field);
+    const maskLde = maskPoly.evaluateOnCoset(layout.offset, M);
+    const { tree: maskTree, salts: maskSalts } = commitSalted(maskLde.map(v => [v]), field, hash);
+    const maskRoot = maskTree.getRoot();
+    progress();
+
+    transcript.absorb('trace_root', traceRoot).absorb('mask_root', maskRoot);
+    const alphas = {
+        transition: transcript.squeeze('alpha_transition'),
+        boundary: transcript.squeeze('alpha_boundary')
+    };
+
+    // 3. Composition polynomial over the LDE coset
+    const points = cosetDomain(layout.offset, M, field);
+    const zerofiers = layout.transitionZerofier.evaluateOnCoset(layout.offset, M);
+    const zInv = batchInverse(zerofiers, field);
+    const bInv = layout.boundaryRows.map(row => {
+        const wr = field.pow(layout.traceRoot, BigInt(row));
+        return batchInverse(points.map(xi => (xi - wr + p) % p), field);
+    });
+
+    const composition = points.map((xi, i) => {
+        const pub = pubLdes.map(c => c[i]);
+        const periodic = periodicLdes.map(c => c(i));
+        const { transition, boundaries } = compositionNumerators(traceLde[i], traceLde[(i + layout.blowup) % M], pub, periodic, alphas, layout, field);
+        let cp = transition * zInv[i] % p;
+        boundaries.forEach((b, k) => { cp = (cp + b * bInv[k][i]) % p; });
+        return (cp + maskLde[i]) % p;
+    });
+    progress();
+
+    // 4. FRI commit phase on CP + MASK: fold until the degree bound reaches 1 (a constant)
+    const layers = [composition];
+    const layerTrees = [];
+    const layerRoots = [];
+    let beta = transcript.squeeze('fri_beta[0]');
+    let offset = layout.offset;
+    let root = layout.ldeRoot;
+    for (let round = 0; round < layout.friRounds; round++) {
+        const current = layers[layers.length - 1];
+        const half = current.length / 2;
+        const next = new Array(half);
+        let xi = offset;
+        for (let t = 0; t < half; t++) {
+            next[t] = friFold(current[t], current[t + half], beta, xi, field);
+            xi = (xi * root) % p;
+        }
+        layers.push(next);
+        progress();
+        offset = (offset * offset) % p;
+        root = (root * root) % p;
+
+        if (round + 1 < layout.friRounds) {
+            // Commit to the pairs (f(x), f(-x)) so one opening serves both halves
+            const nextHalf = next.length / 2;
+            const rows = next.slice(0, nextHalf).map((v, t) => [v, next[t + nextHalf]]);
+            const { tree, salts } = commitSalted(rows, field, hash);
+            layerTrees.push({ tree, salts, rows });
+            layerRoots.push(tree.getRoot());
+            transcript.absorb(`fri_layer_root[${round + 1}]`, tree.getRoot());
+            beta = transcript.squeeze(`fri_beta[${round + 1}]`);
+        }
+    }
+
+    const finalLayer = layers[layers.length - 1];
+    if (finalLayer.some(v => v !== finalLayer[0])) {
+        throw new Error(`Trace does not satisfy the ${air.id} constraints (composition is not low-degree)`);
+    }
+    const finalValue = finalLayer[0];
+
+    return {
+        field, layout, traceRoot, traceTree, traceSalts, traceLde, maskRoot, maskTree, maskSalts, maskLde,
+        layerTrees, layerRoots, finalValue, transcript,
+        // The grinding nonce is searched against this seed (see grind)
+        grindingSeed: transcript.absorb('fri_final_value', finalValue).squeeze('grinding_seed')
+    };
+}
+
+// Prover step 5: draws the query positions from the transcript and the grinding nonce
+// and opens every commitment there.
+function openTrace(state, powNonce) {
+    const { field, layout, traceRoot, traceTree, traceSalts, traceLde, maskRoot, maskTree, maskSalts, maskLde, layerTrees, layerRoots, finalValue, transcript } = state;
+    if (!checkGrinding(state.grindingSeed, powNonce, layout.grindingBits, field)) {
+        throw new Error(`Grinding nonce ${powNonce} does not reach ${layout.grindingBits} bits of work`);
+    }
+    const indices = transcript.absorb('pow_nonce', powNonce).squeezeIndices('query', layout.queries, layout.ldeSize / 2);
+    const positions = queryPositions(indices, layout);
+
+    return {
+        trace_root: traceRoot,
+        // T(x) and T(wx) at x and -x of every query, as one multi-opening
+        trace_queries: openSalted(traceTree, traceSalts, traceLde, positions.trace),
+        fri: {
+            mask_root: maskRoot,
+            layer_roots: layerRoots,
+            final_value: finalValue.toString(),
+            pow_nonce: powNonce.toString(),
+            // MASK(x) at x and -x of every query, added to CP(x) before the first fold
+            mask_queries: openSalted(maskTree, maskSalts, maskLde.map(v => [v]), positions.mask),
+            // The (f(x), f(-x)) pair each query folds through in every committed layer
+            layer_queries: layerTrees.map((layer, i) => openSalted(layer.tree, layer.salts, layer.rows, positions.layers[i]))
+        }
+    };
+}
+
+/**
+ * Builds the STARK proof body for `trace`, which must satisfy `air` (see above):
+ * air.steps + 1 rows of air.width values each (single values for width 1).
+ * transcript: Fiat-Shamir Transcript that has already absorbed the proof's public inputs
+ * (see Transcript.absorbPublicInputs). Every commitment is absorbed into it and every
+ * challenge squeezed from it; the verifier must start from an identical transcript.
+ * hash: Merkle hasher id (see merkle-hash.js); the verifier must use the same one.
+ * params: proof parameters (see params.js); missing entries use the defaults and
+ * `rounds` is always air.steps. The verifier must use the same ones.
+ * Returns { trace_root, trace_queries, fri: { mask_root, layer_roots, final_value, pow_nonce, mask_queries, layer_queries } },
+ * where every *_queries entry is a Merkle multi-opening (see openSalted).
+ * The proof is randomized (see "Zero knowledge" above): proving the same trace twice
+ * gives two unrelated proofs.
+ * With params.grinding_bits > 0 the grinding nonce is searched here, on the calling thread;
+ * see proveAirAsync to search it elsewhere.
+ * onProgress: optional ({ phase, fraction }) callback, called as the proof moves through the
+ * 'committing' (fraction 0..1 over the commitments and FRI folds), 'grinding' and 'querying' phases.
+ */
+function proveAir(air, trace, options = {}) {
+    const { onProgress } = options;
+    const state = commitTrace(air, trace, options);
+    if (onProgress) onProgress({ phase: 'grinding', fraction: 0 });
+    const nonce = grind(state.grindingSeed, state.layout.grindingBits, state.field);
+    if (onProgress) onProgress({ phase: 'querying', fraction: 0 });
+    return openTrace(state, nonce);
+}
+
+/**
+ * proveAir with a pluggable grinding step: `options.grinder(seed, bits, field)`
+ * must resolve to a nonce (BigInt or decimal string) that passes checkGrinding, e.g. one
+ * found by a Web Worker running grind-worker.js. Without a grinder this grinds in place.
+ */
+async function proveAirAsync(air, trace, options = {}) {
+    const { onProgress } = options;
+    const state = commitTrace(air, trace, options);
+    const { grindingSeed, layout, field } = state;
+    if (onProgress) onProgress({ phase: 'grinding', fraction: 0 });
+    const nonce = (options.grinder && layout.grindingBits > 0)
+        ? BigInt(await options.grinder(grindingSeed, layout.grindingBits, field))
+        : grind(grindingSeed, layout.grindingBits, field);
+    if (onProgress) onProgress({ phase: 'querying', fraction: 0 });
+    return openTrace(state, nonce);
+}
+
+// The AIR proveMimcTrace / verifyMimcTrace check: permutation `id` under `key`, ending at `output`
+function tracePermutationAir(id, rounds, key, output, field, feedForward = false) {
+    return permutationAir(getTracePermutation(id, field, rounds), { key, output, feedForward }, field);
+}
+
+/**
+ * proveAir for a permutation trace: [x_0, ..., x_R] with x_{i+1} = (x_i + key + c_i)^3 and
+ * x_R = output, or the rows of another trace permutation's trace(input, key) with
+ * `options.permutation` naming it (see TRACE_PERMUTATIONS). The verifier must use the same one.
+ * With `options.feedForward` the trace is a feedForwardTrace and proves the one-way
+ * output Permutation(input) + input instead (see permutationAir).
+ */
+function proveMimcTrace(trace, options = {}) {
+    return proveAir(mimcTraceAir(trace, options), trace, options);
+}
+
+// proveMimcTrace with the grinding step of proveAirAsync
+async function proveMimcTraceAsync(trace, options = {}) {
+    return proveAirAsync(mimcTraceAir(trace, options), trace, options);
+}
+
+// The AIR proveMimcTrace proves `trace` against; its output is taken from the last row
+function mimcTraceAir(trace, { key = 0n, field = DEFAULT_FIELD, permutation = DEFAULT_TRACE_PERMUTATION, feedForward = false }) {
+    const last = trace[trace.length - 1];
+    const output = !Array.isArray(last) ? last : (feedForward ? last[last.length - 1] : last[0]);
+    return tracePermutationAir(permutation, trace.length - 1, key, output, field, feedForward);
+}
+
+// Replays the Fiat-Shamir transcript of a proof body: the composition weights,
+// the FRI folding challenges, the grinding check and the query indices.
+function replayTranscript(proofBody, layout, transcript, field) {
+    const { trace_root: traceRoot, fri } = proofBody;
+    transcript.absorb('trace_root', traceRoot).absorb('mask_root', fri.mask_root);
+    const alphas = {
+        transition: transcript.squeeze('alpha_transition'),
+        boundary: transcript.squeeze('alpha_boundary')
+    };
+    const betas = [transcript.squeeze('fri_beta[0]')];
+    fri.layer_roots.forEach((layerRoot, i) => {
+        transcript.absorb(`fri_layer_root[${i + 1}]`, layerRoot);
+        betas.push(transcript.squeeze(`fri_beta[${i + 1}]`));
+    });
+    const finalValue = BigInt(fri.final_value);
+    const grindingSeed = transcript.absorb('fri_final_value', finalValue).squeeze('grinding_seed');
+    const powNonce = BigInt(fri.pow_nonce);
+    const grindingValid = checkGrinding(grindingSeed, powNonce, layout.grindingBits, field);
+    const indices = transcript.absorb('pow_nonce', powNonce).squeezeIndices('query', layout.queries, layout.ldeSize / 2);
+    return { alphas, betas, finalValue, grindingValid, indices };
+}
+
+/**
+ * Verifies the STARK proof body produced by proveAir for a trace satisfying `air`.
+ * `params` must be complete (see ProofParams.checkProofParams) with `rounds` equal to
+ * air.steps; the caller decides whether they are strong enough.
+ * `transcript` must have absorbed the same public inputs as the prover's.
+ * Returns { success: true } or { success: false, code, error } with code from CommonZK.ERROR_CODES.
+ */
+function verifyAir(air, proofBody, { params, field = DEFAULT_FIELD, transcript = new Transcript(field), hash = DEFAULT_MERKLE_HASH }) {
+    const p = field.modulus;
+    const layout = starkLayout(params, field, air);
+    const M = layout.ldeSize;
+    const { trace_root: traceRoot, trace_queries: traceQueries, fri } = proofBody;
+    const hasher = getMerkleHash(hash);
+
+    if (!fri || !Array.isArray(fri.layer_roots) || fri.layer_roots.length !== layout.friRounds - 1) {
+        return { success: false, code: CommonZK.ERROR_CODES.SCHEMA_INVALID, error: "Invalid Proof: FRI layer commitments are missing or have the wrong depth." };
+    }
+
+    if (fri.mask_root === undefined) {
+        return { success: false, code: CommonZK.ERROR_CODES.SCHEMA_INVALID, error: "Invalid Proof: The masking polynomial commitment is missing." };
+    }
+
+    if (![traceRoot, fri.mask_root, ...fri.layer_roots].every(root => hasher.isDigest(root, field))) {
+        return { success: false, code: CommonZK.ERROR_CODES.COMMITMENT_INVALID, error: `Invalid Proof: Commitments are not ${hasher.id} digests.` };
+    }
+
+    if (fri.pow_nonce === undefined || BigInt(fri.pow_nonce) >= p) {
+        return { success: false, code: CommonZK.ERROR_CODES.SCHEMA_INVALID, error: "Invalid Proof: The grinding nonce is missing or not a field element." };
+    }
+    const { alphas, betas, finalValue, grindingValid, indices } = replayTranscript(proofBody, layout, transcript, field);
+    if (!grindingValid) {
+        return { success: false, code: CommonZK.ERROR_CODES.GRINDING_INVALID, error: `Invalid Proof: The grinding nonce does not reach ${layout.grindingBits} bits of work.` };
+    }
+
+    // Check every multi-opening against its commitment up front
+    const traceOpen = readSalted(traceRoot, M, traceQueries, air.width, field, hasher);
+    if (!traceOpen) return { success: false, code: CommonZK.ERROR_CODES.MERKLE_PATH_INVALID, error: "Merkle Proof failed for the trace openings (Tampered Data)" };
+    const maskOpen = readSalted(fri.mask_root, M, fri.mask_queries, 1, field, hasher);
+    if (!maskOpen) return { success: false, code: CommonZK.ERROR_CODES.MERKLE_PATH_INVALID, error: "Merkle Proof failed for the mask openings (Tampered Data)" };
+    if (!Array.isArray(fri.layer_queries) || fri.layer_queries.length !== fri.layer_roots.length) {
+        return { success: false, code: CommonZK.ERROR_CODES.SCHEMA_INVALID, error: "Invalid Proof: FRI layer openings are missing." };
+    }
+    const layerOpen = [];
+    for (let i = 0; i < fri.layer_roots.length; i++) {
+        const opened = readSalted(fri.layer_roots[i], M >> (i + 2), fri.layer_queries[i], 2, field, hasher);
+        if (!opened) return { success: false, code: CommonZK.ERROR_CODES.MERKLE_PATH_INVALID, error: `Merkle Proof failed for FRI layer ${i + 1} (Tampered Data)` };
+        layerOpen.push(opened);
+    }
+
+    const pubPolys = publicColumnPolynomials(layout, field);
+    const periodicPolys = periodicColumnPolynomials(layout, field);
+
+    // Looks up the trace and the mask at LDE position idx and returns CP(x) + MASK(x) there
+    const compositionAt = (idx) => {
+        const nextIdx = (idx + layout.blowup) % M;
+        for (const required of [idx, nextIdx]) {
+            if (!traceOpen.has(required)) return { code: CommonZK.ERROR_CODES.FS_QUERY_MISSING, error: `Invalid Proof: Missing required Fiat-Shamir query for index ${required}.` };
+        }
+        if (!maskOpen.has(idx)) return { code: CommonZK.ERROR_CODES.FS_QUERY_MISSING, error: `Invalid Proof: Missing required Fiat-Shamir query for index ${idx}.` };
+
+        const tx = traceOpen.get(idx);
+        const twx = traceOpen.get(nextIdx);
+        const [mx] = maskOpen.get(idx);
+        const x = layout.offset * field.pow(layout.ldeRoot, BigInt(idx)) % p;
+        const pub = pubPolys.map(poly => poly.evaluate(x));
+        const periodic = periodicPolys.map(({ poly, exponent }) => poly.evaluate(field.pow(x, BigInt(exponent))));
+        return { value: (airComposition(x, tx, twx, pub, periodic, alphas, layout, field) + mx) % p };
+    };
+
+    for (const j of indices) {
+        const left = compositionAt(j);
+        if (left.error) return { success: false, code: left.code, error: left.error };
+        const right = compositionAt(j + M / 2);
+        if (right.error) return { success: false, code: right.code, error: right.error };
+
+        // Fold layer 0 (recomputed from the trace) and walk down the committed layers
+        let x = layout.offset * field.pow(layout.ldeRoot, BigInt(j)) % p;
+        let folded = friFold(left.value, right.value, betas[0], x, field);
+        let idx = j;
+        let layerSize = M / 2;
+        let offset = layout.offset * layout.offset % p;
+        let root = layout.ldeRoot * layout.ldeRoot % p;
+
+        for (let i = 0; i < fri.layer_roots.length; i++) {
+            const half = layerSize / 2;
+            const t = idx % half;
+            if (!layerOpen[i].has(t)) {
+                return { success: false, code: CommonZK.ERROR_CODES.FS_QUERY_MISSING, error: `Invalid Proof: Missing FRI openings for query ${j}.` };
+            }
+            const [a, b] = layerOpen[i].get(t);
+
+            if ((idx < half ? a : b) !== folded) {
+                return { success: false, code: CommonZK.ERROR_CODES.FRI_FOLD_MISMATCH, error: `FRI Consistency Failed: layer ${i + 1} does not match the fold at query ${j}.` };
+            }
+
+            x = offset * field.pow(root, BigInt(t)) % p;
+            folded = friFold(a, b, betas[i + 1], x, field);
+            idx = t;
+            layerSize = half;
+            offset = offset * offset % p;
+            root = root * root % p;
+        }
+
+        if (folded !== finalValue) {
+            return { success: false, code: CommonZK.ERROR_CODES.LOW_DEGREE_TEST_FAILED, error: `FRI Low-Degree Test Failed at query ${j}: the trace does not satisfy the constraints.` };
+        }
+    }
+
+    return { success: true };
+}
+
+/**
+ * verifyAir for a trace of `params.rounds` MiMC transitions (or `permutation` rounds) under
+ * `key` that ends at `output`, as built by proveMimcTrace with the same `feedForward`.
+ */
+function verifyMimcTrace(proofBody, options) {
+    const { params, key = 0n, output, field = DEFAULT_FIELD, permutation = DEFAULT_TRACE_PERMUTATION, feedForward = false } = options;
+    return verifyAir(tracePermutationAir(permutation, params.rounds, key, output, field, feedForward), proofBody, options);
+}
+
+/**
+ * Compares the wire size of a proof body with multi-openings against the older
+ * encoding that carried a full Merkle path with every opened value:
+ *   trace_queries: [{ index, value, salt, path, next_value, next_salt, next_path, mask_value, mask_salt, mask_path }]
+ *   fri.queries:   [{ index, layers: [{ values, salt, path }] }]
+ * Sizes are JSON bytes. Takes the same options as verifyMimcTrace.
+ */
+function mimcProofSizeReport(proofBody, { params, field = DEFAULT_FIELD, transcript = new Transcript(field), hash = DEFAULT_MERKLE_HASH, permutation = DEFAULT_TRACE_PERMUTATION, feedForward = false }) {
+    const layout = starkLayout(params, field, tracePermutationAir(permutation, params.rounds, 0n, 0n, field, feedForward));
+    const M = layout.ldeSize;
+    const { indices } = replayTranscript(proofBody, layout, transcript, field);
+    const { trace_queries: traceQueries, fri } = proofBody;
+
+    // Per-leaf { values, salt, path } from a multi-opening
+    const expand = (multi, size) => {
+        const leaves = multi.openings.map(o => [o.index, o.values.concat([o.salt]).map(BigInt)]);
+        const paths = MerkleTree.expandMultiProof(size, leaves, multi.nodes, field, hash);
+        if (!paths) throw new Error("Cannot expand an invalid multi-opening");
+        return new Map(multi.openings.map(o => [o.index, { values: o.values, salt: o.salt, path: paths.get(o.index) }]));
+    };
+    const trace = expand(traceQueries, M);
+    const mask = expand(fri.mask_queries, M);
+    const layers = fri.layer_queries.map((multi, i) => expand(multi, M >> (i + 2)));
+
+    const legacyTrace = [];
+    const legacyFri = [];
+    for (const j of indices) {
+        for (const idx of [j, j + M / 2]) {
+            const here = trace.get(idx);
+            const next = trace.get((idx + layout.blowup) % M);
+            const m = mask.get(idx);
+            // The old encoding had one value per leaf; wider traces keep their rows
+            const value = (o) => (o.values.length === 1 ? o.values[0] : o.values);
+            legacyTrace.push({
+                index: idx, value: value(here), salt: here.salt, path: here.path,
+                next_value: value(next), next_salt: next.salt, next_path: next.path,
+                mask_value: value(m), mask_salt: m.salt, mask_path: m.path
+            });
+        }
+        let t = j;
+        const openings = layers.map((layer, i) => {
+            t = t % (M >> (i + 2));
+            const o = layer.get(t);
+            return { values: o.values, salt: o.salt, path: o.path };
+        });
+        legacyFri.push({ index: j, layers: openings });
+    }
+
+    const { mask_queries, layer_queries, ...friCommitments } = fri;
+    const legacy = { ...proofBody, trace_queries: legacyTrace, fri: { ...friCommitments, queries: legacyFri } };
+    const bytes = (obj) => JSON.stringify(obj).length;
+    const multiBytes = bytes(proofBody);
+    const legacyBytes = bytes(legacy);
+
+    return {
+        queries: indices.length,
+        opened_leaves: trace.size + mask.size + layers.reduce((n, l) => n + l.size, 0),
+        multi_bytes: multiBytes,
+        legacy_bytes: legacyBytes,
+        saved_bytes: legacyBytes - multiBytes,
+        saved_percent: Math.round(1000 * (legacyBytes - multiBytes) / legacyBytes) / 10
+    };
+}
+
+/**
+ * Describes a proof body for `air` without checking it: the domain sizes, the query
+ * indices the Fiat-Shamir transcript derives, and for every commitment its root, the
+ * depth of its Merkle paths and how much of it is opened. Takes the same options as
+ * verifyAir; `transcript` must have absorbed the proof's public inputs.
+ */
+function starkProofSummary(air, proofBody, { params, field = DEFAULT_FIELD, transcript = new Transcript(field) }) {
+    const layout = starkLayout(params, field, air);
+    const M = layout.ldeSize;
+    const { grindingValid, indices } = replayTranscript(proofBody, layout, transcript, field);
+    const { trace_root: traceRoot, trace_queries: traceQueries, fri } = proofBody;
+
+    const commitment = (name, root, size, multi) => ({
+        name,
+        root,
+        leaves: size,
+        path_depth: Math.log2(size),
+        opened_leaves: multi.openings.length,
+        nodes: multi.nodes.length
+    });
+
+    return {
+        trace_length: layout.traceLength,
+        lde_size: M,
+        grinding_valid: grindingValid,
+        query_indices: indices,
+        commitments: [
+            commitment('trace', traceRoot, M, traceQueries),
+            commitment('mask', fri.mask_root, M, fri.mask_queries),
+            ...fri.layer_queries.map((multi, i) => commitment(`fri_layer[${i + 1}]`, fri.layer_roots[i], M >> (i + 2), multi))
+        ]
+    };
 }
 
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        PrimeField,
+        FIELDS,
+        DEFAULT_FIELD,
+        getField,
         FieldElement,
         FIELD_MODULUS,
-        mimcHash,
+        FIELD_GENERATOR,
+        MiMC,
+        stringToField,
         MerkleTree,
-        generateFiatShamirQueries
+        Transcript,
+        TRANSCRIPT_PROTOCOL,
+        TRANSCRIPT_HASHES,
+        DEFAULT_TRANSCRIPT_HASH,
+        Poseidon,
+        TRACE_PERMUTATIONS,
+        DEFAULT_TRACE_PERMUTATION,
+        getTracePermutation,
+        permutationAir,
+        feedForwardTrace,
+        Polynomial,
+        ntt,
+        inverseNtt,
+        cosetNtt,
+        inverseCosetNtt,
+        rootsOfUnity,
+        cosetDomain,
+        batchInverse,
+        randomFieldElement,
+        MERKLE_HASHES,
+        DEFAULT_MERKLE_HASH,
+        getMerkleHash,
+        proveAir,
+        proveAirAsync,
+        verifyAir,
+        proveMimcTrace,
+        proveMimcTraceAsync,
+        grind,
+        checkGrinding,
+        verifyMimcTrace,
+        mimcProofSizeReport,
+        starkProofSummary
     };
 }
 
 if (typeof window !== 'undefined') {
     window.StarkMath = {
+        PrimeField,
+        FIELDS,
+        DEFAULT_FIELD,
+        getField,
         FieldElement,
         FIELD_MODULUS,
-        mimcHash,
+        FIELD_GENERATOR,
+        MiMC,
+        stringToField,
         MerkleTree,
-        generateFiatShamirQueries
+        Transcript,
+        TRANSCRIPT_PROTOCOL,
+        TRANSCRIPT_HASHES,
+        DEFAULT_TRANSCRIPT_HASH,
+        Poseidon,
+        TRACE_PERMUTATIONS,
+        DEFAULT_TRACE_PERMUTATION,
+        getTracePermutation,
+        permutationAir,
+        feedForwardTrace,
+        Polynomial,
+        ntt,
+        inverseNtt,
+        cosetNtt,
+        inverseCosetNtt,
+        rootsOfUnity,
+        cosetDomain,
+        batchInverse,
+        randomFieldElement,
+        MERKLE_HASHES,
+        DEFAULT_MERKLE_HASH,
+        getMerkleHash,
+        proveAir,
+        proveAirAsync,
+        verifyAir,
+        proveMimcTrace,
+        proveMimcTraceAsync,
+        grind,
+        checkGrinding,
+        verifyMimcTrace,
+        mimcProofSizeReport,
+        starkProofSummary
     };
 }
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerAir, getAir, AIRS } = require('../air');
+const ProofCodec = require('../codec');
+const { ERROR_CODES } = require('../common');
+const { prover, verifier, clone } = require('./helpers');
+
+const STEPS = 32;
+
+// A third-party statement: "I know the STEPS-th Fibonacci-style successor of (a, b)"
+const fibonacci = {
+    proofType: 'test-fibonacci',
+    publicInputs: { result: 'decimal' },
+    buildTrace({ a, b }, { field }) {
+        const trace = [[field.mod(a), field.mod(b)]];
+        for (let i = 0; i < STEPS; i++) {
+            const [x, y] = trace[i];
+            trace.push([y, field.add(x, y)]);
+        }
+        return { trace, publicInputs: { result: trace[STEPS][1].toString() } };
+    },
+    air: (pi, { field }) => ({
+        id: 'fibonacci',
+        width: 2,
+        steps: STEPS,
+        constraintDegree: 1,
+        transition: ([x, y], [x2, y2]) => [field.sub(x2, y), field.sub(y2, field.add(x, y))],
+        boundaries: [{ row: STEPS, column: 1, value: BigInt(pi.result) }]
+    }),
+    check: (pi) => (pi.result === '0' ? { code: ERROR_CODES.BOUNDARY_MISMATCH, error: "Zero is not an interesting result." } : null),
+    accept: (pi) => ({ message: `Fibonacci result ${pi.result} proven.` })
+};
+
+test('a registered statement is proven and verified through the generic paths', async () => {
+    const definition = registerAir(fibonacci);
+    assert.equal(getAir('test-fibonacci'), definition);
+    assert.ok(Object.isFrozen(definition));
+
+    const proof = await prover().prove('test-fibonacci', { a: 1n, b: 1n });
+    assert.equal(proof.public_inputs.proof_params.rounds, STEPS);
+    const result = verifier().verify(proof);
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.message, `Fibonacci result ${proof.public_inputs.result} proven.`);
+    // A proof type without a wire id survives the codec by name
+    assert.deepEqual(ProofCodec.decode(ProofCodec.encode(proof)), proof);
+
+    const wrong = clone(proof);
+    wrong.public_inputs.result = (BigInt(wrong.public_inputs.result) + 1n).toString();
+    assert.equal(verifier().verify(wrong).success, false);
+    wrong.public_inputs.result = '0';
+    assert.equal(verifier().verify(wrong).code, ERROR_CODES.BOUNDARY_MISMATCH);
+
+    assert.equal(verifier({ proofTypes: ['zk-stark-knowledge-proof'] }).verify(proof).code, ERROR_CODES.PROOF_TYPE_UNKNOWN);
+});
+
+test('malformed or duplicate definitions are refused', () => {
+    const hooks = { buildTrace: () => null, air: () => null, accept: () => null };
+    assert.throws(() => registerAir({ ...hooks, proofType: 'zk-stark-knowledge-proof', publicInputs: {} }), /already registered/);
+    assert.throws(() => registerAir({ ...hooks, publicInputs: {} }), /needs a proofType/);
+    assert.throws(() => registerAir({ ...hooks, proofType: 'x' }), /must declare its publicInputs/);
+    assert.throws(() => registerAir({ ...hooks, proofType: 'x', publicInputs: { trace_root: 'hex' } }), /common to every proof/);
+    assert.throws(() => registerAir({ ...hooks, proofType: 'x', publicInputs: { n: 'number' } }), /must be one of string, decimal, hex/);
+    assert.throws(() => registerAir({ ...hooks, proofType: 'x', publicInputs: { nonce: 'string' }, challenge: true }), /need 'nonce' and 'username'/);
+    assert.throws(() => registerAir({ ...hooks, accept: undefined, proofType: 'x', publicInputs: {} }), /has no accept function/);
+    assert.equal(Object.prototype.hasOwnProperty.call(AIRS, 'x'), false);
+    assert.throws(() => getAir('x'), /Unknown proof type: x/);
+});
@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryNonceStore, MemoryUserStore, MiMC, AirRegistry, nodeBackend } = require('..');
+const { feedForwardTrace, proveAirAsync, Transcript, TRANSCRIPT_PROTOCOL } = require('../stark-math');
+const { ERROR_CODES } = require('../common');
+const { prover, verifier } = require('./helpers');
+
+// Knowledge proofs run on the default field, as the demo server's do
+const p = prover({ field: 'stark252', backend: nodeBackend() });
+
+function setup() {
+    const nonceStore = new MemoryNonceStore();
+    const userStore = new MemoryUserStore();
+    return { nonceStore, userStore, v: verifier({ nonceStore, userStore }) };
+}
+
+async function registered(password = 'correct horse') {
+    const ctx = setup();
+    const registration = await p.generateRegistration(password, ctx.nonceStore.issue('dave').nonce, 'dave');
+    assert.equal(ctx.v.verifyRegistration(registration).success, true);
+    return ctx;
+}
+
+const login = async ({ nonceStore, userStore }, password) => p.generateAuthProof(password, nonceStore.issue('dave').nonce, 'dave', userStore.get('dave'));
+
+test('register, then log in with the same password', async () => {
+    const ctx = await registered();
+    const result = ctx.v.verifyLogin(await login(ctx, 'correct horse'));
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.username, 'dave');
+});
+
+test('a wrong password is a credential mismatch', async () => {
+    const ctx = await registered();
+    assert.equal(ctx.v.verifyLogin(await login(ctx, 'battery staple')).code, ERROR_CODES.CREDENTIAL_MISMATCH);
+});
+
+test('a login proof cannot be replayed', async () => {
+    const ctx = await registered();
+    const proof = await login(ctx, 'correct horse');
+    assert.equal(ctx.v.verifyLogin(proof).success, true);
+    assert.equal(ctx.v.verifyLogin(proof).code, ERROR_CODES.CHALLENGE_REJECTED);
+});
+
+test('a registration cannot take an existing username', async () => {
+    const ctx = await registered();
+    const again = await p.generateRegistration('other', ctx.nonceStore.issue('dave').nonce, 'dave');
+    assert.equal(ctx.v.verifyRegistration(again).code, ERROR_CODES.USERNAME_TAKEN);
+});
+
+test('a login must use the field, permutation and hashes the account was registered with', async () => {
+    const ctx = await registered();
+    const account = ctx.userStore.get('dave');
+    const { field, permutation, merkle_hash, transcript_hash } = account.proof_config;
+    assert.deepEqual({ field, permutation, merkle_hash, transcript_hash }, {
+        field: 'stark252', permutation: p.permutation.id, merkle_hash: p.merkleHash, transcript_hash: p.transcriptHash
+    });
+
+    // The right password, proven in goldilocks, where the same H gives another V
+    const elsewhere = prover({ backend: nodeBackend() });
+    const proof = await elsewhere.generateAuthProof('correct horse', ctx.nonceStore.issue('dave').nonce, 'dave', account);
+    const result = ctx.v.verifyLogin(proof);
+    assert.equal(result.code, ERROR_CODES.CREDENTIAL_MISMATCH);
+    assert.match(result.error, /registered with field 'stark252', not 'goldilocks'/);
+
+    // Accounts stored without one cannot log in at all
+    ctx.userStore.records.get('dave').proof_config = undefined;
+    const legacy = ctx.v.verifyLogin(await login(ctx, 'correct horse'));
+    assert.equal(legacy.code, ERROR_CODES.CREDENTIAL_MISMATCH);
+    assert.match(legacy.error, /no recorded proof configuration/);
+});
+
+function inverseMod(a, m) {
+    let [r0, r1, s0, s1] = [a, m, 1n, 0n];
+    while (r1) {
+        const q = r0 / r1;
+        [r0, r1, s0, s1] = [r1, r0 - q * r1, s1, s0 - q * s1];
+    }
+    return ((s0 % m) + m) % m;
+}
+
+// ZKProver.prove for a trace of our choosing instead of one built from a secret string
+async function proveKnowledge(trace, statement) {
+    const { field, permutation } = p;
+    const proofType = 'zk-stark-knowledge-proof';
+    const air = AirRegistry.getAir(proofType).air(statement, { field, permutation });
+    const publicInputs = {
+        field: field.name,
+        merkle_hash: p.merkleHash,
+        permutation: permutation.id,
+        transcript_hash: p.transcriptHash,
+        proof_params: { ...p.params, rounds: air.steps },
+        ...statement
+    };
+    const transcript = new Transcript(field, TRANSCRIPT_PROTOCOL, p.transcriptHash).absorbPublicInputs(proofType, publicInputs);
+    const stark = await proveAirAsync(air, trace, { field, transcript, hash: p.merkleHash, params: publicInputs.proof_params });
+    return { proof_type: proofType, public_inputs: { ...publicInputs, trace_root: stark.trace_root }, trace_queries: stark.trace_queries, fri: stark.fri };
+}
+
+// Regression: V used to be MiMC(H). With a public key and public constants every MiMC
+// round can be undone, so anyone could compute a preimage of V and prove knowledge of it.
+test('a preimage computed from V alone does not log in', async (t) => {
+    const ctx = await registered();
+    const V = BigInt(ctx.userStore.get('dave').verifier);
+    const { field, permutation } = p;
+
+    // Undo the rounds x -> (x + c)^3 with the cube root x -> x^(3^-1 mod p-1)
+    const cubeRoot = inverseMod(3n, field.modulus - 1n);
+    const mimc = new MiMC({ field, rounds: permutation.rounds });
+    let x = V;
+    for (let i = permutation.rounds - 1; i >= 0; i--) {
+        x = field.sub(field.pow(x, cubeRoot), mimc.constants[i]);
+    }
+    // The inversion works: x is a MiMC preimage of V ...
+    assert.equal(mimc.permute(x, 0n), V);
+    const trace = feedForwardTrace(permutation, x, 0n, field);
+
+    // ... but the trace of x is fed forward, so it cannot claim V ...
+    const nonce = ctx.nonceStore.issue('dave').nonce;
+    await assert.rejects(proveKnowledge(trace, { username: 'dave', nonce, public_output: V.toString() }), /does not satisfy/);
+
+    // ... and what it does prove is MiMC(x) + x, which is not V
+    const output = trace[trace.length - 1][trace[0].length - 1];
+    assert.notEqual(output, V);
+    const honest = await proveKnowledge(trace, { username: 'dave', nonce, public_output: output.toString() });
+    assert.equal(ctx.v.verifyLogin(honest).code, ERROR_CODES.CREDENTIAL_MISMATCH);
+});
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { prover, verifier } = require('./helpers');
+
+// Knowledge proofs are randomized: the same secret and challenge never give the same proof
+test('two proofs of the same secret share only the public output', async () => {
+    const p = prover();
+    const [a, b] = [await p.generateKnowledgeProof('secret-H', 'nonce', 'alice'), await p.generateKnowledgeProof('secret-H', 'nonce', 'alice')];
+
+    assert.equal(a.public_inputs.public_output, b.public_inputs.public_output);
+    assert.notEqual(a.public_inputs.trace_root, b.public_inputs.trace_root);
+    assert.notEqual(a.fri.mask_root, b.fri.mask_root);
+    assert.notDeepEqual(a.trace_queries.openings[0].values, b.trace_queries.openings[0].values);
+    assert.notEqual(a.trace_queries.openings[0].salt, b.trace_queries.openings[0].salt);
+
+    const v = verifier();
+    assert.equal(v.verify(a).success, true);
+    assert.equal(v.verify(b).success, true);
+});
+
+test('another secret gives another public output', async () => {
+    const p = prover();
+    const a = await p.generateKnowledgeProof('secret-H', 'nonce', 'alice');
+    const b = await p.generateKnowledgeProof('secret-H2', 'nonce', 'alice');
+    assert.notEqual(a.public_inputs.public_output, b.public_inputs.public_output);
+});
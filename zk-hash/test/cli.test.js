@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const ZKVerifier = require('../verifier');
+const ProofCodec = require('../codec');
+const { EXIT_CODES, main } = require('../cli');
+const { ERROR_CODES } = require('../common');
+const { prover, clone } = require('./helpers');
+
+// Parameters that meet the verifier's default security policy, which the CLI uses
+const DEFAULT_POLICY_PARAMS = { queries: 24, blowup: 16 };
+
+// Runs main with stdout and stderr captured; resolves to { code, stdout }
+async function runMain(t, argv) {
+    let stdout = '';
+    t.mock.method(process.stdout, 'write', (chunk) => { stdout += chunk; return true; });
+    t.mock.method(console, 'error', () => {});
+    try {
+        return { code: await main(argv), stdout };
+    } finally {
+        process.stdout.write.mock.restore();
+        console.error.mock.restore();
+    }
+}
+
+function tempFile(t, name, data) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zk-hash-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, data);
+    return file;
+}
+
+let proofPromise;
+function validProof() {
+    proofPromise = proofPromise || prover({ params: DEFAULT_POLICY_PARAMS }).generateProof('password', 'mimc-stark', {});
+    return proofPromise.then(clone);
+}
+
+test('verify exits OK for an accepted proof in every encoding', async (t) => {
+    const proof = await validProof();
+    for (const [name, data] of [
+        ['proof.json', JSON.stringify(proof)],
+        ['proof.bin', Buffer.from(ProofCodec.encode(proof))],
+        ['proof.hex', ProofCodec.encodeHex(proof) + '\n'],
+        ['proof.b64', ProofCodec.encodeBase64url(proof)]
+    ]) {
+        const { code, stdout } = await runMain(t, ['verify', tempFile(t, name, data)]);
+        assert.equal(code, EXIT_CODES.OK, name);
+        assert.equal(JSON.parse(stdout).success, true, name);
+    }
+});
+
+test('verify exits REJECTED for a tampered proof, a weak proof and garbage', async (t) => {
+    const tampered = await validProof();
+    tampered.public_inputs.mimc_output = (BigInt(tampered.public_inputs.mimc_output) + 1n).toString();
+    let run = await runMain(t, ['verify', tempFile(t, 'tampered.json', JSON.stringify(tampered))]);
+    assert.equal(run.code, EXIT_CODES.REJECTED);
+    assert.equal(JSON.parse(run.stdout).success, false);
+
+    // Accepted by the default policy, refused once the CLI raises it
+    const proof = await validProof();
+    run = await runMain(t, ['verify', '--min-security-bits', '200', tempFile(t, 'proof.json', JSON.stringify(proof))]);
+    assert.equal(run.code, EXIT_CODES.REJECTED);
+    assert.equal(JSON.parse(run.stdout).code, ERROR_CODES.SECURITY_POLICY_VIOLATION);
+
+    for (const garbage of ['not a proof at all', '{"truncated": ', 'zz!!']) {
+        run = await runMain(t, ['verify', tempFile(t, 'garbage', garbage)]);
+        assert.equal(run.code, EXIT_CODES.REJECTED, garbage);
+        assert.equal(JSON.parse(run.stdout).code, ERROR_CODES.PROOF_ENCODING_INVALID, garbage);
+    }
+});
+
+test('verify exits INTERNAL_ERROR when the verifier fails', async (t) => {
+    const file = tempFile(t, 'proof.json', JSON.stringify(await validProof()));
+    t.mock.method(ZKVerifier.prototype, 'resolveMerkleHash', () => { throw new Error('boom'); });
+    const { code, stdout } = await runMain(t, ['verify', file]);
+    assert.equal(code, EXIT_CODES.INTERNAL_ERROR);
+    assert.equal(JSON.parse(stdout).code, ERROR_CODES.INTERNAL_ERROR);
+});
+
+test('usage errors exit USAGE or reject before any proof is read', async (t) => {
+    assert.equal((await runMain(t, [])).code, EXIT_CODES.USAGE);
+    assert.equal((await runMain(t, ['--help'])).code, EXIT_CODES.OK);
+
+    const missing = path.join(os.tmpdir(), 'zk-hash-cli-missing', 'proof.json');
+    for (const argv of [
+        ['frobnicate'],
+        ['verify'],
+        ['verify', 'a.json', 'b.json'],
+        ['verify', missing],
+        ['verify', '--min-security-bits', 'lots', 'a.json'],
+        ['inspect', '--format', 'yaml', 'a.json'],
+        ['prove'],
+        ['prove', '--algorithm', 'md5'],
+        ['auth-prove', '--nonce', 'n']
+    ]) {
+        await assert.rejects(runMain(t, argv), (e) => e.constructor.name === 'UsageError', argv.join(' '));
+    }
+    // parseArgs' own errors, which run() also maps to USAGE
+    await assert.rejects(runMain(t, ['verify', '--bogus', 'a.json']), { code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION' });
+});
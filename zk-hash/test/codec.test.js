@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ProofCodec = require('../codec');
+const { ZK_PROOF_PREFIX, ERROR_CODES } = require('../common');
+const { prover, verifier } = require('./helpers');
+
+const HEADER = ZK_PROOF_PREFIX.length; // Magic, then the version byte and the type byte
+
+let proofs;
+const fixtures = async () => {
+    if (!proofs) {
+        const p = prover();
+        proofs = [await p.generateProof('hunter2', 'mimc-stark'), await p.generateKnowledgeProof('secret-H', 'nonce', 'alice')];
+    }
+    return proofs;
+};
+
+test('proofs round-trip through binary, hex and base64url', async () => {
+    const v = verifier();
+    for (const proof of await fixtures()) {
+        const bytes = ProofCodec.encode(proof);
+        assert.deepEqual(ProofCodec.decode(bytes), proof);
+        assert.deepEqual(ProofCodec.decodeHex(ProofCodec.encodeHex(proof)), proof);
+        assert.deepEqual(ProofCodec.decodeBase64url(ProofCodec.encodeBase64url(proof)), proof);
+        assert.ok(bytes.length < JSON.stringify(proof).length / 2);
+        assert.equal(v.verify(ProofCodec.decode(bytes)).success, true);
+    }
+});
+
+test('every kind of value and a named proof type round-trip', () => {
+    const proof = {
+        proof_type: 'third-party-air',
+        values: [null, true, false, 0, 127, 128, 2 ** 40, -1, 1.5, '0', '123456789012345678901234567890', 'abcdef', 'ABCDEF', '', 'José'],
+        nested: { empty: {}, list: [] }
+    };
+    assert.deepEqual(ProofCodec.decode(ProofCodec.encode(proof)), proof);
+});
+
+test('malformed bytes are rejected', async () => {
+    const [proof] = await fixtures();
+    const bytes = ProofCodec.encode(proof);
+    const patched = (index, value) => { const copy = bytes.slice(); copy[index] = value; return copy; };
+
+    assert.throws(() => ProofCodec.decode(new Uint8Array(0)), /missing .* header/);
+    assert.throws(() => ProofCodec.decode(patched(0, 0x41)), /missing .* header/);
+    assert.throws(() => ProofCodec.decode(patched(HEADER, ProofCodec.FORMAT_VERSION + 1)), /Unsupported proof format version/);
+    assert.throws(() => ProofCodec.decode(patched(HEADER + 1, 200)), /Unknown proof type id 200/);
+    assert.throws(() => ProofCodec.decode(Uint8Array.of(...bytes, 0)), /Trailing bytes/);
+    for (const length of [HEADER, HEADER + 2, HEADER + 3, 100, bytes.length >> 1, bytes.length - 1]) {
+        assert.throws(() => ProofCodec.decode(bytes.subarray(0, length)), Error, `truncated to ${length} bytes`);
+    }
+    assert.throws(() => ProofCodec.decodeHex('zz'), /Invalid hex proof/);
+    assert.throws(() => ProofCodec.decodeHex('abc'), /Invalid hex proof/);
+    assert.throws(() => ProofCodec.decodeBase64url('a+b/'), /Invalid base64url proof/);
+});
+
+test('flipped bytes never decode into a proof that verifies', async () => {
+    const [proof] = await fixtures();
+    const bytes = ProofCodec.encode(proof);
+    const v = verifier();
+    for (let i = HEADER + 2; i < bytes.length; i += Math.floor(bytes.length / 25)) {
+        const copy = bytes.slice();
+        copy[i] ^= 0x01;
+        let decoded;
+        try {
+            decoded = ProofCodec.decode(copy);
+        } catch (e) {
+            continue; // Rejected by the codec
+        }
+        const result = v.verify(decoded);
+        assert.equal(result.success, false, `byte ${i}`);
+        assert.notEqual(result.code, ERROR_CODES.INTERNAL_ERROR, `byte ${i}: ${result.error}`);
+    }
+});
+
+test('values it cannot represent are refused when encoding', () => {
+    assert.throws(() => ProofCodec.encode(null), /must be an object/);
+    assert.throws(() => ProofCodec.encode({ values: [] }), /no proof_type/);
+    assert.throws(() => ProofCodec.encode({ proof_type: 'x', f: () => 1 }), /Cannot encode/);
+    assert.throws(() => ProofCodec.encode({ proof_type: 'x', n: -1n }), /negative BigInt/);
+});
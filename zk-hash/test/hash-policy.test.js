@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_HASH_POLICY, parseHash, checkHashPolicy } = require('../hash-policy');
+const { MemoryNonceStore, MemoryUserStore } = require('..');
+const { ERROR_CODES } = require('../common');
+const { prover, verifier } = require('./helpers');
+
+// 16 bytes of salt and 32 of hash, unpadded base64
+const SALT = 'A'.repeat(22);
+const HASH = 'B'.repeat(43);
+const argon2 = ({ m = 19456, t = 2, p = 1 } = {}) => `$argon2id$v=19$m=${m},t=${t},p=${p}$${SALT}$${HASH}`;
+const bcrypt = (cost) => `$2b$${String(cost).padStart(2, '0')}$${'C'.repeat(53)}`;
+
+const policyCode = (encoded) => {
+    const parsed = parseHash(encoded);
+    assert.equal(parsed.ok, true, parsed.error);
+    const rejected = checkHashPolicy(parsed.hash);
+    return rejected ? rejected.code : null;
+};
+
+test('PHC and modular crypt strings are parsed into one description', () => {
+    assert.deepEqual(parseHash(argon2()).hash, {
+        scheme: 'argon2', variant: 'argon2id', version: 19, memory: 19456, iterations: 2, parallelism: 1, saltLength: 16, hashLength: 32
+    });
+    assert.deepEqual(parseHash(bcrypt(12)).hash, { scheme: 'bcrypt', variant: '2b', cost: 12, saltLength: 16, hashLength: 23 });
+    for (const bad of ['', 'plain', '$argon2id$v=19$m=1,t=1$salt$hash', `$argon2x$v=19$m=1,t=1,p=1$${SALT}$${HASH}`, '$2b$10$short']) {
+        assert.equal(parseHash(bad).ok, false, bad);
+    }
+});
+
+test('Argon2 and bcrypt parameters above the maximums are HASH_PARAMS_TOO_HIGH', () => {
+    const { maxArgon2Memory, maxArgon2Iterations, maxArgon2Parallelism, maxBcryptCost } = DEFAULT_HASH_POLICY;
+    assert.equal(policyCode(argon2()), null);
+    assert.equal(policyCode(argon2({ m: maxArgon2Memory, t: maxArgon2Iterations, p: maxArgon2Parallelism })), null);
+    assert.equal(policyCode(argon2({ m: maxArgon2Memory + 1 })), ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+    assert.equal(policyCode(argon2({ m: 4194304 })), ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+    assert.equal(policyCode(argon2({ t: maxArgon2Iterations + 1 })), ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+    assert.equal(policyCode(argon2({ p: maxArgon2Parallelism + 1 })), ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+    assert.equal(policyCode(bcrypt(maxBcryptCost)), null);
+    assert.equal(policyCode(bcrypt(maxBcryptCost + 1)), ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+    assert.equal(policyCode(bcrypt(31)), ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+});
+
+test('parameters below the minimums keep their own codes', () => {
+    assert.equal(policyCode(argon2()), null);
+    assert.equal(policyCode(bcrypt(DEFAULT_HASH_POLICY.minBcryptCost)), null);
+    assert.equal(policyCode(argon2({ m: 512 })), ERROR_CODES.HASH_MEMORY_TOO_LOW);
+    assert.equal(policyCode(bcrypt(8)), ERROR_CODES.HASH_COST_TOO_LOW);
+    assert.equal(policyCode(`$argon2i$v=19$m=19456,t=2,p=1$${SALT}$${HASH}`), ERROR_CODES.HASH_VARIANT_REJECTED);
+    assert.equal(policyCode(`$argon2id$v=19$m=19456,t=2,p=1$${'A'.repeat(11)}$${HASH}`), ERROR_CODES.HASH_SALT_TOO_SHORT);
+});
+
+test('a weak claimed hash is refused before the server re-hashes it', async () => {
+    let rehashed = false;
+    const v = verifier({ hashVerifiers: { argon2id: async () => { rehashed = true; return true; } } });
+    // A proof bound to a hash string the client wrote itself; nothing was hashed to make it
+    const proof = await prover().prove('zk-stark-mimc-real', { password: 'hunter2', algorithm: 'argon2id', outputHash: argon2({ m: 512 }) });
+
+    assert.equal(v.verify(proof).code, ERROR_CODES.HASH_MEMORY_TOO_LOW);
+    const opening = await v.verifyHashOpening({ proof, password: 'hunter2' });
+    assert.equal(opening.code, ERROR_CODES.HASH_MEMORY_TOO_LOW);
+    assert.equal(rehashed, false);
+
+    const garbled = await prover().prove('zk-stark-mimc-real', { password: 'hunter2', algorithm: 'argon2id', outputHash: bcrypt(12) });
+    assert.equal(v.verify(garbled).code, ERROR_CODES.HASH_FORMAT_INVALID);
+});
+
+test('a policy can raise or lower the maximums', () => {
+    const hash = parseHash(argon2({ m: 131072 })).hash;
+    assert.equal(checkHashPolicy(hash, { ...DEFAULT_HASH_POLICY, maxArgon2Memory: 262144 }), null);
+    assert.equal(checkHashPolicy(parseHash(argon2()).hash, { ...DEFAULT_HASH_POLICY, maxArgon2Memory: 16384 }).code, ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+});
+
+test('an expensive claimed hash is refused before the server re-hashes it', async () => {
+    let rehashed = false;
+    const v = verifier({ hashVerifiers: { argon2id: async () => { rehashed = true; return true; } } });
+    // A proof bound to a hash string the client wrote itself; nothing was hashed to make it
+    const proof = await prover().prove('zk-stark-mimc-real', { password: 'hunter2', algorithm: 'argon2id', outputHash: argon2({ m: 4194304, t: 10 }) });
+
+    assert.equal(v.verify(proof).code, ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+    const opening = await v.verifyHashOpening({ proof, password: 'hunter2' });
+    assert.equal(opening.code, ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+    assert.equal(rehashed, false);
+});
+
+test('registration refuses Argon2 parameters above the maximums', async () => {
+    const nonceStore = new MemoryNonceStore();
+    const v = verifier({ nonceStore, userStore: new MemoryUserStore() });
+    const proof = await prover().generateKnowledgeProof('secret-H', nonceStore.issue('erin').nonce, 'erin');
+    const request = { username: 'erin', salt: 'f'.repeat(32), params: { time: 2, mem: DEFAULT_HASH_POLICY.maxArgon2Memory * 2, hashLen: 32 }, proof };
+    assert.equal(v.verifyRegistration(request).code, ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+    // Refused before the proof's challenge was spent
+    assert.equal(v.verifyRegistration({ ...request, params: { time: 2, mem: 19456, hashLen: 32 } }).success, true);
+});
+
+test('accepted hashes below the recommended parameters need an upgrade', () => {
+    const v = verifier();
+    assert.deepEqual(v.needsUpgrade(argon2()), { upgrade: false, reasons: [] });
+    assert.equal(v.needsUpgrade(argon2({ m: 4096, t: 1 })).upgrade, true);
+    assert.equal(v.needsUpgrade(bcrypt(10)).upgrade, true);
+    assert.equal(v.needsUpgrade({ salt: 'f'.repeat(32), params: { time: 2, mem: 19456, hashLen: 32 } }).upgrade, false);
+    assert.equal(v.needsUpgrade('not a hash').upgrade, true);
+});
+
+const scrypt = ({ ln = 17, r = 8, p = 1 } = {}) => `$scrypt$ln=${ln},r=${r},p=${p}$${SALT}$${HASH}`;
+const pbkdf2 = (i) => `$pbkdf2-sha256$i=${i}$${SALT}$${HASH}`;
+
+test('scrypt and PBKDF2 parameters below the minimums are refused', () => {
+    assert.equal(policyCode(scrypt()), null);
+    assert.equal(policyCode(scrypt({ ln: DEFAULT_HASH_POLICY.minScryptCost })), null);
+    assert.equal(policyCode(scrypt({ ln: 12 })), ERROR_CODES.HASH_COST_TOO_LOW);
+    assert.equal(policyCode(pbkdf2(DEFAULT_HASH_POLICY.minPbkdf2Iterations)), null);
+    assert.equal(policyCode(pbkdf2(1000)), ERROR_CODES.HASH_ITERATIONS_TOO_LOW);
+});
+
+test('scrypt and PBKDF2 parameters above the maximums are HASH_PARAMS_TOO_HIGH', () => {
+    const { maxScryptCost, maxScryptBlockSize, maxScryptParallelism, maxScryptMemory, maxPbkdf2Iterations } = DEFAULT_HASH_POLICY;
+    assert.equal(policyCode(scrypt()), null);
+    // The largest N at r = 8 uses exactly the memory ceiling
+    assert.equal(parseHash(scrypt({ ln: maxScryptCost })).hash.memory, maxScryptMemory);
+    assert.equal(policyCode(scrypt({ ln: maxScryptCost, p: maxScryptParallelism })), null);
+    assert.equal(policyCode(scrypt({ ln: maxScryptCost + 1 })), ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+    assert.equal(policyCode(scrypt({ ln: 40 })), ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+    assert.equal(policyCode(scrypt({ r: maxScryptBlockSize + 1 })), ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+    assert.equal(policyCode(scrypt({ p: maxScryptParallelism + 1 })), ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+    // Each within its own bound, but together above the memory ceiling
+    assert.equal(policyCode(scrypt({ ln: maxScryptCost, r: maxScryptBlockSize })), ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+    assert.equal(policyCode(pbkdf2(maxPbkdf2Iterations)), null);
+    assert.equal(policyCode(pbkdf2(maxPbkdf2Iterations + 1)), ERROR_CODES.HASH_PARAMS_TOO_HIGH);
+    assert.equal(policyCode(scrypt({ ln: 12 })), ERROR_CODES.HASH_COST_TOO_LOW);
+});
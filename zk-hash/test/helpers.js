@@ -0,0 +1,28 @@
+/**
+ * zk-hash/test/helpers.js
+ *
+ * Fast proving setups shared by the tests. Proofs use goldilocks and 8 queries at
+ * blowup 8, far below the default security policy, so verifier() relaxes that policy.
+ * None of this is fit for production.
+ */
+
+const { ZKProver, ZKVerifier } = require('..');
+
+const FAST_PARAMS = Object.freeze({ queries: 8, blowup: 8 });
+const LAX_SECURITY_POLICY = Object.freeze({ minSecurityBits: 0, minRounds: 1 });
+
+function prover(options = {}) {
+    return new ZKProver(null, null, { field: 'goldilocks', params: FAST_PARAMS, logger: null, ...options });
+}
+
+function verifier(options = {}) {
+    return new ZKVerifier({ securityPolicy: LAX_SECURITY_POLICY, ...options });
+}
+
+// A deep copy of a JSON proof to tamper with
+const clone = (proof) => JSON.parse(JSON.stringify(proof));
+
+// A field element string that differs from `value`
+const bump = (value) => (BigInt(value) + 1n).toString();
+
+module.exports = { FAST_PARAMS, LAX_SECURITY_POLICY, prover, verifier, clone, bump };
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MerkleTree, FIELDS } = require('../stark-math');
+const { MERKLE_HASHES } = require('../merkle-hash');
+
+const field = FIELDS.goldilocks;
+const rows = Array.from({ length: 13 }, (_, i) => [BigInt(i), BigInt(i * i), 7n]);
+const indices = [0, 1, 5, 12, 5];
+const SIZE = 16;
+
+for (const hash of Object.keys(MERKLE_HASHES)) {
+    const tree = new MerkleTree(rows, field, hash);
+    const leaves = () => indices.map(i => [i, rows[i]]);
+
+    test(`${hash}: single paths and multi-proofs open the tree`, () => {
+        for (const i of indices) assert.equal(MerkleTree.verify(tree.getRoot(), i, rows[i], tree.getPath(i), field, hash), true);
+        assert.equal(MerkleTree.verifyMultiProof(tree.getRoot(), SIZE, leaves(), tree.getMultiProof(indices), field, hash), true);
+    });
+
+    test(`${hash}: a multi-proof shares nodes between neighbouring leaves`, () => {
+        const separate = new Set(indices).size * Math.log2(SIZE);
+        assert.ok(tree.getMultiProof(indices).length < separate);
+        // Expanding it gives back the single paths
+        const paths = MerkleTree.expandMultiProof(SIZE, leaves(), tree.getMultiProof(indices), field, hash);
+        for (const i of indices) assert.deepEqual(paths.get(i), tree.getPath(i));
+    });
+
+    test(`${hash}: tampered openings are rejected`, () => {
+        const root = tree.getRoot();
+        const nodes = tree.getMultiProof(indices);
+        const check = (l, n, size = SIZE) => MerkleTree.verifyMultiProof(root, size, l, n, field, hash);
+
+        assert.equal(check(leaves().map(([i, leaf]) => [i, i === 5 ? [5n, 25n, 8n] : leaf]), nodes), false);
+        // The same index opened with two different leaves
+        assert.equal(check(leaves().concat([[1, rows[2]]]), nodes), false);
+        assert.equal(check(leaves().map(([i, leaf]) => [i === 12 ? 11 : i, leaf]), nodes), false);
+        assert.equal(check(leaves(), [nodes[1], nodes[0], ...nodes.slice(2)]), false);
+        assert.equal(check(leaves(), nodes.slice(1)), false);
+        assert.equal(check(leaves(), nodes.concat([nodes[0]])), false);
+        assert.equal(check(leaves(), nodes, 32), false);
+        assert.equal(check([[16, rows[0]]], nodes), false);
+        assert.equal(check([[0, ['not a number']]], nodes), false);
+        assert.equal(MerkleTree.verify(root, 5, rows[5], tree.getPath(4), field, hash), false);
+    });
+}
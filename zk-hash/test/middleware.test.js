@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { zkAuth, MemoryNonceStore, MemoryUserStore, SessionTokens } = require('..');
+const { ERROR_CODES } = require('../common');
+const { prover, verifier } = require('./helpers');
+
+const ARGON2_PARAMS = { time: 2, mem: 19456, hashLen: 32 };
+
+// Just enough of Express's req and res for the handlers
+function call(handler, body = {}, headers = {}, ip = '127.0.0.1') {
+    return new Promise((resolve) => {
+        const req = { body, ip, get: (name) => headers[name.toLowerCase()] };
+        const res = {
+            statusCode: 200,
+            status(code) { this.statusCode = code; return this; },
+            json(payload) { resolve({ status: this.statusCode, body: payload, req }); }
+        };
+        handler(req, res, () => resolve({ status: 'next', req }));
+    });
+}
+
+function setup(now = () => Date.now(), options = {}) {
+    const nonceStore = new MemoryNonceStore(options.nonceStore);
+    const userStore = new MemoryUserStore();
+    const sessions = new SessionTokens({ secret: 's'.repeat(32), ttlMs: 1000, now });
+    const auth = zkAuth({ verifier: verifier({ nonceStore, userStore }), sessions, now, ...options.auth });
+    return { nonceStore, userStore, auth };
+}
+
+// The /api/register body for `username` as typed, with the Knowledge Proof of a fixed secret
+async function registration({ auth }, username) {
+    const challenge = await call(auth.challenge, { username });
+    const proof = await prover().generateKnowledgeProof('secret-H', challenge.body.nonce, username);
+    return { username, salt: 'f'.repeat(32), params: ARGON2_PARAMS, proof };
+}
+
+const register = async (ctx, username) => call(ctx.auth.register, await registration(ctx, username));
+
+test('usernames are normalized for challenges, accounts and sessions alike', async () => {
+    const ctx = setup();
+    // Decomposed e + combining acute accent, with surrounding spaces
+    const typed = ' Jose\u0301 ';
+    const challenge = await call(ctx.auth.challenge, { username: typed });
+    assert.equal(challenge.body.username, 'Jos\u00e9');
+
+    const registered = await register(ctx, typed);
+    assert.equal(registered.status, 'next');
+    assert.equal(registered.req.zkAuth.username, 'Jos\u00e9');
+    assert.ok(ctx.userStore.get('Jos\u00e9'));
+
+    // The precomposed spelling is the same account
+    assert.equal((await register(ctx, 'Jos\u00e9')).status, 409);
+    const login = await call(ctx.auth.startLogin, { username: 'Jos\u00e9' });
+    assert.equal(login.body.success, true);
+    assert.equal(login.body.username, 'Jos\u00e9');
+    assert.equal(login.body.proof_config.field, 'goldilocks');
+
+    const session = await call(ctx.auth.requireSession, {}, { authorization: `Bearer ${registered.req.zkAuth.token}` });
+    assert.equal(session.status, 'next');
+    assert.equal(session.req.zkAuth.username, 'Jos\u00e9');
+});
+
+test('requireSession rejects missing, forged and expired tokens', async () => {
+    let now = 1000;
+    const ctx = setup(() => now);
+    const { req } = await register(ctx, 'alice');
+    const token = req.zkAuth.token;
+    const guard = (authorization) => call(ctx.auth.requireSession, {}, authorization ? { authorization } : {});
+
+    assert.equal((await guard(`Bearer ${token}`)).status, 'next');
+    assert.equal((await guard()).body.code, ERROR_CODES.SESSION_REQUIRED);
+    assert.equal((await guard(token)).body.code, ERROR_CODES.SESSION_REQUIRED);
+    const forged = await guard(`Bearer ${token.slice(0, -1)}${token.endsWith('A') ? 'B' : 'A'}`);
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.code, ERROR_CODES.SESSION_INVALID);
+    const otherSecret = new SessionTokens({ secret: 't'.repeat(32), now: () => now }).issue('alice').token;
+    assert.equal((await guard(`Bearer ${otherSecret}`)).body.code, ERROR_CODES.SESSION_INVALID);
+
+    ctx.userStore.records.delete('alice');
+    assert.equal((await guard(`Bearer ${token}`)).body.code, ERROR_CODES.SESSION_INVALID);
+
+    now += 1000;
+    assert.equal((await guard(`Bearer ${token}`)).body.code, ERROR_CODES.SESSION_EXPIRED);
+});
+
+test('failed registrations and logins answer with their codes', async () => {
+    const ctx = setup();
+    assert.equal((await call(ctx.auth.challenge, { username: '  ' })).body.code, ERROR_CODES.SCHEMA_INVALID);
+    assert.equal((await call(ctx.auth.startLogin, { username: 'nobody' })).status, 404);
+
+    const body = await registration(ctx, 'alice');
+    const missing = await call(ctx.auth.register, { ...body, proof: undefined });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, ERROR_CODES.SCHEMA_INVALID);
+    assert.equal((await call(ctx.auth.register, body)).status, 'next');
+
+    // The same body again: its username is taken now, and its challenge is spent
+    assert.equal((await call(ctx.auth.register, body)).body.code, ERROR_CODES.USERNAME_TAKEN);
+    ctx.userStore.records.delete('alice');
+    const replayed = await call(ctx.auth.register, body);
+    assert.equal(replayed.status, 400);
+    assert.equal(replayed.body.code, ERROR_CODES.CHALLENGE_REJECTED);
+
+    const login = await call(ctx.auth.login, body.proof);
+    assert.equal(login.status, 401);
+    assert.equal(login.body.code, ERROR_CODES.USER_UNKNOWN);
+});
+
+test('challenges are rate limited per client, and refused while the store is full', async () => {
+    let now = 1000;
+    const ctx = setup(() => now, { auth: { challengeRateLimit: { max: 2, windowMs: 100 } } });
+    const challenge = (ip) => call(ctx.auth.challenge, { username: 'alice' }, {}, ip);
+
+    await register(ctx, 'bob');
+    const startLogin = (ip) => call(ctx.auth.startLogin, { username: 'bob' }, {}, ip);
+    assert.equal((await challenge('10.0.0.1')).body.success, true);
+    // Logins draw from the same allowance
+    assert.equal((await startLogin('10.0.0.1')).body.success, true);
+    const limited = await challenge('10.0.0.1');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, ERROR_CODES.CHALLENGE_RATE_LIMITED);
+    assert.equal((await startLogin('10.0.0.1')).status, 429);
+    // Other clients have their own
+    assert.equal((await challenge('10.0.0.2')).body.success, true);
+    now += 100;
+    assert.equal((await challenge('10.0.0.1')).body.success, true);
+
+    const full = setup(() => now, { nonceStore: { maxOutstanding: 1, now: () => now } });
+    assert.equal((await call(full.auth.challenge, { username: 'alice' })).body.success, true);
+    const refused = await call(full.auth.challenge, { username: 'mallory' });
+    assert.equal(refused.status, 503);
+    assert.equal(refused.body.code, ERROR_CODES.CHALLENGE_LIMIT_REACHED);
+    // alice's challenge is still open
+    assert.equal(full.nonceStore.count(), 1);
+});
+
+test('zkAuth refuses stores its verifier does not use', () => {
+    assert.throws(() => zkAuth({ nonceStore: new MemoryNonceStore() }), /requires a userStore/);
+    const v = verifier({ nonceStore: new MemoryNonceStore(), userStore: new MemoryUserStore() });
+    assert.throws(() => zkAuth({ verifier: v, nonceStore: new MemoryNonceStore() }), /same nonceStore and userStore/);
+});
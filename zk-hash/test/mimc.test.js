@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const MiMC = require('../mimc');
+const { FIELDS } = require('../stark-math');
+
+// The first round constants of the default seed. Changing the derivation changes every
+// registered verifier, so these are pinned rather than recomputed.
+const PINNED_CONSTANTS = {
+    goldilocks: [
+        13416727914134562503n,
+        17787340300581465942n,
+        17912251893971899751n
+    ],
+    stark252: [
+        2511414290464590516160207707536292450458270037677274824457876569665802467258n,
+        1919722406466253233894789704506193281417035622663837702678910623917902622930n,
+        2572406287109455384784716280273111410956746035176527774365588294277868257807n
+    ]
+};
+
+for (const name of Object.keys(FIELDS)) {
+    const field = FIELDS[name];
+
+    test(`round constants over ${name} are SHA-256 of the seed, field and index`, () => {
+        const mimc = new MiMC({ field });
+        assert.equal(mimc.constants.length, 64);
+        assert.deepEqual(mimc.constants.slice(0, 3), PINNED_CONSTANTS[name]);
+        for (const i of [0, 1, 63]) {
+            const digest = crypto.createHash('sha256').update(`${MiMC.CONSTANT_SEED}/${name}/${i}`).digest('hex');
+            assert.equal(mimc.constants[i], BigInt('0x' + digest) % field.modulus);
+        }
+        // Explicit constants and another seed replace the derivation
+        assert.deepEqual(new MiMC({ field, rounds: 2, constants: [1, 2] }).constants, [1n, 2n]);
+        assert.notEqual(new MiMC({ field, seed: 'other' }).constants[0], mimc.constants[0]);
+    });
+
+    test(`trace rows over ${name} follow step() and end in permute()`, () => {
+        const mimc = new MiMC({ field, rounds: 16 });
+        const input = field.mod(123456789n);
+        const key = field.mod(987654321n);
+        const trace = mimc.trace(input, key);
+        assert.equal(trace.length, 17);
+        assert.equal(trace[0], input);
+        for (let i = 0; i < mimc.rounds; i++) {
+            assert.equal(trace[i + 1], mimc.step(trace[i], key, mimc.constants[i]));
+            assert.equal(trace[i + 1], field.pow((trace[i] + key + mimc.constants[i]) % field.modulus, 3n));
+        }
+        assert.equal(mimc.permute(input, key), trace[16]);
+        assert.equal(mimc.compress(input, key), (trace[16] + input) % field.modulus);
+        assert.equal(mimc.encrypt(input, key), (trace[16] + key) % field.modulus);
+
+        // A higher exponent goes through field.pow instead of the cube shortcut
+        const fifth = new MiMC({ field, rounds: 4, exponent: 5 });
+        const t = (input + fifth.constants[0]) % field.modulus;
+        assert.equal(fifth.trace(input)[1], field.pow(t, 5n));
+    });
+}
+
+test('the constructor checks its parameters', () => {
+    const field = FIELDS.stark252;
+    assert.throws(() => new MiMC(), /requires a field/);
+    assert.throws(() => new MiMC({ field, rounds: 0 }), /rounds must be a positive integer/);
+    assert.throws(() => new MiMC({ field, exponent: 4 }), /odd integer of at least 3/);
+    assert.throws(() => new MiMC({ field, rounds: 2, constants: [1n] }), /needs 2 round constants/);
+});
+
+test('x^3 permutes stark252 but not goldilocks', () => {
+    assert.equal(new MiMC({ field: FIELDS.stark252 }).isPermutation, true);
+
+    // 3 divides p - 1 for goldilocks, so cubing is three-to-one and MiMC with the
+    // default exponent collides: two first-round inputs that differ by a cube root of
+    // unity give the same trace from the first row on.
+    const field = FIELDS.goldilocks;
+    const p = field.modulus;
+    assert.equal((p - 1n) % 3n, 0n);
+    const mimc = new MiMC({ field });
+    assert.equal(mimc.isPermutation, false);
+    assert.equal(new MiMC({ field, exponent: 7 }).isPermutation, true);
+
+    const omega = field.pow(7n, (p - 1n) / 3n);
+    assert.notEqual(omega, 1n);
+    assert.equal(field.pow(omega, 3n), 1n);
+    const input = 42n;
+    const t = (input + mimc.constants[0]) % p;
+    const other = ((t * omega % p) - mimc.constants[0] + p) % p;
+    assert.notEqual(other, input);
+    assert.equal(mimc.permute(other), mimc.permute(input));
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { nodeBackend } = require('../node-backend');
+const { DEFAULT_HASH_POLICY } = require('../hash-policy');
+
+const backend = nodeBackend();
+const keyLen = 32;
+
+test('scrypt matches crypto.scrypt', async () => {
+    const expected = crypto.scryptSync('hunter2', 'salt', keyLen, { N: 1024, r: 8, p: 1 });
+    assert.deepEqual(await backend.scrypt('hunter2', 'salt', { N: 1024, r: 8, p: 1, keyLen }), new Uint8Array(expected));
+});
+
+test('scrypt runs at the largest parameters the hash policy allows', async () => {
+    const N = 2 ** DEFAULT_HASH_POLICY.maxScryptCost;
+    const out = await backend.scrypt('hunter2', 'salt', { N, r: 8, p: 1, keyLen });
+    assert.equal(out.length, keyLen);
+});
+
+test('scrypt above the memory ceiling or the parallelism cap is refused', async () => {
+    const N = 2 ** DEFAULT_HASH_POLICY.maxScryptCost;
+    await assert.rejects(backend.scrypt('hunter2', 'salt', { N: N * 2, r: 8, p: 1, keyLen }), /needs more than 262144 KiB of memory/);
+    await assert.rejects(backend.scrypt('hunter2', 'salt', { N, r: 16, p: 1, keyLen }), /needs more than/);
+    await assert.rejects(backend.scrypt('hunter2', 'salt', { N: 1024, r: 8, p: DEFAULT_HASH_POLICY.maxScryptParallelism + 1, keyLen }), /parallelism p = 5 is above 4/);
+});
+
+test('pbkdf2 matches crypto.pbkdf2', async () => {
+    const expected = crypto.pbkdf2Sync('hunter2', 'salt', 1000, keyLen, 'sha256');
+    assert.deepEqual(await backend.pbkdf2('hunter2', 'salt', { iterations: 1000, keyLen }), new Uint8Array(expected));
+});
+
+test('argon2id with a fixed salt gives the expected encoded hash, which verifies', async () => {
+    const hash = await backend.argon2id('hunter2', 'saltsaltsaltsalt', { time: 2, mem: 1024, hashLen: 32 });
+    assert.equal(hash, '$argon2id$v=19$m=1024,t=2,p=1$c2FsdHNhbHRzYWx0c2FsdA$8Ay6op+3TmdW+WkH0Q1ci5BobdmPnyvp2rUlv7zx/IE');
+    const argon2 = require('argon2');
+    assert.equal(await argon2.verify(hash, 'hunter2'), true);
+    assert.equal(await argon2.verify(hash, 'hunter3'), false);
+
+    await assert.rejects(backend.argon2id('hunter2', 'saltsaltsaltsalt', { time: 1, mem: 1024, hashLen: 32 }), /time cost of at least 2/);
+    await assert.rejects(backend.argon2id('hunter2', 'saltsaltsaltsalt', { time: 2, mem: 512, hashLen: 32 }), /at least 1024 KiB/);
+});
+
+test('bcrypt reproduces the OpenBSD test vectors, and its hashes verify', async () => {
+    assert.equal(await backend.bcrypt('', '$2a$06$DCq7YPn5Rq63x1Lad4cll.'), '$2a$06$DCq7YPn5Rq63x1Lad4cll.TV4S6ytwfsfvkgY8jIucDrjc8deX1s.');
+    assert.equal(await backend.bcrypt('U*U', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.'), '$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW');
+
+    const bcrypt = require('bcryptjs');
+    const salt = await backend.bcryptSalt(4);
+    assert.match(salt, /^\$2[ab]\$04\$[./A-Za-z0-9]{22}$/);
+    const hash = await backend.bcrypt('hunter2', salt);
+    assert.equal(hash.slice(0, 29), salt);
+    assert.equal(await bcrypt.compare('hunter2', hash), true);
+    assert.equal(await bcrypt.compare('hunter3', hash), false);
+});
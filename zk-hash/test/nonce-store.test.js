@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryNonceStore, FileNonceStore, SqliteNonceStore, ChallengeLimitError } = require('../nonce-store');
+
+let DatabaseSync = null;
+try { ({ DatabaseSync } = require('node:sqlite')); } catch (e) { /* Node without node:sqlite */ }
+
+function tmpFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zk-hash-nonces-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'nonces.json');
+}
+
+// The same behaviour is expected from every backend
+const backends = {
+    memory: (t, options) => new MemoryNonceStore(options),
+    file: (t, options) => new FileNonceStore(tmpFile(t), options),
+    sqlite: (t, options) => {
+        const db = new DatabaseSync(':memory:');
+        t.after(() => db.close());
+        return new SqliteNonceStore(db, options);
+    }
+};
+
+for (const [name, create] of Object.entries(backends)) {
+    const skip = name === 'sqlite' && !DatabaseSync && 'node:sqlite is not available';
+
+    test(`${name}: a nonce is consumed once`, { skip }, (t) => {
+        const store = create(t);
+        const { nonce, username } = store.issue('alice');
+        assert.equal(username, 'alice');
+        assert.deepEqual(store.consume(nonce, 'alice'), { ok: true });
+
+        const replay = store.consume(nonce, 'alice');
+        assert.equal(replay.ok, false);
+        assert.match(replay.error, /Replay Detected/);
+    });
+
+    test(`${name}: a nonce only works for its username`, { skip }, (t) => {
+        const store = create(t);
+        const { nonce } = store.issue('alice');
+        assert.match(store.consume(nonce, 'mallory').error, /different username/);
+        // The failed attempt does not burn it for its owner
+        assert.deepEqual(store.consume(nonce, 'alice'), { ok: true });
+    });
+
+    test(`${name}: usernames are compared normalized`, { skip }, (t) => {
+        const store = create(t);
+        // Decomposed e + combining acute accent, then the precomposed form
+        const { nonce, username } = store.issue(' Jose\u0301 ');
+        assert.equal(username, 'Jos\u00e9');
+        assert.deepEqual(store.consume(nonce, 'Jos\u00e9'), { ok: true });
+    });
+
+    test(`${name}: unknown and missing nonces are rejected`, { skip }, (t) => {
+        const store = create(t);
+        assert.match(store.consume('00'.repeat(16), 'alice').error, /never issued/);
+        assert.match(store.consume('', 'alice').error, /missing/);
+        assert.throws(() => store.issue('  '), /username is required/);
+    });
+
+    test(`${name}: nonces expire after the TTL`, { skip }, (t) => {
+        let now = 1000;
+        const store = create(t, { ttlMs: 50, now: () => now });
+        const { nonce, expires_at } = store.issue('alice');
+        assert.equal(expires_at, 1050);
+        now = 1050;
+        assert.match(store.consume(nonce, 'alice').error, /expired/);
+    });
+
+    test(`${name}: a full store refuses new challenges instead of dropping open ones`, { skip }, (t) => {
+        let now = 1000;
+        const store = create(t, { maxOutstanding: 3, ttlMs: 100, now: () => now });
+        const issued = ['alice', 'alice', 'bob'].map(username => store.issue(username));
+        assert.throws(() => store.issue('mallory'), ChallengeLimitError);
+        assert.throws(() => store.issue('alice'), /Too many open challenges/);
+        // Every challenge issued before the store filled up still works
+        for (const { nonce, username } of issued) {
+            assert.deepEqual(store.consume(nonce, username), { ok: true });
+        }
+        // Used nonces are kept to detect replays until they expire, then make room again
+        assert.throws(() => store.issue('mallory'), ChallengeLimitError);
+        now += 100;
+        assert.equal(store.issue('mallory').username, 'mallory');
+        assert.equal(store.count(), 1);
+    });
+}
+
+test('file: nonces survive a new store on the same file', (t) => {
+    const file = tmpFile(t);
+    const { nonce } = new FileNonceStore(file).issue('alice');
+    assert.deepEqual(new FileNonceStore(file).consume(nonce, 'alice'), { ok: true });
+    assert.equal(new FileNonceStore(file).consume(nonce, 'alice').ok, false);
+});
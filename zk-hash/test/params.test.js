@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ProofParams = require('../params');
+const { FIELDS } = require('../stark-math');
+const { ERROR_CODES } = require('../common');
+const { FAST_PARAMS, prover, verifier, clone } = require('./helpers');
+
+const { DEFAULT_PROOF_PARAMS, PROOF_PARAM_LIMITS, DEFAULT_SECURITY_POLICY, checkProofParams, resolveProofParams, checkSecurityPolicy } = ProofParams;
+
+test('parameters outside the hard limits are rejected', () => {
+    assert.equal(checkProofParams(DEFAULT_PROOF_PARAMS), null);
+    for (const [name, { min, max }] of Object.entries(PROOF_PARAM_LIMITS)) {
+        for (const value of [min - 1, max + 1, 1.5, String(min), undefined]) {
+            assert.equal(checkProofParams({ ...DEFAULT_PROOF_PARAMS, [name]: value }, 'p'), `p.${name} must be an integer in [${min}, ${max}]`);
+        }
+    }
+    assert.equal(checkProofParams({ ...DEFAULT_PROOF_PARAMS, blowup: 24 }), 'params.blowup must be a power of two');
+    assert.equal(checkProofParams({ ...DEFAULT_PROOF_PARAMS, extra: 1 }), 'params.extra is not a proof parameter');
+    assert.equal(checkProofParams([]), 'params must be an object');
+});
+
+test('resolveProofParams fills in defaults and throws on bad values', () => {
+    assert.deepEqual(resolveProofParams({ queries: 8 }), { ...DEFAULT_PROOF_PARAMS, queries: 8 });
+    assert.ok(Object.isFrozen(resolveProofParams()));
+    assert.throws(() => resolveProofParams({ blowup: 4 }), /Invalid proof parameters: params.blowup/);
+    assert.throws(() => prover({ params: { queries: 0 } }), /Invalid proof parameters/);
+});
+
+test('the default parameters meet the default policy, fast test ones do not', () => {
+    assert.equal(checkSecurityPolicy(DEFAULT_PROOF_PARAMS, FIELDS.stark252), null);
+    const fast = resolveProofParams(FAST_PARAMS);
+    assert.match(checkSecurityPolicy(fast, FIELDS.stark252), /estimated soundness of \d+ bits is below the required 40/);
+    assert.match(checkSecurityPolicy({ ...DEFAULT_PROOF_PARAMS, rounds: 32 }, FIELDS.stark252), /32 MiMC rounds is below the required 64/);
+    // Grinding adds its bits
+    const ground = { ...fast, grinding_bits: 20 };
+    assert.equal(ProofParams.soundnessBits(ground, FIELDS.stark252), ProofParams.soundnessBits(fast, FIELDS.stark252) + 20);
+});
+
+test('the verifier refuses proofs below its policy', async () => {
+    const proof = await prover().generateProof('hunter2', 'mimc-stark');
+    const strict = verifier({ securityPolicy: DEFAULT_SECURITY_POLICY });
+    assert.equal(strict.verify(proof).code, ERROR_CODES.SECURITY_POLICY_VIOLATION);
+
+    // Claiming stronger parameters than the proof was made with does not get it through
+    const claimed = clone(proof);
+    claimed.public_inputs.proof_params.queries = 24;
+    assert.equal(strict.verify(claimed).success, false);
+    assert.equal(verifier().verify(claimed).success, false);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIELDS, proveAir, verifyAir } = require('../stark-math');
+
+const field = FIELDS.goldilocks;
+const params = { rounds: 40, queries: 8, blowup: 8, grinding_bits: 0 };
+const CYCLE = [3n, 1n, 4n, 1n];
+const STEPS = 40;
+
+// x' = x + c[i % 4] with the cycle as a periodic column, next to a preprocessed
+// column that doubles its contribution on every tenth step
+function accumulatorAir(output, cycle = CYCLE) {
+    return {
+        id: 'accumulator',
+        width: 1,
+        steps: STEPS,
+        constraintDegree: 2,
+        publicColumns: [Array.from({ length: STEPS }, (_, i) => (i % 10 === 9 ? 2n : 1n))],
+        periodicColumns: [cycle],
+        transition: ([x], [x2], [weight], [c]) => [field.sub(x2, field.add(x, field.mul(weight, c)))],
+        boundaries: [{ row: 0, column: 0, value: 0n }, { row: STEPS, column: 0, value: output }]
+    };
+}
+
+function accumulatorTrace(cycle = CYCLE) {
+    const trace = [[0n]];
+    for (let i = 0; i < STEPS; i++) trace.push([trace[i][0] + (i % 10 === 9 ? 2n : 1n) * cycle[i % cycle.length]]);
+    return trace;
+}
+
+test('a trace using periodic and preprocessed columns proves and verifies', () => {
+    const trace = accumulatorTrace();
+    const output = trace[STEPS][0];
+    // Ten cycles of 3 + 1 + 4 + 1, plus steps 9, 19, 29 and 39 (each a 1) counted twice
+    assert.equal(output, 10n * 9n + 4n);
+    const proof = proveAir(accumulatorAir(output), trace, { field, params });
+    assert.deepEqual(verifyAir(accumulatorAir(output), proof, { field, params }), { success: true });
+
+    // The periodic column is part of the statement: another cycle does not verify
+    assert.equal(verifyAir(accumulatorAir(output, [1n, 3n, 4n, 1n]), proof, { field, params }).success, false);
+});
+
+test('a trace that follows another cycle cannot be proven', () => {
+    const trace = accumulatorTrace([1n, 3n, 4n, 1n]);
+    assert.throws(() => proveAir(accumulatorAir(trace[STEPS][0]), trace, { field, params }), /not low-degree/);
+});
+
+test('periods must be powers of two no longer than the trace', () => {
+    const trace = accumulatorTrace();
+    const air = (periodicColumns) => ({ ...accumulatorAir(trace[STEPS][0]), periodicColumns });
+    assert.throws(() => proveAir(air([[1n, 2n, 3n]]), trace, { field, params }), /power-of-two number of values/);
+    assert.throws(() => proveAir(air([new Array(1024).fill(1n)]), trace, { field, params }), /periods cannot exceed the trace length/);
+});
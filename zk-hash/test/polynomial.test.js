@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIELDS, Polynomial, ntt, inverseNtt, cosetNtt, inverseCosetNtt, rootsOfUnity, cosetDomain, batchInverse } = require('../stark-math');
+
+// Deterministic pseudo-random field elements, so failures reproduce
+function values(count, field, seed = 1n) {
+    const out = [];
+    let x = seed;
+    for (let i = 0; i < count; i++) {
+        x = (x * 6364136223846793005n + 1442695040888963407n) % field.modulus;
+        out.push(x);
+    }
+    return out;
+}
+
+for (const field of [FIELDS.goldilocks, FIELDS.stark252]) {
+    const naive = (coeffs, xs) => xs.map(x => coeffs.reduceRight((acc, c) => field.add(field.mul(acc, x), c), 0n));
+
+    test(`${field.name}: inverse NTT undoes NTT, which evaluates on the roots of unity`, () => {
+        for (const size of [1, 2, 8, 64]) {
+            const coeffs = values(size, field, BigInt(size));
+            const evals = ntt(coeffs, field);
+            assert.deepEqual(evals, naive(coeffs, rootsOfUnity(size, field)));
+            assert.deepEqual(inverseNtt(evals, field), coeffs);
+        }
+        assert.throws(() => ntt(values(6, field), field), /power of two/);
+    });
+
+    test(`${field.name}: coset evaluation matches evaluating at each coset point`, () => {
+        const coeffs = values(16, field);
+        const offset = field.generator;
+        const evals = cosetNtt(coeffs, offset, 64, field);
+        assert.deepEqual(evals, naive(coeffs, cosetDomain(offset, 64, field)));
+        assert.deepEqual(inverseCosetNtt(evals, offset, field).slice(0, 16), coeffs);
+        assert.deepEqual(new Polynomial(coeffs, field).evaluateOnCoset(offset, 64), evals);
+        assert.deepEqual(Polynomial.interpolateCoset(evals, offset, field).coeffs, coeffs);
+        assert.throws(() => cosetNtt(coeffs, offset, 8, field), /smaller than the polynomial/);
+    });
+
+    test(`${field.name}: mul and div agree, below and above the NTT threshold`, () => {
+        for (const [n, m] of [[5, 3], [90, 70]]) {
+            const a = new Polynomial(values(n, field, 3n), field);
+            const b = new Polynomial(values(m, field, 5n), field);
+            const product = a.mul(b);
+            assert.equal(product.degree(), a.degree() + b.degree());
+            assert.ok(product.div(b).equals(a));
+            assert.ok(product.mod(b).isZero());
+            // Spot-check the product at a point
+            const x = 123456789n;
+            assert.equal(product.evaluate(x), field.mul(a.evaluate(x), b.evaluate(x)));
+
+            const r = new Polynomial(values(m - 1, field, 7n), field);
+            const { quotient, remainder } = product.add(r).divmod(b);
+            assert.ok(quotient.equals(a));
+            assert.ok(remainder.equals(r));
+        }
+        assert.throws(() => Polynomial.constant(1n, field).divmod(Polynomial.zero(field)), /division by zero/);
+    });
+
+    test(`${field.name}: interpolate then evaluate returns the points`, () => {
+        const xs = values(12, field, 11n);
+        const ys = values(12, field, 13n);
+        const poly = Polynomial.interpolate(xs, ys, field);
+        assert.ok(poly.degree() < 12);
+        assert.deepEqual(xs.map(x => poly.evaluate(x)), ys);
+
+        const onDomain = values(32, field, 17n);
+        const fromDomain = Polynomial.interpolateDomain(onDomain, field);
+        assert.deepEqual(fromDomain.evaluateOnDomain(32), onDomain);
+        assert.deepEqual(rootsOfUnity(32, field).map(x => fromDomain.evaluate(x)), onDomain);
+    });
+
+    test(`${field.name}: fromRoots vanishes exactly on its roots, batchInverse inverts`, () => {
+        const roots = values(6, field, 19n);
+        const z = Polynomial.fromRoots(roots, field);
+        assert.equal(z.degree(), 6);
+        for (const r of roots) assert.equal(z.evaluate(r), 0n);
+        assert.notEqual(z.evaluate(roots[0] + 1n), 0n);
+        assert.deepEqual(batchInverse(roots, field), roots.map(r => field.inv(r)));
+    });
+}
+
+test('polynomials over different fields do not mix', () => {
+    const a = Polynomial.constant(1n, FIELDS.goldilocks);
+    const b = Polynomial.constant(1n, FIELDS.stark252);
+    assert.throws(() => a.add(b), /different fields/);
+});
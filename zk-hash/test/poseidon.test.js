@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Poseidon = require('../poseidon');
+const { FIELDS } = require('../stark-math');
+const { ERROR_CODES } = require('../common');
+const { prover, verifier, clone, bump } = require('./helpers');
+
+const field = FIELDS.stark252;
+
+test('the permutation is deterministic and its parameters are checked', () => {
+    const poseidon = Poseidon.forField(field);
+    assert.equal(Poseidon.forField(field), poseidon);
+    assert.equal(poseidon.rounds, 91);
+    const trace = poseidon.trace([1n, 2n, 3n]);
+    assert.equal(trace.length, poseidon.rounds + 1);
+    assert.deepEqual(poseidon.trace([1n, 2n, 3n]), trace);
+    assert.notDeepEqual(poseidon.trace([1n, 2n, 4n])[poseidon.rounds], trace[poseidon.rounds]);
+
+    assert.throws(() => poseidon.trace([1n, 2n]), /must have 3 elements/);
+    assert.throws(() => new Poseidon({ field, alpha: 2 }), /not a permutation/);
+    assert.throws(() => new Poseidon({ field, fullRounds: 3 }), /even number of full rounds/);
+    // x^3 does not permute goldilocks
+    assert.throws(() => new Poseidon({ field: FIELDS.goldilocks, alpha: 3 }), /not a permutation of goldilocks/);
+});
+
+test('Poseidon traces, Merkle trees and transcripts prove and verify', async () => {
+    const p = prover({ field: 'stark252', permutation: 'poseidon', merkleHash: 'poseidon', transcriptHash: 'poseidon' });
+    const proof = await p.generateKnowledgeProof('secret-H', 'nonce', 'alice');
+    assert.equal(proof.public_inputs.permutation, 'poseidon');
+    assert.equal(proof.trace_queries.openings[0].values.length, 4); // The width-3 state and the feed-forward sum
+
+    const v = verifier();
+    assert.equal(v.verify(proof).success, true);
+
+    const tampered = clone(proof);
+    tampered.trace_queries.openings[0].values[2] = bump(tampered.trace_queries.openings[0].values[2]);
+    const result = v.verify(tampered);
+    assert.equal(result.success, false);
+    assert.notEqual(result.code, ERROR_CODES.INTERNAL_ERROR, result.error);
+
+    // A verifier that only allows MiMC traces refuses it
+    assert.equal(verifier({ permutations: ['mimc'] }).verify(proof).code, ERROR_CODES.PERMUTATION_UNSUPPORTED);
+});
+
+test('a Poseidon trace cannot be proven with another round count', () => {
+    assert.throws(() => prover({ field: 'stark252', permutation: 'poseidon', params: { rounds: 64 } }), /has 91 rounds, not 64/);
+});
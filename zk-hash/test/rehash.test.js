@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { ZKProver } = require('..');
+const { ERROR_CODES } = require('../common');
+const { FAST_PARAMS, verifier, clone, bump } = require('./helpers');
+
+const b64 = (data) => Buffer.from(data).toString('base64').replace(/=+$/, '');
+
+// Stands in for argon2-browser: a salted digest encoded like an Argon2id PHC string
+function fakeArgon2id(pass, salt, { time, mem }) {
+    const digest = crypto.createHash('sha256').update(`${pass}/${salt}`).digest();
+    return `$argon2id$v=19$m=${mem},t=${time},p=1$${b64(salt)}$${b64(digest)}`;
+}
+const fakeArgon2 = {
+    ArgonType: { Argon2id: 2 },
+    hash: async ({ pass, salt, time, mem }) => ({ encoded: fakeArgon2id(pass, salt, { time, mem }) })
+};
+
+// Re-hashes under the salt and parameters encoded in the hash, as a server would
+async function rehashArgon2id(password, encoded) {
+    const [, , , params, salt] = encoded.split('$');
+    const { m, t } = Object.fromEntries(params.split(',').map(kv => kv.split('=')));
+    return fakeArgon2id(password, Buffer.from(salt, 'base64').toString('utf8'), { time: t, mem: m }) === encoded;
+}
+
+const ARGON2_PARAMS = { salt: 'sixteen-byte-slt', time: 2, mem: 19456 };
+
+let opening;
+test.before(async () => {
+    const p = new ZKProver(null, fakeArgon2, { field: 'goldilocks', params: FAST_PARAMS, logger: null });
+    opening = await p.generateHashOpening('hunter2', 'argon2id', ARGON2_PARAMS);
+});
+
+test('the committed password re-hashes to the claimed hash', async () => {
+    const v = verifier({ hashVerifiers: { argon2id: rehashArgon2id } });
+    const plain = v.verify(opening.proof);
+    assert.equal(plain.success, true);
+    assert.equal(plain.hash_verified, false);
+
+    const result = await v.verifyHashOpening(opening);
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.hash_verified, true);
+});
+
+test('openings that do not hold up are rejected with their own codes', async () => {
+    const v = verifier({ hashVerifiers: { argon2id: rehashArgon2id } });
+    assert.equal((await v.verifyHashOpening({ ...opening, password: 'hunter3' })).code, ERROR_CODES.OPENING_MISMATCH);
+    assert.equal((await v.verifyHashOpening({ proof: opening.proof })).code, ERROR_CODES.SCHEMA_INVALID);
+
+    const failing = verifier({ hashVerifiers: { argon2id: async () => false } });
+    assert.equal((await failing.verifyHashOpening(opening)).code, ERROR_CODES.HASH_MISMATCH);
+    const throwing = verifier({ hashVerifiers: { argon2id: async () => { throw new Error('out of memory'); } } });
+    assert.equal((await throwing.verifyHashOpening(opening)).code, ERROR_CODES.REHASH_UNAVAILABLE);
+    assert.equal((await verifier().verifyHashOpening(opening)).code, ERROR_CODES.REHASH_UNAVAILABLE);
+
+    // The proof itself is still checked first
+    const tampered = clone(opening.proof);
+    tampered.public_inputs.mimc_output = bump(tampered.public_inputs.mimc_output);
+    const result = await v.verifyHashOpening({ ...opening, proof: tampered });
+    assert.equal(result.success, false);
+    assert.notEqual(result.code, ERROR_CODES.INTERNAL_ERROR, result.error);
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateProof, validatePublicInputs } = require('../schema');
+const { getAir } = require('../air');
+const { FIELDS } = require('../stark-math');
+const { ERROR_CODES } = require('../common');
+const { prover, verifier, clone } = require('./helpers');
+
+let proof;
+test.before(async () => {
+    proof = await prover().generateProof('hunter2', 'mimc-stark');
+});
+
+test('a generated proof passes the schema', () => {
+    const { publicInputs } = getAir(proof.proof_type);
+    assert.deepEqual(validatePublicInputs(proof, publicInputs), { ok: true });
+});
+
+test('malformed proofs are rejected before any math, naming the offending path', async (t) => {
+    const v = verifier();
+    const cases = [
+        ['public_inputs', (p) => { delete p.public_inputs; }],
+        ['public_inputs.field', (p) => { p.public_inputs.field = 7; }],
+        ['public_inputs.trace_root', (p) => { p.public_inputs.trace_root = 'XYZ'; }],
+        ['public_inputs.mimc_output', (p) => { p.public_inputs.mimc_output = '-5'; }],
+        ['public_inputs.mimc_output', (p) => { p.public_inputs.mimc_output = '9'.repeat(79); }],
+        ['public_inputs.algorithm', (p) => { p.public_inputs.algorithm = 'a'.repeat(1025); }],
+        ['public_inputs.proof_params', (p) => { p.public_inputs.proof_params = null; }],
+        ['trace_queries', (p) => { p.trace_queries = []; }],
+        ['trace_queries.openings', (p) => { p.trace_queries.openings = []; }],
+        ['trace_queries.openings[0].index', (p) => { p.trace_queries.openings[0].index = '3'; }],
+        ['trace_queries.openings[0].index', (p) => { p.trace_queries.openings[0].index = 1e9; }],
+        ['trace_queries.openings[1].index', (p) => { p.trace_queries.openings[1].index = p.trace_queries.openings[0].index; }],
+        ['trace_queries.openings[0].values', (p) => { p.trace_queries.openings[0].values.push('1'); }],
+        ['trace_queries.openings[0].salt', (p) => { delete p.trace_queries.openings[0].salt; }],
+        ['trace_queries.nodes', (p) => { p.trace_queries.nodes = p.trace_queries.nodes.concat(new Array(1000).fill(p.trace_queries.nodes[0])); }],
+        ['fri', (p) => { p.fri = 'fri'; }],
+        ['fri.layer_roots', (p) => { p.fri.layer_roots.pop(); }],
+        ['fri.final_value', (p) => { p.fri.final_value = 12; }],
+        ['fri.layer_queries[0].openings[0].values', (p) => { p.fri.layer_queries[0].openings[0].values = ['1']; }]
+    ];
+    for (const [path, tamper] of cases) {
+        await t.test(path, () => {
+            const bad = clone(proof);
+            tamper(bad);
+            const result = v.verify(bad);
+            assert.equal(result.code, ERROR_CODES.SCHEMA_INVALID, result.error);
+            assert.ok(result.error.startsWith(`Invalid Proof: ${path} `), result.error);
+        });
+    }
+});
+
+test('non-objects and unknown proof types are rejected', () => {
+    const v = verifier();
+    assert.equal(v.verify(null).code, ERROR_CODES.SCHEMA_INVALID);
+    assert.equal(v.verify('proof').code, ERROR_CODES.SCHEMA_INVALID);
+    assert.equal(v.verify({ ...clone(proof), proof_type: 'zk-stark-unknown' }).code, ERROR_CODES.PROOF_TYPE_UNKNOWN);
+});
+
+test('validateProof checks the body against the AIR trace width', () => {
+    const { publicInputs } = getAir(proof.proof_type);
+    const width = proof.trace_queries.openings[0].values.length;
+    assert.deepEqual(validateProof(proof, publicInputs, { width, constraintDegree: 3 }), { ok: true });
+    const result = validateProof(proof, publicInputs, { width: width + 1, constraintDegree: 3 });
+    assert.equal(result.ok, false);
+    assert.match(result.error, /^trace_queries\.openings\[0\]\.values must have exactly/);
+});
+
+test('decimal public inputs must be canonical elements of the proof\'s field', async () => {
+    const knowledge = await prover().generateKnowledgeProof('secret-H', 'nonce', 'alice');
+    const v = verifier();
+    assert.equal(v.verify(knowledge).success, true);
+
+    const { modulus } = FIELDS.goldilocks;
+    for (const [name, original] of [['public_output', knowledge], ['mimc_output', proof]]) {
+        // The same element mod p, spelled differently
+        for (const value of [BigInt(original.public_inputs[name]) + modulus, modulus]) {
+            const bad = clone(original);
+            bad.public_inputs[name] = value.toString();
+            const result = v.verify(bad);
+            assert.equal(result.code, ERROR_CODES.SCHEMA_INVALID, result.error);
+            assert.equal(result.error, `Invalid Proof: public_inputs.${name} must be below the goldilocks modulus.`);
+            // Without a field, only the decimal syntax is checked
+            assert.deepEqual(validatePublicInputs(bad, getAir(bad.proof_type).publicInputs), { ok: true });
+        }
+    }
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionTokens, DEFAULT_SESSION_TTL_MS } = require('../session');
+
+const SECRET = 's'.repeat(32);
+
+// Replaces the payload of `token` but keeps its signature
+function withClaims(token, claims) {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `${payload}.${token.split('.')[1]}`;
+}
+
+test('an issued token verifies until it expires', () => {
+    let now = 1000;
+    const sessions = new SessionTokens({ secret: SECRET, ttlMs: 60, now: () => now });
+    const { token, username, expires_at } = sessions.issue('alice');
+    assert.equal(username, 'alice');
+    assert.equal(expires_at, 1060);
+    assert.deepEqual(sessions.verify(token), { ok: true, username: 'alice', expires_at: 1060 });
+
+    now = 1060;
+    const expired = sessions.verify(token);
+    assert.equal(expired.ok, false);
+    assert.equal(expired.expired, true);
+    assert.equal(new SessionTokens({ secret: SECRET }).ttlMs, DEFAULT_SESSION_TTL_MS);
+});
+
+test('forged and malformed tokens are rejected', () => {
+    const sessions = new SessionTokens({ secret: SECRET });
+    const { token } = sessions.issue('alice');
+    const [payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+
+    const rejected = (forged, pattern) => {
+        const result = sessions.verify(forged);
+        assert.equal(result.ok, false);
+        assert.equal(result.expired, undefined);
+        assert.match(result.error, pattern);
+    };
+    rejected(withClaims(token, { ...claims, sub: 'mallory' }), /signature is invalid/);
+    rejected(withClaims(token, { ...claims, exp: claims.exp + 3600000 }), /signature is invalid/);
+    rejected(`${payload}.${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`, /signature is invalid/);
+    rejected(`${payload}.${signature.slice(1)}`, /signature is invalid/);
+    rejected(new SessionTokens({ secret: 't'.repeat(32) }).issue('alice').token, /signature is invalid/);
+    rejected(payload, /malformed/);
+    rejected(`${token}.x`, /malformed/);
+    rejected(null, /malformed/);
+
+    // Correctly signed, but not claims this module issues
+    const signedGarbage = (text) => {
+        const body = Buffer.from(text).toString('base64url');
+        return `${body}.${sessions.sign(body)}`;
+    };
+    rejected(signedGarbage('not json'), /malformed/);
+    rejected(signedGarbage(JSON.stringify({ sub: 'alice', exp: 'never' })), /malformed/);
+});
+
+test('secrets shorter than 32 bytes and empty usernames are refused', () => {
+    assert.throws(() => new SessionTokens({ secret: 'short' }), /at least 32 bytes/);
+    assert.throws(() => new SessionTokens({ secret: SECRET }).issue(''), /username is required/);
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const StarkMath = require('../stark-math');
+const { ERROR_CODES } = require('../common');
+const { FAST_PARAMS, prover, verifier, clone, bump } = require('./helpers');
+
+const { FIELDS, getTracePermutation, permutationAir, proveAir, verifyAir } = StarkMath;
+const field = FIELDS.goldilocks;
+const params = { rounds: 16, queries: 8, blowup: 8, grinding_bits: 0 };
+
+function mimcStatement(input = 5n) {
+    const permutation = getTracePermutation('mimc', field, params.rounds);
+    const trace = permutation.trace(input, 0n);
+    const air = permutationAir(permutation, { key: 0n, output: trace[params.rounds][0] }, field);
+    return { permutation, trace, air };
+}
+
+test('a permutation trace proves and verifies', () => {
+    const { trace, air } = mimcStatement();
+    const proof = proveAir(air, trace, { field, params });
+    assert.deepEqual(verifyAir(air, proof, { field, params }), { success: true });
+});
+
+test('a trace that breaks one transition cannot be proven', () => {
+    const { trace, air } = mimcStatement();
+    const broken = trace.map(row => row.slice());
+    broken[7][0] = (broken[7][0] + 1n) % field.modulus;
+    assert.throws(() => proveAir(air, broken, { field, params }), /not low-degree/);
+});
+
+test('a proof does not verify against another output', () => {
+    const { permutation, trace, air } = mimcStatement();
+    const proof = proveAir(air, trace, { field, params });
+    const other = permutationAir(permutation, { key: 0n, output: trace[params.rounds][0] + 1n }, field);
+    assert.equal(verifyAir(other, proof, { field, params }).success, false);
+});
+
+test('ZKVerifier accepts an untouched proof', async () => {
+    const proof = await prover().generateProof('hunter2', 'mimc-stark');
+    assert.equal(verifier().verify(proof).success, true);
+});
+
+test('tampered proofs are rejected', async (t) => {
+    const proof = await prover().generateProof('hunter2', 'mimc-stark');
+    const v = verifier();
+    const cases = {
+        'a trace opening': (p) => { p.trace_queries.openings[0].values[0] = bump(p.trace_queries.openings[0].values[0]); },
+        'a trace salt': (p) => { p.trace_queries.openings[0].salt = bump(p.trace_queries.openings[0].salt); },
+        'the trace root': (p) => { p.public_inputs.trace_root = p.fri.mask_root; },
+        'a mask opening': (p) => { p.fri.mask_queries.openings[0].values[0] = bump(p.fri.mask_queries.openings[0].values[0]); },
+        'an FRI layer opening': (p) => { p.fri.layer_queries[1].openings[0].values[0] = bump(p.fri.layer_queries[1].openings[0].values[0]); },
+        'an FRI layer root': (p) => { p.fri.layer_roots[2] = p.fri.layer_roots[3]; },
+        'the final FRI value': (p) => { p.fri.final_value = bump(p.fri.final_value); },
+        'the claimed output': (p) => {
+            p.public_inputs.mimc_output = bump(p.public_inputs.mimc_output);
+            p.public_inputs.outputHash = p.public_inputs.mimc_output;
+        }
+    };
+    for (const [name, tamper] of Object.entries(cases)) {
+        await t.test(name, () => {
+            const tampered = clone(proof);
+            tamper(tampered);
+            const result = v.verify(tampered);
+            assert.equal(result.success, false);
+            assert.notEqual(result.code, ERROR_CODES.INTERNAL_ERROR, result.error);
+        });
+    }
+});
+
+test('a grinding nonce that does not reach the declared work is rejected', async (t) => {
+    // grind() takes the first nonce that passes, so every smaller one fails. Nonce 0
+    // passing outright (one proof in 256) leaves nothing smaller to tamper with.
+    let proof;
+    do {
+        proof = await prover({ params: { ...FAST_PARAMS, grinding_bits: 8 } }).generateProof('hunter2', 'mimc-stark');
+    } while (proof.fri.pow_nonce === '0');
+    const v = verifier();
+    assert.equal(proof.public_inputs.proof_params.grinding_bits, 8);
+    assert.equal(v.verify(proof).success, true);
+
+    const nonce = BigInt(proof.fri.pow_nonce);
+    const cases = {
+        'nonce 0': ['0', ERROR_CODES.GRINDING_INVALID],
+        'the nonce before the real one': [(nonce - 1n).toString(), ERROR_CODES.GRINDING_INVALID],
+        'a nonce outside the field': [field.modulus.toString(), ERROR_CODES.SCHEMA_INVALID],
+        'no nonce': [undefined, ERROR_CODES.SCHEMA_INVALID]
+    };
+    for (const [name, [powNonce, code]] of Object.entries(cases)) {
+        await t.test(name, () => {
+            const tampered = clone(proof);
+            tampered.fri.pow_nonce = powNonce;
+            const result = v.verify(tampered);
+            assert.equal(result.success, false);
+            assert.equal(result.code, code, result.error);
+        });
+    }
+
+    await t.test('dropping the declared work', () => {
+        const tampered = clone(proof);
+        tampered.public_inputs.proof_params.grinding_bits = 0;
+        assert.equal(v.verify(tampered).success, false);
+    });
+});
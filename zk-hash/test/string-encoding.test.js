@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIELDS, stringToField } = require('../stark-math');
+
+for (const field of [FIELDS.goldilocks, FIELDS.stark252]) {
+    const chunk = Math.floor((field.bits - 1) / 8); // Bytes per field element
+    const distinct = (strings) => {
+        const elements = strings.map(s => stringToField(s, field));
+        assert.equal(new Set(elements).size, strings.length, JSON.stringify(strings));
+        for (const e of elements) assert.ok(e >= 0n && e < field.modulus);
+    };
+
+    test(`${field.name}: strings are deterministic field elements`, () => {
+        assert.equal(stringToField('hunter2', field), stringToField('hunter2', field));
+        assert.throws(() => stringToField(42, field), /expects a string/);
+    });
+
+    test(`${field.name}: strings longer than one chunk use every byte`, () => {
+        const long = 'x'.repeat(3 * chunk + 2);
+        distinct([long, long.slice(0, -1) + 'y', 'y' + long.slice(1), long.slice(0, chunk) + 'y' + long.slice(chunk + 1)]);
+    });
+
+    test(`${field.name}: strings differing only in the last byte differ`, () => {
+        distinct(['password1', 'password2', 'password\x00', 'password\u00ff']);
+    });
+
+    test(`${field.name}: trailing zero bytes do not collide thanks to the length prefix`, () => {
+        distinct(['', '\0', 'a', 'a\0', 'a\0\0', '\0a']);
+        // Exactly one chunk, with and without zero padding to the next
+        const full = 'z'.repeat(chunk);
+        distinct([full, full + '\0', full + '\0'.repeat(chunk)]);
+    });
+
+    test(`${field.name}: UTF-8 bytes are encoded as given, without normalization`, () => {
+        // NFC and NFD spellings of the same text, and multi-byte characters
+        distinct(['Jos\u00e9', 'Jose\u0301', 'Jose', '\u{1F511}', '\u20ac', '\u00e2\u0082\u00ac']);
+        // Lone surrogates become U+FFFD, like in the browser's TextEncoder
+        assert.equal(stringToField('\uD800', field), stringToField('\uFFFD', field));
+    });
+}
+
+test('the same string maps to unrelated elements in different fields', () => {
+    assert.notEqual(stringToField('hunter2', FIELDS.goldilocks), stringToField('hunter2', FIELDS.stark252) % FIELDS.goldilocks.modulus);
+});
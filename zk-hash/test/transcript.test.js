@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Transcript, TRANSCRIPT_PROTOCOL, FIELDS } = require('../stark-math');
+const { ERROR_CODES } = require('../common');
+const { prover, verifier, clone } = require('./helpers');
+
+const field = FIELDS.goldilocks;
+const challenge = (build) => build(new Transcript(field)).squeeze('alpha');
+
+test('challenges are deterministic and depend on every absorbed detail', () => {
+    const base = challenge(t => t.absorb('a', 'x'));
+    assert.equal(challenge(t => t.absorb('a', 'x')), base);
+    assert.notEqual(challenge(t => t.absorb('b', 'x')), base);
+    assert.notEqual(challenge(t => t.absorb('a', 'y')), base);
+    // Types and framing are part of the input
+    assert.notEqual(challenge(t => t.absorb('a', 1)), challenge(t => t.absorb('a', '1')));
+    assert.notEqual(challenge(t => t.absorb('a', 1n)), challenge(t => t.absorb('a', 1)));
+    assert.notEqual(challenge(t => t.absorb('a', 'bc').absorb('d', '')), challenge(t => t.absorb('a', 'b').absorb('cd', '')));
+    // Another protocol version never shares challenges
+    assert.notEqual(new Transcript(field, TRANSCRIPT_PROTOCOL + '-next').absorb('a', 'x').squeeze('alpha'), base);
+    assert.throws(() => new Transcript(field, TRANSCRIPT_PROTOCOL, 'md5'), /Unknown transcript hash/);
+    assert.throws(() => new Transcript(field).absorb('a', -1n), /non-negative/);
+});
+
+test('public inputs are absorbed in sorted key order, without trace_root', () => {
+    const absorbed = (pi) => new Transcript(field).absorbPublicInputs('type', pi).squeeze('alpha');
+    const pi = { username: 'alice', nonce: 'n', proof_params: { rounds: 64, queries: 8 } };
+    assert.equal(absorbed(pi), absorbed({ proof_params: { queries: 8, rounds: 64 }, nonce: 'n', username: 'alice' }));
+    assert.equal(absorbed(pi), absorbed({ ...pi, trace_root: 'ab' }));
+    assert.notEqual(absorbed(pi), absorbed({ ...pi, proof_params: { rounds: 64, queries: 9 } }));
+    assert.notEqual(new Transcript(field).absorbPublicInputs('other', pi).squeeze('alpha'), absorbed(pi));
+});
+
+test('public inputs cannot be swapped into another proof', async (t) => {
+    const proof = await prover().generateKnowledgeProof('secret-H', 'nonce-1', 'alice');
+    const v = verifier();
+    assert.equal(v.verify(proof).success, true);
+    for (const [name, value] of [['username', 'bob'], ['nonce', 'nonce-2']]) {
+        await t.test(name, () => {
+            const swapped = clone(proof);
+            swapped.public_inputs[name] = value;
+            const result = v.verify(swapped);
+            assert.equal(result.success, false);
+            assert.notEqual(result.code, ERROR_CODES.INTERNAL_ERROR, result.error);
+        });
+    }
+});
+
+test('proofs with a Poseidon transcript verify, and only with it', async () => {
+    const proof = await prover({ transcriptHash: 'poseidon' }).generateKnowledgeProof('secret-H', 'nonce', 'alice');
+    assert.equal(verifier().verify(proof).success, true);
+    const relabelled = clone(proof);
+    relabelled.public_inputs.transcript_hash = 'sha256';
+    assert.equal(verifier().verify(relabelled).success, false);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryUserStore, FileUserStore, SqliteUserStore } = require('../user-store');
+
+let DatabaseSync = null;
+try { ({ DatabaseSync } = require('node:sqlite')); } catch (e) { /* Node without node:sqlite */ }
+
+const PARAMS = { time: 2, mem: 19456, hashLen: 32 };
+const CONFIG = { field: 'stark252', permutation: 'mimc', rounds: 64, merkle_hash: 'sha256', transcript_hash: 'sha256' };
+
+function tmpFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zk-hash-users-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'users.json');
+}
+
+// Two handles on one store, as two server processes would have
+const backends = {
+    memory: () => {
+        const store = new MemoryUserStore();
+        return [store, store];
+    },
+    file: (t) => {
+        const file = tmpFile(t);
+        return [new FileUserStore(file), new FileUserStore(file)];
+    },
+    sqlite: (t) => {
+        const db = new DatabaseSync(':memory:');
+        t.after(() => db.close());
+        return [new SqliteUserStore(db), new SqliteUserStore(db)];
+    }
+};
+
+for (const [name, create] of Object.entries(backends)) {
+    const skip = name === 'sqlite' && !DatabaseSync && 'node:sqlite is not available';
+
+    test(`${name}: a username is registered once and never replaced`, { skip }, (t) => {
+        const [first, second] = create(t);
+        const stored = first.register('alice', 'salt-1', PARAMS, '111', CONFIG);
+        assert.equal(stored.ok, true);
+        assert.deepEqual(second.get('alice'), stored.record);
+        assert.deepEqual(second.get('alice').proof_config, CONFIG);
+
+        const again = second.register(' alice ', 'salt-2', PARAMS, '222', CONFIG);
+        assert.equal(again.ok, false);
+        assert.match(again.error, /already registered/);
+        assert.equal(first.get('alice').verifier, '111');
+        assert.equal(first.get('alice').salt, 'salt-1');
+    });
+}
+
+test('sqlite: errors other than a taken username are not swallowed', { skip: !DatabaseSync && 'node:sqlite is not available' }, (t) => {
+    const db = new DatabaseSync(':memory:');
+    t.after(() => db.close());
+    const store = new SqliteUserStore(db);
+    assert.throws(() => store.register('alice', null, PARAMS, '111', CONFIG), /NOT NULL constraint failed/);
+});
+
+test('sqlite: tables from before proof_config are given the column', { skip: !DatabaseSync && 'node:sqlite is not available' }, (t) => {
+    const db = new DatabaseSync(':memory:');
+    t.after(() => db.close());
+    db.exec(`CREATE TABLE zk_users (username TEXT PRIMARY KEY, salt TEXT NOT NULL, params TEXT NOT NULL, verifier TEXT NOT NULL, created_at INTEGER NOT NULL)`);
+    db.prepare(`INSERT INTO zk_users VALUES ('bob', 'salt', ?, '111', 1)`).run(JSON.stringify(PARAMS));
+
+    const store = new SqliteUserStore(db);
+    assert.equal(store.get('bob').proof_config, null);
+    assert.equal(store.register('alice', 'salt', PARAMS, '222', CONFIG).ok, true);
+    assert.deepEqual(store.get('alice').proof_config, CONFIG);
+});
@@ -0,0 +1,176 @@
+/**
+ * zk-hash/user-store.js
+ *
+ * Server-side account records for ZK-Auth registration and login.
+ * A record never contains the password or the Argon2 output H, only what the
+ * client needs to rebuild H and what the verifier needs to check the proof:
+ *
+ *   { username, salt, params: { time, mem, hashLen }, verifier,
+ *     proof_config: { field, permutation, rounds, merkle_hash, transcript_hash }, created_at }
+ *
+ * `verifier` is the public verification value V = MiMC(H) + H taken from the
+ * Knowledge Proof submitted at registration, and `proof_config` what that proof was
+ * proven in. Logins must use the same proof_config (see ZKVerifier.verifyLogin).
+ *
+ * Backends mirror nonce-store.js: all stores share the logic in UserStore and
+ * only implement get/insert. insert adds a record only if its username is free, in
+ * one step, so two registrations racing for a name cannot both succeed or replace
+ * each other's account:
+ * 1. MemoryUserStore: A Map, for tests and single-process demos.
+ * 2. FileUserStore: A JSON file on local disk, for a single process.
+ * 3. SqliteUserStore: A table in a better-sqlite3 compatible database handle,
+ *    which several processes can share.
+ *
+ * Usernames are stored in their normalizeUsername form (common.js), and get
+ * expects that form.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeUsername } = require('./common');
+
+class UserStore {
+    constructor(options = {}) {
+        this.now = options.now || (() => Date.now());
+    }
+
+    /**
+     * Stores a new account. Returns { ok: true, record } or { ok: false, error }.
+     */
+    register(name, salt, params, verifier, proofConfig) {
+        const username = normalizeUsername(name);
+        const record = {
+            username: username,
+            salt: salt,
+            params: { time: params.time, mem: params.mem, hashLen: params.hashLen },
+            verifier: verifier,
+            proof_config: proofConfig ? { ...proofConfig } : null,
+            created_at: this.now()
+        };
+        if (!this.insert(record)) {
+            return { ok: false, error: `Username '${username}' is already registered.` };
+        }
+        return { ok: true, record };
+    }
+
+    // --- Storage hooks, implemented by each backend ---
+    get(username) { throw new Error("UserStore.get not implemented"); }
+    // Stores `record` unless its username is taken. Returns whether it did.
+    insert(record) { throw new Error("UserStore.insert not implemented"); }
+}
+
+class MemoryUserStore extends UserStore {
+    constructor(options = {}) {
+        super(options);
+        this.records = new Map();
+    }
+
+    get(username) {
+        const record = this.records.get(username);
+        return record ? { ...record, params: { ...record.params }, proof_config: record.proof_config && { ...record.proof_config } } : null;
+    }
+
+    insert(record) {
+        if (this.records.has(record.username)) return false;
+        this.records.set(record.username, { ...record, params: { ...record.params }, proof_config: record.proof_config && { ...record.proof_config } });
+        return true;
+    }
+}
+
+class FileUserStore extends UserStore {
+    constructor(filePath, options = {}) {
+        super(options);
+        if (!filePath) throw new Error("FileUserStore requires a file path");
+        this.filePath = filePath;
+    }
+
+    // insert is a separate read and write of the whole file: only one process may use
+    // it, or two of them could register the same username. Use SqliteUserStore for
+    // several processes.
+    load() {
+        if (!fs.existsSync(this.filePath)) return {};
+        const text = fs.readFileSync(this.filePath, 'utf8');
+        return text.trim() ? JSON.parse(text) : {};
+    }
+
+    save(records) {
+        // Write to a temp file and rename so readers never see a half-written file
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(records, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    get(username) {
+        const records = this.load();
+        return Object.prototype.hasOwnProperty.call(records, username) ? records[username] : null;
+    }
+
+    insert(record) {
+        const records = this.load();
+        if (Object.prototype.hasOwnProperty.call(records, record.username)) return false;
+        records[record.username] = record;
+        this.save(records);
+        return true;
+    }
+}
+
+class SqliteUserStore extends UserStore {
+    /**
+     * @param db An open better-sqlite3 Database (or anything with the same
+     *           synchronous exec/prepare/run/get API).
+     */
+    constructor(db, options = {}) {
+        super(options);
+        if (!db) throw new Error("SqliteUserStore requires a database handle");
+        this.db = db;
+        this.table = options.table || 'zk_users';
+
+        this.db.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (
+            username TEXT PRIMARY KEY,
+            salt TEXT NOT NULL,
+            params TEXT NOT NULL,
+            verifier TEXT NOT NULL,
+            proof_config TEXT,
+            created_at INTEGER NOT NULL
+        )`);
+        // Tables from before proof_config get the column; their accounts cannot log in
+        // until registered again, as verifyLogin needs it
+        const columns = this.db.prepare(`PRAGMA table_info(${this.table})`).all().map(c => c.name);
+        if (!columns.includes('proof_config')) this.db.exec(`ALTER TABLE ${this.table} ADD COLUMN proof_config TEXT`);
+        this.selectStmt = this.db.prepare(`SELECT username, salt, params, verifier, proof_config, created_at FROM ${this.table} WHERE username = ?`);
+        // A plain INSERT: the primary key, not a prior SELECT, decides who gets a username
+        this.insertStmt = this.db.prepare(`INSERT INTO ${this.table} (username, salt, params, verifier, proof_config, created_at) VALUES (?, ?, ?, ?, ?, ?)`);
+    }
+
+    get(username) {
+        const row = this.selectStmt.get(username);
+        if (!row) return null;
+        return {
+            username: row.username,
+            salt: row.salt,
+            params: JSON.parse(row.params),
+            verifier: row.verifier,
+            proof_config: row.proof_config ? JSON.parse(row.proof_config) : null,
+            created_at: Number(row.created_at)
+        };
+    }
+
+    insert(record) {
+        try {
+            this.insertStmt.run(record.username, record.salt, JSON.stringify(record.params), record.verifier, JSON.stringify(record.proof_config), record.created_at);
+            return true;
+        } catch (e) {
+            // SQLite's own message, the same through better-sqlite3 and node:sqlite
+            if (/^UNIQUE constraint failed/.test(e && e.message)) return false;
+            throw e;
+        }
+    }
+}
+
+module.exports = {
+    UserStore,
+    MemoryUserStore,
+    FileUserStore,
+    SqliteUserStore
+};
@@ -1,195 +1,381 @@
 /**
  * zk-hash/verifier.js
  * 
- * Verifies the ZK-STARK proof submitted by the client.
- * In a real implementation, this runs the STARK verifier algorithm
- * which is exponentially faster than the prover.
+ * Verifies the ZK-STARK proof submitted by the client, for any statement in the AIR
+ * registry (air.js).
+ * It runs the STARK verifier algorithm: it replays Fiat-Shamir, recomputes the
+ * composition polynomial from the trace openings and checks every FRI fold,
+ * which is much cheaper than proving.
+ *
+ * Every failure is { success: false, code, error }: `code` is a stable id from
+ * ERROR_CODES (common.js) for clients and logs, `error` the human message.
  */
 
-const { FieldElement, mimcHash, MerkleTree, FIELD_MODULUS, generateFiatShamirQueries } = require('./stark-math');
+const { FIELDS, getField, MERKLE_HASHES, getMerkleHash, TRACE_PERMUTATIONS, getTracePermutation, TRANSCRIPT_HASHES, TRANSCRIPT_PROTOCOL, Transcript, verifyAir } = require('./stark-math');
+const { AIRS, getAir } = require('./air');
+const { validateProof, validatePublicInputs } = require('./schema');
+const { DEFAULT_SECURITY_POLICY, checkSecurityPolicy } = require('./params');
+const { HASH_ALGORITHMS } = require('./hash-algorithms');
+const { DEFAULT_HASH_POLICY, parseHash, accountHash, checkHashPolicy, upgradeReasons } = require('./hash-policy');
+const { ERROR_CODES, normalizeUsername } = require('./common');
+
+// What an account's verification value V depends on besides H: the same H gives another V
+// in another field, permutation or round count, and the hashes set how sound the proof is.
+// An account is stored with the ones it registered under, and its logins must use them too.
+function proofConfig(publicInputs) {
+    return {
+        field: publicInputs.field,
+        permutation: publicInputs.permutation,
+        rounds: publicInputs.proof_params.rounds,
+        merkle_hash: publicInputs.merkle_hash,
+        transcript_hash: publicInputs.transcript_hash
+    };
+}
 
 class ZKVerifier {
-    constructor() {
+    /**
+     * @param options.nonceStore Optional NonceStore (see nonce-store.js). When set,
+     *        Knowledge Proofs are only accepted for nonces issued by this server,
+     *        and each nonce can be used exactly once.
+     * @param options.userStore Optional UserStore (see user-store.js). Required for
+     *        verifyRegistration and verifyLogin.
+     * @param options.proofTypes Proof types (AirRegistry definitions) this verifier accepts.
+     *        Defaults to every registered one, including those registered later.
+     * @param options.fields Names of the prime fields proofs may declare.
+     *        Defaults to every field in StarkMath.FIELDS.
+     * @param options.merkleHashes Ids of the Merkle hashers proofs may declare.
+     *        Defaults to every hasher in MerkleHash.MERKLE_HASHES.
+     * @param options.permutations Ids of the trace permutations proofs may declare.
+     *        Defaults to every entry of StarkMath.TRACE_PERMUTATIONS.
+     * @param options.transcriptHashes Ids of the Fiat-Shamir hashes proofs may declare.
+     *        Defaults to every entry of StarkMath.TRANSCRIPT_HASHES.
+     * @param options.securityPolicy Minimum the proof parameters must meet:
+     *        { minSecurityBits, minRounds }. Defaults to ProofParams.DEFAULT_SECURITY_POLICY.
+     * @param options.hashPolicy What the password hashes in Argon2/Bcrypt/scrypt/PBKDF2 proofs and ZK-Auth
+     *        accounts must meet: allowed variants, minimum memory, iterations, bcrypt cost and
+     *        salt length, maximum parameters a re-hash may use, plus the recommended values below
+     *        which needsUpgrade reports them.
+     *        Missing entries use HashPolicy.DEFAULT_HASH_POLICY (hash-policy.js).
+     * @param options.hashVerifiers Re-hashing functions for verifyHashOpening, per algorithm:
+     *        { bcrypt: async (password, hash) => boolean, argon2id: ... }. Each must recompute
+     *        the hash under the parameters and salt encoded in `hash`.
+     */
+    constructor(options = {}) {
+        this.nonceStore = options.nonceStore || null;
+        this.userStore = options.userStore || null;
+        this.allowedProofTypes = options.proofTypes || null;
+        this.allowedFields = options.fields || Object.keys(FIELDS);
+        this.allowedMerkleHashes = options.merkleHashes || Object.keys(MERKLE_HASHES);
+        this.allowedPermutations = options.permutations || Object.keys(TRACE_PERMUTATIONS);
+        this.allowedTranscriptHashes = options.transcriptHashes || Object.keys(TRANSCRIPT_HASHES);
+        this.securityPolicy = { ...DEFAULT_SECURITY_POLICY, ...options.securityPolicy };
+        this.hashPolicy = { ...DEFAULT_HASH_POLICY, ...options.hashPolicy };
+        this.hashVerifiers = options.hashVerifiers || {};
     }
 
-    // 1. Convert string to BigInt for the field (Helper within verifier)
-    stringToField(str) {
-        let val = 0n;
-        for (let i = 0; i < str.length; i++) {
-            val = (val * 256n) + BigInt(str.charCodeAt(i));
+    /**
+     * Reads a hash the proof claims ({ algorithm, hash } from its AIR definition's hashOutput)
+     * and checks it against the hash policy. Returns { ok: true, hash } with the parsed
+     * description (see hash-policy.js) or { ok: false, code, error }.
+     */
+    checkClaimedHash({ algorithm, hash }) {
+        const scheme = Object.prototype.hasOwnProperty.call(HASH_ALGORITHMS, algorithm) ? HASH_ALGORITHMS[algorithm].scheme : null;
+        if (!scheme) {
+            return { ok: false, code: ERROR_CODES.HASH_FORMAT_INVALID, error: `Invalid Hash: No hash format is known for algorithm '${algorithm}'.` };
+        }
+        const parsed = parseHash(hash);
+        if (!parsed.ok) return { ok: false, code: ERROR_CODES.HASH_FORMAT_INVALID, error: `Invalid Hash: outputHash is ${parsed.error}.` };
+        if (parsed.hash.scheme !== scheme) {
+            return { ok: false, code: ERROR_CODES.HASH_FORMAT_INVALID, error: `Invalid Hash: outputHash is a ${parsed.hash.scheme} hash, not ${algorithm}.` };
         }
-        const m = 3221225473n; // hardcoded modulus same as stark-math
-        return ((val % m) + m) % m;
+        const rejected = checkHashPolicy(parsed.hash, this.hashPolicy);
+        if (rejected) return { ok: false, ...rejected };
+        return { ok: true, hash: parsed.hash };
     }
 
-    verify(proofObj) {
-        try {
-            const NUM_QUERIES = 5;
-             // 1. Structural Check
-            if (!proofObj) return { success: false, error: "Invalid Proof Format" };
-
-            // ==========================================
-            // CASE A: KNOWLEDGE PROOF (Auth)
-            // ==========================================
-            if (proofObj.proof_type === "zk-stark-knowledge-proof") {
-                const { public_inputs, trace_queries } = proofObj;
-                const traceRoot = public_inputs.trace_root;
-                const claimedOutput = BigInt(public_inputs.public_output);
-                const nonceVal = this.stringToField(public_inputs.nonce);
-
-                const MIMC_ROUNDS = 64;
-                const MIMC_CONSTANTS = Array.from({length: MIMC_ROUNDS}, (_, i) => BigInt(i * 123456789)); 
-
-                for(let query of trace_queries) {
-                    const idx = query.index;
-                    const currVal = BigInt(query.value);
-
-                    // A. Merkle Check
-                    if (!MerkleTree.verify(traceRoot, idx, currVal, query.path)) {
-                        return { success: false, error: `Merkle Proof failed for index ${idx}.` };
-                    }
-
-                    // B. Boundary Check
-                    if (idx === MIMC_ROUNDS) {
-                        if (currVal !== claimedOutput) {
-                            return { success: false, error: "Output Mismatch: Proof execution does not lead to claimed hash." };
-                        }
-                        continue;
-                    }
-
-                    // C. Transition Check: next = (curr + nonce + K)^3
-                    // Note: Here 'nonce' acts as the Key
-                    const nextVal = BigInt(query.next_value);
-                    const roundConst = MIMC_CONSTANTS[idx] || 0n;
-
-                    let t = (currVal + nonceVal + roundConst) % FIELD_MODULUS;
-                    let t2 = (t * t) % FIELD_MODULUS;
-                    let t3 = (t2 * t) % FIELD_MODULUS;
-                    
-                    if (t3 !== nextVal) {
-                        return { success: false, error: "Invalid Execution Trace: You do not know the secret that generates this hash." };
-                    }
-                }
+    /**
+     * Whether a stored password hash should be replaced: an encoded PHC / modular crypt string,
+     * or a ZK-Auth account record { salt, params }. Returns { upgrade, reasons }: hashes the
+     * policy no longer accepts, and accepted ones below its recommended parameters, need one.
+     */
+    needsUpgrade(stored) {
+        let hash;
+        if (typeof stored === 'string') {
+            const parsed = parseHash(stored);
+            if (!parsed.ok) return { upgrade: true, reasons: [parsed.error] };
+            hash = parsed.hash;
+        } else if (stored && typeof stored.salt === 'string' && stored.params) {
+            hash = accountHash(stored.salt, stored.params);
+        } else {
+            throw new Error("needsUpgrade expects an encoded hash or an account record");
+        }
+        const rejected = checkHashPolicy(hash, this.hashPolicy);
+        const reasons = [...(rejected ? [rejected.error] : []), ...upgradeReasons(hash, this.hashPolicy)];
+        return { upgrade: reasons.length > 0, reasons };
+    }
 
-                // SECURITY CHECK: Fiat-Shamir Query Coverage
-                // We MUST verify that the Prover answered distinct challenges derived from the Commit Root
-                const expectedIndices = new Set(
-                    generateFiatShamirQueries(traceRoot, NUM_QUERIES, MIMC_ROUNDS)
-                );
-                // Also expect last index
-                expectedIndices.add(MIMC_ROUNDS);
-
-                const receivedIndices = new Set(trace_queries.map(q => q.index));
-                for (let idx of expectedIndices) {
-                     if (!receivedIndices.has(idx)) {
-                         return { success: false, error: `Invalid Proof: Missing required Fiat-Shamir query for index ${idx}.` };
-                     }
-                }
+    // The AIR definition of the proof's statement, if registered and accepted here
+    resolveAir(proofType) {
+        if (typeof proofType !== 'string' || !Object.prototype.hasOwnProperty.call(AIRS, proofType)) return null;
+        if (this.allowedProofTypes && !this.allowedProofTypes.includes(proofType)) return null;
+        return AIRS[proofType];
+    }
 
-                return { success: true, message: "User Verified! Knowledge of Secret Proof accepted." };
-            }
+    // The field every value in the proof lives in, as declared in its public inputs
+    resolveField(publicInputs) {
+        const name = publicInputs.field;
+        if (typeof name !== 'string' || !this.allowedFields.includes(name) || !Object.prototype.hasOwnProperty.call(FIELDS, name)) {
+            return null;
+        }
+        return getField(name);
+    }
+
+    // The Merkle hasher the proof's commitments were built with, as declared in its public inputs
+    resolveMerkleHash(publicInputs) {
+        const id = publicInputs.merkle_hash;
+        if (typeof id !== 'string' || !this.allowedMerkleHashes.includes(id) || !Object.prototype.hasOwnProperty.call(MERKLE_HASHES, id)) {
+            return null;
+        }
+        return getMerkleHash(id);
+    }
+
+    // The permutation the trace runs, as declared in its public inputs (a StarkMath trace permutation adapter)
+    resolvePermutation(publicInputs, field) {
+        const id = publicInputs.permutation;
+        if (typeof id !== 'string' || !this.allowedPermutations.includes(id) || !Object.prototype.hasOwnProperty.call(TRACE_PERMUTATIONS, id)) {
+            return null;
+        }
+        return getTracePermutation(id, field);
+    }
 
-            // ==========================================
-            // CASE B: HASH INTEGRITY PROOF
-            // ==========================================
-            if (proofObj.proof_type !== "zk-stark-mimc-real") {
-                return { success: false, error: "Unknown Proof Type" };
+    // The Fiat-Shamir transcript for the proof: its declared hash, seeded with every public input
+    resolveTranscript(proofType, publicInputs, field) {
+        const id = publicInputs.transcript_hash;
+        if (typeof id !== 'string' || !this.allowedTranscriptHashes.includes(id) || !Object.prototype.hasOwnProperty.call(TRANSCRIPT_HASHES, id)) {
+            return null;
+        }
+        return new Transcript(field, TRANSCRIPT_PROTOCOL, id).absorbPublicInputs(proofType, publicInputs);
+    }
+
+    verify(proofObj) {
+        try {
+            // 1. Structural Check: malformed proofs are rejected before any math runs
+            if (!proofObj || typeof proofObj !== 'object') {
+                return { success: false, code: ERROR_CODES.SCHEMA_INVALID, error: "Invalid Proof Format" };
+            }
+            const definition = this.resolveAir(proofObj.proof_type);
+            if (!definition) {
+                return { success: false, code: ERROR_CODES.PROOF_TYPE_UNKNOWN, error: "Unknown Proof Type" };
+            }
+            const header = validatePublicInputs(proofObj, definition.publicInputs);
+            if (!header.ok) {
+                return { success: false, code: ERROR_CODES.SCHEMA_INVALID, error: `Invalid Proof: ${header.error}.` };
             }
 
+            // 2. Parameters: the field, the Merkle hasher, the permutation, the transcript hash
+            // and the proof parameters must be ones we accept
             const { public_inputs, trace_queries } = proofObj;
-            const traceRoot = public_inputs.trace_root;
-            const mimcOutput = BigInt(public_inputs.mimc_output);
-            const outputHash = public_inputs.outputHash;
-            
-            // 2. Derive MiMC Key from Public OutputHash (Binding Check)
-            let mimcKey = 0n;
-            if (public_inputs.algorithm === 'mimc-stark') {
-                if (outputHash !== public_inputs.mimc_output) {
-                     return { success: false, error: "Data Integrity Failed: Claimed output does not match proof output." };
-                }
-                mimcKey = 0n;
-            } else {
-                // For Argon2/Bcrypt, the key IS derived from the claimed hash
-                // We must use the *entire* hash string to ensure binding to the secure part,
-                // not just the parameters prefix (which might be the first 30 chars).
-                
-                // NOTE: stringToField logic handles the whole string.
-                mimcKey = this.stringToField(outputHash);
-            }
+            const field = this.resolveField(public_inputs);
+            if (!field) return { success: false, code: ERROR_CODES.FIELD_UNSUPPORTED, error: `Unsupported Field: '${public_inputs.field}' is not accepted by this verifier.` };
+            const hash = this.resolveMerkleHash(public_inputs);
+            if (!hash) return { success: false, code: ERROR_CODES.MERKLE_HASH_UNSUPPORTED, error: `Unsupported Merkle Hash: '${public_inputs.merkle_hash}' is not accepted by this verifier.` };
+            const permutation = this.resolvePermutation(public_inputs, field);
+            if (!permutation) return { success: false, code: ERROR_CODES.PERMUTATION_UNSUPPORTED, error: `Unsupported Permutation: '${public_inputs.permutation}' is not accepted by this verifier.` };
+            // Fiat-Shamir starts from every public input, exactly as the prover's did
+            const transcript = this.resolveTranscript(proofObj.proof_type, public_inputs, field);
+            if (!transcript) return { success: false, code: ERROR_CODES.TRANSCRIPT_HASH_UNSUPPORTED, error: `Unsupported Transcript Hash: '${public_inputs.transcript_hash}' is not accepted by this verifier.` };
 
-            // 3. Verify Execution Trace Queries (The Logic Check)
-            const MIMC_ROUNDS = 64;
-            const MIMC_CONSTANTS = Array.from({length: MIMC_ROUNDS}, (_, i) => BigInt(i * 123456789)); 
-
-            // SECURITY: Re-derive the challenge processing from the Public Commitment
-            // traceRoot is now strictly Decimal String from new stark-math.js logic
-            const expectedIndices = new Set(
-                generateFiatShamirQueries(traceRoot, NUM_QUERIES, MIMC_ROUNDS)
-            );
-
-            // Add boundary to expected
-            expectedIndices.add(MIMC_ROUNDS);
-
-            // Validate that we received exactly the required queries
-            // (Client sends array of objects)
-            const receivedIndices = new Set(trace_queries.map(q => q.index));
-            
-            // Check coverage
-            for (let idx of expectedIndices) {
-                if (!receivedIndices.has(idx)) {
-                     return { success: false, error: `Invalid Proof: Missing required Fiat-Shamir query for index ${idx}.` };
-                }
+            // 3. The statement's AIR: the rest of the structure depends on its trace width and
+            // constraint degree, and its step count is the proof's round count
+            const ctx = { field, permutation };
+            const air = definition.air(public_inputs, ctx);
+            const schema = validateProof(proofObj, definition.publicInputs, air, field);
+            if (!schema.ok) {
+                return { success: false, code: ERROR_CODES.SCHEMA_INVALID, error: `Invalid Proof: ${schema.error}.` };
             }
+            const params = public_inputs.proof_params;
+            if (params.rounds !== air.steps) {
+                return { success: false, code: ERROR_CODES.SCHEMA_INVALID, error: `Invalid Proof: public_inputs.proof_params.rounds must be ${air.steps} for ${air.id} in ${field.name}.` };
+            }
+            // minRounds only applies where the prover picks the permutation's round count
+            const tunableRounds = air.permutation && !air.permutation.fixedRounds;
+            const policy = tunableRounds ? this.securityPolicy : { ...this.securityPolicy, minRounds: 1 };
+            const weakness = checkSecurityPolicy(params, field, policy, air.constraintDegree);
+            if (weakness) return { success: false, code: ERROR_CODES.SECURITY_POLICY_VIOLATION, error: `Insufficient Security: ${weakness}.` };
 
-            for(let query of trace_queries) {
-                const idx = query.index;
-                const currVal = BigInt(query.value);
-                
-                // A. Verify Merkle Path (Authentication)
-                // Did this value actually exist in the committed trace?
-                if (!MerkleTree.verify(traceRoot, idx, currVal, query.path)) {
-                     return { success: false, error: `Merkle Proof failed for index ${idx} (Tampered Data)` };
-                }
+            const rejected = definition.check(public_inputs, ctx);
+            if (rejected) return { success: false, code: rejected.code, error: rejected.error };
 
-                // BOUNDARY CHECK: If this is the last step, it MUST match the mimc_output
-                if (idx === MIMC_ROUNDS) {
-                    if (currVal !== mimcOutput) {
-                        return { success: false, error: "Boundary Constraint Failed: Trace end does not match claimed output." };
-                    }
-                    continue; // No transition for the last element
-                }
-                
-                // B. Verify Transition Function (The "AIR" Constraint)
-                // Does State[i+1] == Logic(State[i]) ?
-                // Logic: next = (curr + KEY + ROUND_CONSTANT)^3
-                
-                const nextVal = BigInt(query.next_value);
-                const roundConst = MIMC_CONSTANTS[idx] || 0n;
-                
-                // CRITICAL: We use the 'mimcKey' derived from the Public Output Hash here.
-                let t = (currVal + mimcKey + roundConst) % FIELD_MODULUS;
-                let t2 = (t * t) % FIELD_MODULUS;
-                let t3 = (t2 * t) % FIELD_MODULUS;
-                const expectedNext = t3;
-                
-                if (expectedNext !== nextVal) {
-                     return { 
-                         success: false, 
-                         error: `Constraint Validation Failed at step ${idx}. The Proof provided is invalid for this Hash. (Tampering Detected)` 
-                    };
+            // HASH POLICY: a hash the statement claims must use parameters we accept
+            const claimed = definition.hashOutput(public_inputs);
+            const claimedHash = claimed ? this.checkClaimedHash(claimed) : null;
+            if (claimedHash && !claimedHash.ok) return { success: false, code: claimedHash.code, error: claimedHash.error };
+
+            // REPLAY PROTECTION: The nonce must be a live challenge we issued to this user.
+            // It is consumed before the math runs, so every submission burns its challenge.
+            if (definition.challenge && this.nonceStore) {
+                const challenge = this.nonceStore.consume(public_inputs.nonce, public_inputs.username);
+                if (!challenge.ok) {
+                    return { success: false, code: ERROR_CODES.CHALLENGE_REJECTED, error: "Challenge Rejected: " + challenge.error };
                 }
             }
-            
-            return { 
-                success: true, 
-                message: `STARK Proof Verified! Validated ${public_inputs.algorithm} integrity via Binding.` 
-            };
+
+            // 4. STARK Check: every transition and boundary constraint of the AIR is folded into
+            // one composition polynomial, and FRI checks it is low-degree at Fiat-Shamir points
+            const stark = verifyAir(air, { trace_root: public_inputs.trace_root, trace_queries, fri: proofObj.fri }, { params, field, transcript, hash });
+            if (!stark.success) {
+                return { success: false, code: stark.code, error: "Invalid Execution Trace: " + stark.error };
+            }
+
+            const result = { success: true, ...definition.accept(public_inputs) };
+            if (claimedHash) result.needs_upgrade = upgradeReasons(claimedHash.hash, this.hashPolicy).length > 0;
+            return result;
 
         } catch (e) {
             console.error(e);
-            return { success: false, error: "Verification Logic Error: " + e.message };
+            return { success: false, code: ERROR_CODES.INTERNAL_ERROR, error: "Verification Logic Error: " + e.message };
         }
     }
+
+    /**
+     * Verifies a password-hash integrity proof (bcrypt, argon2id, scrypt, pbkdf2-sha256) together
+     * with its opening, the password the proof commits to: { proof, password }, as built by
+     * ZKProver.generateHashOpening.
+     * On top of verify():
+     * 1. the trace (MiMC or Poseidon) keyed by outputHash must start at the password and end at
+     *    mimc_output, so the proof commits to exactly this password, and
+     * 2. the password, re-hashed under the salt and parameters encoded in outputHash
+     *    (options.hashVerifiers), must give outputHash back.
+     * Only then is outputHash known to be a real hash of the committed password.
+     * The password is used for these checks only and never stored.
+     */
+    async verifyHashOpening(request) {
+        const { proof, password } = request || {};
+        if (typeof password !== 'string' || !password) {
+            return { success: false, code: ERROR_CODES.SCHEMA_INVALID, error: "Opening Rejected: The committed password is required." };
+        }
+        if (!proof || proof.proof_type !== "zk-stark-mimc-real" || !proof.public_inputs) {
+            return { success: false, code: ERROR_CODES.SCHEMA_INVALID, error: "Opening Rejected: A hash integrity proof is required." };
+        }
+        const algorithm = proof.public_inputs.algorithm;
+        const rehash = Object.prototype.hasOwnProperty.call(this.hashVerifiers, algorithm) ? this.hashVerifiers[algorithm] : null;
+        if (!rehash) {
+            return { success: false, code: ERROR_CODES.REHASH_UNAVAILABLE, error: `Opening Rejected: This server cannot re-hash '${algorithm}'.` };
+        }
+
+        const result = this.verify(proof);
+        if (!result.success) return result;
+
+        const { public_inputs } = proof;
+        const field = this.resolveField(public_inputs);
+        const permutation = getTracePermutation(public_inputs.permutation, field, public_inputs.proof_params.rounds);
+        const opened = getAir(proof.proof_type).buildTrace({ password, algorithm, outputHash: public_inputs.outputHash }, { field, permutation });
+        if (opened.publicInputs.mimc_output !== public_inputs.mimc_output) {
+            return { success: false, code: ERROR_CODES.OPENING_MISMATCH, error: "Opening Rejected: The proof does not commit to this password." };
+        }
+
+        let matches;
+        try {
+            matches = await rehash(password, public_inputs.outputHash);
+        } catch (e) {
+            return { success: false, code: ERROR_CODES.REHASH_UNAVAILABLE, error: `Opening Rejected: Could not re-hash with the client's ${algorithm} parameters: ${e.message}` };
+        }
+        if (!matches) {
+            return { success: false, code: ERROR_CODES.HASH_MISMATCH, error: `Opening Rejected: Re-hashing the password does not give the claimed ${algorithm} hash.` };
+        }
+
+        return {
+            success: true,
+            hash_verified: true,
+            needs_upgrade: result.needs_upgrade,
+            message: `STARK Proof Verified! Validated ${algorithm} integrity: the server re-hashed the committed password and got the claimed hash.`
+        };
+    }
+
+    /**
+     * Registers a ZK-Auth account from the payload built by ZKProver.generateRegistration:
+     * { username, salt, params: { time, mem, hashLen }, proof }
+     * The Knowledge Proof must answer a live challenge for the same username, and its
+     * public_output is stored as the account's public verification value, together with
+     * the field, permutation and hashes it was proven in.
+     */
+    verifyRegistration(request) {
+        if (!this.userStore) throw new Error("verifyRegistration requires a userStore");
+
+        const { salt, params, proof } = request || {};
+        const username = normalizeUsername(request && request.username);
+        if (!username) {
+            return { success: false, code: ERROR_CODES.SCHEMA_INVALID, error: "Registration Rejected: A username is required." };
+        }
+        if (typeof salt !== 'string' || !salt) {
+            return { success: false, code: ERROR_CODES.SCHEMA_INVALID, error: "Registration Rejected: A salt is required." };
+        }
+        const isPositiveInt = (v) => Number.isInteger(v) && v > 0;
+        if (!params || !isPositiveInt(params.time) || !isPositiveInt(params.mem) || !isPositiveInt(params.hashLen)) {
+            return { success: false, code: ERROR_CODES.SCHEMA_INVALID, error: "Registration Rejected: Argon2 params must be positive integers (time, mem, hashLen)." };
+        }
+        const weakness = checkHashPolicy(accountHash(salt, params), this.hashPolicy);
+        if (weakness) return { success: false, code: weakness.code, error: "Registration Rejected: " + weakness.error };
+        if (!proof || proof.proof_type !== "zk-stark-knowledge-proof") {
+            return { success: false, code: ERROR_CODES.SCHEMA_INVALID, error: "Registration Rejected: A Knowledge Proof is required." };
+        }
+        if (!proof.public_inputs || normalizeUsername(proof.public_inputs.username) !== username) {
+            return { success: false, code: ERROR_CODES.USERNAME_MISMATCH, error: "Registration Rejected: Proof was made for a different username." };
+        }
+        if (this.userStore.get(username)) {
+            return { success: false, code: ERROR_CODES.USERNAME_TAKEN, error: `Registration Rejected: Username '${username}' is already registered.` };
+        }
+
+        const result = this.verify(proof);
+        if (!result.success) return result;
+
+        const stored = this.userStore.register(username, salt, params, proof.public_inputs.public_output, proofConfig(proof.public_inputs));
+        if (!stored.ok) return { success: false, code: ERROR_CODES.USERNAME_TAKEN, error: "Registration Rejected: " + stored.error };
+
+        return { success: true, username, message: `Account '${username}' registered. Verification value stored.` };
+    }
+
+    /**
+     * Verifies a login Knowledge Proof and checks it against the stored account:
+     * the proof must be valid for a live challenge, use the field, permutation and
+     * hashes the account was registered with, AND prove knowledge of the H behind the
+     * registered verification value.
+     */
+    verifyLogin(proofObj) {
+        if (!this.userStore) throw new Error("verifyLogin requires a userStore");
+
+        if (!proofObj || proofObj.proof_type !== "zk-stark-knowledge-proof" || !proofObj.public_inputs) {
+            return { success: false, code: ERROR_CODES.SCHEMA_INVALID, error: "Login Rejected: A Knowledge Proof is required." };
+        }
+        const username = normalizeUsername(proofObj.public_inputs.username);
+        const account = username ? this.userStore.get(username) : null;
+        if (!account) {
+            return { success: false, code: ERROR_CODES.USER_UNKNOWN, error: "Login Rejected: Unknown username." };
+        }
+
+        const result = this.verify(proofObj);
+        if (!result.success) return result;
+
+        // V only means something in the setting it was computed in; a preimage may be easy to
+        // find in another (goldilocks, where cubing is not a permutation, or fewer rounds)
+        const registered = account.proof_config;
+        if (!registered) {
+            return { success: false, code: ERROR_CODES.CREDENTIAL_MISMATCH, error: "Login Rejected: The account has no recorded proof configuration. Register it again." };
+        }
+        const used = proofConfig(proofObj.public_inputs);
+        for (const key of Object.keys(used)) {
+            if (used[key] !== registered[key]) {
+                return { success: false, code: ERROR_CODES.CREDENTIAL_MISMATCH, error: `Login Rejected: The account was registered with ${key} '${registered[key]}', not '${used[key]}'.` };
+            }
+        }
+
+        if (proofObj.public_inputs.public_output !== account.verifier) {
+            return { success: false, code: ERROR_CODES.CREDENTIAL_MISMATCH, error: "Login Rejected: Proof does not match the registered credential (Wrong Password)." };
+        }
+
+        // Accounts registered under an older policy still log in, but are flagged for re-registration
+        return { success: true, username, needs_upgrade: this.needsUpgrade(account).upgrade, message: `Login Verified! Welcome back, ${username}.` };
+    }
 }
 
 module.exports = ZKVerifier;
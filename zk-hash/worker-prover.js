@@ -0,0 +1,140 @@
+/**
+ * zk-hash/worker-prover.js
+ *
+ * ZKWorkerProver runs ZKProver in a Web Worker (prove-worker.js), so hashing and proving
+ * never block the page. It has the same generate* methods as ZKProver and resolves to the
+ * same proofs and payloads. One job runs at a time; the worker is started on the first
+ * job and reused until cancel() terminates it.
+ */
+
+(function() {
+    const PROVER_METHODS = ['generateProof', 'generateHashOpening', 'generateKnowledgeProof', 'generateAuthProof', 'generateRegistration'];
+
+    // Rejection reason of a job stopped by cancel()
+    class CancelledError extends Error {
+        constructor() {
+            super("Proof generation cancelled");
+            this.name = 'CancelledError';
+        }
+    }
+
+    class ZKWorkerProver {
+        /**
+         * @param options.workerUrl URL of prove-worker.js
+         * @param options.scripts URLs of the hashing libraries (bcryptjs, argon2-browser) the
+         *        worker imports; the page's copies are not visible to it
+         * @param options.prover ZKProver options (field, merkleHash, params, permutation,
+         *        transcriptHash). They are copied to the worker, so no grinder or callbacks:
+         *        grinding already runs off the page.
+         * @param options.onProgress Called with { phase, fraction } as the job goes through
+         *        ZKProver.PHASES
+         */
+        constructor({ workerUrl = '/zk-hash/prove-worker.js', scripts = [], prover = {}, onProgress = null } = {}) {
+            this.workerUrl = workerUrl;
+            this.scripts = scripts;
+            this.proverOptions = prover;
+            this.onProgress = onProgress;
+            this.worker = null;
+            this.ready = null;
+            this.job = null;
+            this.nextId = 1;
+        }
+
+        get busy() {
+            return this.job !== null;
+        }
+
+        // Starts the worker and loads the hashing libraries into it, once
+        start() {
+            if (this.ready) return this.ready;
+            this.worker = new Worker(this.workerUrl);
+            this.ready = new Promise((resolve, reject) => {
+                this.worker.onmessage = (event) => {
+                    const message = event.data;
+                    if (message.type === 'ready') resolve();
+                    else if (message.type === 'error' && message.id === null) reject(new Error(message.error));
+                    else this.handle(message);
+                };
+                this.worker.onerror = (event) => {
+                    event.preventDefault();
+                    const error = new Error("Proving worker failed: " + (event.message || 'unknown error'));
+                    reject(error);
+                    this.stop(error);
+                };
+            });
+            this.worker.postMessage({ type: 'init', scripts: this.scripts });
+            return this.ready;
+        }
+
+        handle(message) {
+            const job = this.job;
+            if (!job || message.id !== job.id) return;
+            if (message.type === 'progress') {
+                if (this.onProgress) this.onProgress({ phase: message.phase, fraction: message.fraction });
+            } else if (message.type === 'result') {
+                this.job = null;
+                job.resolve(message.result);
+            } else if (message.type === 'error') {
+                this.job = null;
+                job.reject(new Error(message.error));
+            }
+        }
+
+        // Runs ZKProver[method](...args) in the worker
+        async run(method, args) {
+            if (this.job) throw new Error("A proof is already being generated");
+            const job = { id: this.nextId++ };
+            const done = new Promise((resolve, reject) => {
+                job.resolve = resolve;
+                job.reject = reject;
+            });
+            this.job = job;
+            try {
+                await this.start();
+            } catch (e) {
+                // A worker that failed to load is dropped; the next job starts a new one
+                if (this.job === job) this.stop(e);
+                return done;
+            }
+            // cancel() may have run while the worker was loading
+            if (this.job !== job) return done;
+            this.worker.postMessage({ type: 'prove', id: job.id, method, args, options: this.proverOptions });
+            return done;
+        }
+
+        // Terminates the worker and rejects the running job (if any) with `error`
+        stop(error) {
+            if (this.worker) this.worker.terminate();
+            this.worker = null;
+            this.ready = null;
+            const job = this.job;
+            this.job = null;
+            if (job) job.reject(error);
+        }
+
+        /**
+         * Stops the running job: its promise rejects with ZKWorkerProver.CancelledError.
+         * The worker is terminated, even mid-hash, and the next job starts a new one.
+         * Without a running job this just frees the worker.
+         */
+        cancel() {
+            this.stop(new CancelledError());
+        }
+    }
+
+    for (const method of PROVER_METHODS) {
+        ZKWorkerProver.prototype[method] = function(...args) {
+            return this.run(method, args);
+        };
+    }
+
+    ZKWorkerProver.CancelledError = CancelledError;
+    ZKWorkerProver.METHODS = PROVER_METHODS;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ZKWorkerProver;
+    }
+    if (typeof window !== 'undefined') {
+        window.ZKWorkerProver = ZKWorkerProver;
+    }
+})();